@@ -0,0 +1,189 @@
+// Admin endpoint for per-guest access codes (ACCESS_CODES=code|link).
+// Usage (GET or POST):
+//   https://<your-app>.vercel.app/api/admin/access-codes?token=YOUR_TOKEN
+//     → every code with its state, uses and expiry
+//   https://<your-app>.vercel.app/api/admin/access-codes?phone=555-123-4567&token=YOUR_TOKEN
+//     → that number's codes
+//   https://<your-app>.vercel.app/api/admin/access-codes?action=issue&phone=555-123-4567&token=YOUR_TOKEN
+//     → a fresh code for the number (not texted; kind=code|link, default the event's mode;
+//       maxUses=N, default 1 for links and ACCESS_CODE_MAX_USES for codes, 0 = unlimited)
+//   https://<your-app>.vercel.app/api/admin/access-codes?action=revoke&code=ABCD2345&reason=leaked&token=YOUR_TOKEN
+//   https://<your-app>.vercel.app/api/admin/access-codes?action=revoke&phone=555-123-4567&token=YOUR_TOKEN
+//     → revoke one code, or every code the number holds
+//   Optional: &event=<id>
+//   Optional: &region=GB for numbers without a +country code (default PHONE_DEFAULT_REGION)
+
+import {normalizePhone} from '../../lib/phone.js';
+import {PHONE_DEFAULT_REGION} from '../../lib/config.js';
+import {getEvent} from '../../lib/events.js';
+import {getGuest} from '../../lib/guests.js';
+import {
+    listAccessCodes,
+    listGuestCodes,
+    issueAccessCode,
+    revokeAccessCode,
+    revokeGuestCodes,
+} from '../../lib/access.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const ACTIONS = new Set(['list', 'issue', 'revoke']);
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    console.log(`[${reqId}] Incoming access-codes: ${req.method}`);
+
+    try {
+        if (!ADMIN_TOKEN) {
+            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        let params;
+        if (isGet) {
+            params = req.query || {};
+        } else {
+            const raw = await new Promise((resolve) => {
+                let data = '';
+                req.on('data', (c) => (data += c));
+                req.on('end', () => resolve(data));
+            });
+            params = Object.fromEntries(new URLSearchParams(raw));
+        }
+        const {
+            token: tokenParam,
+            event: eventParam,
+            phone: phoneParam,
+            region: regionParam,
+            code: codeParam,
+            kind: kindParam,
+            maxUses: maxUsesParam,
+            reason = '',
+        } = params;
+        const action = String(params.action || 'list').toLowerCase();
+
+        console.log(`[${reqId}] Parsed params`, {
+            action,
+            phoneParam,
+            code: codeParam ? '<present>' : undefined,
+            eventParam,
+            tokenParam: tokenParam ? '<present>' : '<missing>',
+        });
+
+        if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
+            console.warn(`[${reqId}] Unauthorized attempt`);
+            return res.status(401).end();
+        }
+        if (!ACTIONS.has(action)) {
+            return res.status(400).json({
+                ok: false,
+                error: `Unknown action "${action}" (list|issue|revoke)`,
+            });
+        }
+
+        const event = getEvent(eventParam);
+        const {keys} = event;
+        const phone = phoneParam
+            ? normalizePhone(phoneParam, regionParam || PHONE_DEFAULT_REGION)
+            : null;
+
+        if (action === 'list') {
+            const codes = phone
+                ? await listGuestCodes(phone, keys)
+                : await listAccessCodes(keys);
+            return res.status(200).json({
+                ok: true,
+                event: event.id,
+                mode: event.accessCodes,
+                phone: phone || undefined,
+                count: codes.length,
+                codes,
+            });
+        }
+
+        if (action === 'issue') {
+            if (!phone) {
+                return res
+                    .status(400)
+                    .json({ok: false, error: 'Missing ?phone'});
+            }
+            if (!(await getGuest(phone, keys))) {
+                return res.status(400).json({
+                    ok: false,
+                    error: `${phone} is not on the guest list`,
+                });
+            }
+            const kind = kindParam
+                ? String(kindParam).toLowerCase()
+                : event.accessCodes;
+            const maxUses =
+                maxUsesParam === undefined ? undefined : Number(maxUsesParam);
+            if (
+                maxUses !== undefined &&
+                !(Number.isInteger(maxUses) && maxUses >= 0)
+            ) {
+                return res.status(400).json({
+                    ok: false,
+                    error: 'maxUses must be a whole number (0 = unlimited)',
+                });
+            }
+            const record = await issueAccessCode({
+                event,
+                phone,
+                kind,
+                fresh: true,
+                maxUses,
+            });
+            console.log(`[${reqId}] Issued access ${record.kind} for ${phone}`);
+            return res
+                .status(200)
+                .json({ok: true, event: event.id, code: record});
+        }
+
+        // revoke
+        if (codeParam) {
+            const record = await revokeAccessCode({
+                code: codeParam,
+                keys,
+                reason,
+            });
+            if (!record) {
+                return res.status(400).json({ok: false, error: 'Unknown code'});
+            }
+            console.log(`[${reqId}] Revoked code of ${record.phone}`, {
+                reason,
+            });
+            return res
+                .status(200)
+                .json({ok: true, event: event.id, code: record});
+        }
+        if (!phone) {
+            return res
+                .status(400)
+                .json({ok: false, error: 'Missing ?code or ?phone'});
+        }
+        const revoked = await revokeGuestCodes({phone, keys, reason});
+        console.log(`[${reqId}] Revoked ${revoked} code(s) of ${phone}`, {
+            reason,
+        });
+        return res
+            .status(200)
+            .json({ok: true, event: event.id, phone, revoked});
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
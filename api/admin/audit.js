@@ -0,0 +1,72 @@
+// Admin endpoint to read the audit trail of host SMS commands.
+// Usage (GET or POST):
+//   https://<your-app>.vercel.app/api/admin/audit?token=YOUR_TOKEN
+//
+// Optional: event=<id>, limit=<n> (default 100, newest first).
+
+import {getEvent} from '../../lib/events.js';
+import {listAudit} from '../../lib/admin-sms.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    console.log(`[${reqId}] Incoming audit: ${req.method}`);
+
+    try {
+        if (!ADMIN_TOKEN) {
+            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        let params;
+        if (isGet) {
+            params = req.query || {};
+        } else {
+            const raw = await new Promise((resolve) => {
+                let data = '';
+                req.on('data', (c) => (data += c));
+                req.on('end', () => resolve(data));
+            });
+            params = Object.fromEntries(new URLSearchParams(raw));
+        }
+        const {token: tokenParam, event: eventParam} = params;
+        const limit = Number.parseInt(params.limit ?? '100', 10);
+
+        if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
+            console.warn(`[${reqId}] Unauthorized attempt`);
+            return res.status(401).end();
+        }
+        if (!(limit > 0)) {
+            return res
+                .status(400)
+                .json({ok: false, error: 'limit must be a positive number'});
+        }
+
+        const event = getEvent(eventParam);
+        const entries = await listAudit({keys: event.keys, limit});
+        return res.status(200).json({
+            ok: true,
+            event: event.id,
+            count: entries.length,
+            entries,
+        });
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
@@ -0,0 +1,123 @@
+// Admin endpoint to broadcast a message to the guest list.
+// Usage (POST recommended; GET works too):
+//   start:   message=Shuttle leaves at 5pm&tag=wedding-party&token=YOUR_TOKEN
+//   resume:  id=<broadcast id>&token=YOUR_TOKEN
+//   status:  id=<broadcast id>&status=1&token=YOUR_TOKEN
+//   preview: message=...&tag=...&dryRun=1&token=YOUR_TOKEN   (recipients only, no send)
+//
+// Optional: event=<id>, rate=<msgs/sec> (default BROADCAST_RATE_PER_SEC).
+// Each call sends for at most BROADCAST_MAX_RUNTIME_SEC; when the response has
+// done=false, call again with the id to continue. Opted-out guests are skipped.
+
+import {getEvent} from '../../lib/events.js';
+import {
+    createBroadcast,
+    getBroadcastStatus,
+    runBroadcast,
+    selectRecipients,
+} from '../../lib/broadcast.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    console.log(`[${reqId}] Incoming broadcast: ${req.method}`);
+
+    try {
+        if (!ADMIN_TOKEN) {
+            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        let params;
+        if (isGet) {
+            params = req.query || {};
+        } else {
+            const raw = await new Promise((resolve) => {
+                let data = '';
+                req.on('data', (c) => (data += c));
+                req.on('end', () => resolve(data));
+            });
+            params = Object.fromEntries(new URLSearchParams(raw));
+        }
+        const {token: tokenParam, event: eventParam, message, tag} = params;
+        const id = params.id ? String(params.id).trim() : '';
+        const rate = Number.parseInt(params.rate, 10);
+
+        console.log(`[${reqId}] Parsed params`, {
+            id,
+            tag,
+            eventParam,
+            messagePreview: String(message || '').slice(0, 40),
+            tokenParam: tokenParam ? '<present>' : '<missing>',
+        });
+
+        if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
+            console.warn(`[${reqId}] Unauthorized attempt`);
+            return res.status(401).end();
+        }
+
+        const event = getEvent(eventParam);
+        const {keys} = event;
+
+        if (id && params.status) {
+            const status = await getBroadcastStatus({id, keys});
+            return res.status(200).json({ok: true, event: event.id, ...status});
+        }
+
+        if (!id && params.dryRun) {
+            const recipients = await selectRecipients({tag, keys});
+            return res.status(200).json({
+                ok: true,
+                event: event.id,
+                dryRun: true,
+                total: recipients.length,
+                recipients,
+            });
+        }
+
+        let broadcastId = id;
+        if (!broadcastId) {
+            if (!message) {
+                console.warn(`[${reqId}] Missing message`);
+                return res
+                    .status(400)
+                    .json({
+                        ok: false,
+                        error: 'Missing message (or id to resume)',
+                    });
+            }
+            const created = await createBroadcast({message, tag, keys});
+            broadcastId = created.id;
+            console.log(`[${reqId}] Created broadcast ${broadcastId}`, {
+                total: created.total,
+            });
+        }
+
+        const result = await runBroadcast({
+            id: broadcastId,
+            event,
+            ...(Number.isFinite(rate) && rate > 0 ? {ratePerSec: rate} : {}),
+        });
+        console.log(`[${reqId}] Broadcast ${broadcastId} → ${result.status}`);
+
+        return res.status(200).json({ok: true, event: event.id, ...result});
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
@@ -0,0 +1,148 @@
+// Admin endpoint for the consent ledger (STOP / START history).
+// Usage (GET or POST):
+//   https://<your-app>.vercel.app/api/admin/consent?phone=555-123-4567&token=YOUR_TOKEN
+//     → that number's opt-out / opt-in history, oldest first
+//   https://<your-app>.vercel.app/api/admin/consent?action=export&format=csv&token=YOUR_TOKEN
+//     → every current opt-out with when / how it happened (compliance audits)
+//   Optional: &event=<id>, &format=csv|json (export; default json)
+//   Optional: &region=GB for numbers without a +country code (default PHONE_DEFAULT_REGION)
+
+import {toCsv} from '../../lib/utils.js';
+import {normalizePhone} from '../../lib/phone.js';
+import {PHONE_DEFAULT_REGION} from '../../lib/config.js';
+import {getEvent} from '../../lib/events.js';
+import {getConsentHistory, isOptedOut, listOptOuts} from '../../lib/optout.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const ACTIONS = new Set(['history', 'export']);
+const CSV_COLUMNS = [
+    'phone',
+    'optedOutAt',
+    'source',
+    'keyword',
+    'messageSid',
+    'errorCode',
+];
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    console.log(`[${reqId}] Incoming consent: ${req.method}`);
+
+    try {
+        if (!ADMIN_TOKEN) {
+            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        let params;
+        if (isGet) {
+            params = req.query || {};
+        } else {
+            const raw = await new Promise((resolve) => {
+                let data = '';
+                req.on('data', (c) => (data += c));
+                req.on('end', () => resolve(data));
+            });
+            params = Object.fromEntries(new URLSearchParams(raw));
+        }
+        const {
+            token: tokenParam,
+            event: eventParam,
+            phone: phoneParam,
+            region: regionParam,
+        } = params;
+        const action = String(
+            params.action || (phoneParam ? 'history' : 'export')
+        ).toLowerCase();
+        const format = String(params.format || 'json').toLowerCase();
+
+        console.log(`[${reqId}] Parsed params`, {
+            action,
+            phoneParam,
+            eventParam,
+            format,
+            tokenParam: tokenParam ? '<present>' : '<missing>',
+        });
+
+        if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
+            console.warn(`[${reqId}] Unauthorized attempt`);
+            return res.status(401).end();
+        }
+        if (!ACTIONS.has(action)) {
+            return res.status(400).json({
+                ok: false,
+                error: `Unknown action "${action}" (history|export)`,
+            });
+        }
+        if (format !== 'json' && format !== 'csv') {
+            return res
+                .status(400)
+                .json({ok: false, error: 'format must be json or csv'});
+        }
+
+        const event = getEvent(eventParam);
+        const {keys} = event;
+
+        if (action === 'history') {
+            if (!phoneParam) {
+                return res
+                    .status(400)
+                    .json({ok: false, error: 'Missing ?phone'});
+            }
+            const phone = normalizePhone(
+                phoneParam,
+                regionParam || PHONE_DEFAULT_REGION
+            );
+            const [history, optedOut] = await Promise.all([
+                getConsentHistory(phone, keys),
+                isOptedOut(phone, keys),
+            ]);
+            return res.status(200).json({
+                ok: true,
+                event: event.id,
+                phone,
+                optedOut,
+                history,
+            });
+        }
+
+        const optOuts = await listOptOuts(keys);
+        console.log(`[${reqId}] Exporting opt-outs`, {
+            event: event.id,
+            count: optOuts.length,
+        });
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader(
+                'Content-Disposition',
+                `attachment; filename="optouts-${event.id}.csv"`
+            );
+            return res.status(200).send(toCsv(optOuts, CSV_COLUMNS));
+        }
+
+        return res.status(200).json({
+            ok: true,
+            event: event.id,
+            count: optOuts.length,
+            optOuts,
+        });
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
@@ -0,0 +1,96 @@
+// Admin endpoint to send replies held over quiet hours that are now due.
+// Nothing else sends them: Vercel Cron calls it every 5 minutes (vercel.json,
+// authorized by CRON_SECRET) for every event, one batch each.
+// Usage (GET or POST):
+//   https://<your-app>.vercel.app/api/admin/deferred-flush?token=YOUR_TOKEN
+//   Optional: &event=<id>, &limit=N (replies per call, default 50; the
+//   response says `more: true` when due replies are left)
+
+import {getEvent, listEvents} from '../../lib/events.js';
+import {flushDeferredReplies} from '../../lib/schedule.js';
+import {isCronRequest} from '../../lib/auth-utils.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    console.log(`[${reqId}] Incoming deferred-flush: ${req.method}`);
+
+    try {
+        if (isCronRequest(req)) {
+            const results = {};
+            for (const event of listEvents()) {
+                results[event.id] = await flushDeferredReplies({
+                    event,
+                    log: console,
+                });
+            }
+            console.log(`[${reqId}] Cron flushed deferred replies`, results);
+            return res.status(200).json({ok: true, events: results});
+        }
+
+        if (!ADMIN_TOKEN) {
+            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        let params;
+        if (isGet) {
+            params = req.query || {};
+        } else {
+            const raw = await new Promise((resolve) => {
+                let data = '';
+                req.on('data', (c) => (data += c));
+                req.on('end', () => resolve(data));
+            });
+            params = Object.fromEntries(new URLSearchParams(raw));
+        }
+        const {
+            token: tokenParam,
+            event: eventParam,
+            limit: limitParam,
+        } = params;
+
+        if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
+            console.warn(`[${reqId}] Unauthorized attempt`);
+            return res.status(401).end();
+        }
+
+        const limit = limitParam === undefined ? undefined : Number(limitParam);
+        if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+            return res
+                .status(400)
+                .json({ok: false, error: 'limit must be a positive integer'});
+        }
+
+        const event = getEvent(eventParam);
+        const result = await flushDeferredReplies({
+            event,
+            limit,
+            log: console,
+        });
+        console.log(`[${reqId}] Flushed deferred replies`, {
+            event: event.id,
+            ...result,
+        });
+
+        return res.status(200).json({ok: true, event: event.id, ...result});
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
@@ -0,0 +1,85 @@
+// Admin endpoint that delivers queued host notifications (notify() only
+// queues them). Vercel Cron calls it every minute (vercel.json, authorized by
+// CRON_SECRET) for every event, within the digest window; a call with the
+// admin token sends right away.
+// Usage (GET or POST):
+//   https://<your-app>.vercel.app/api/admin/notify-flush?token=YOUR_TOKEN
+//   Optional: &event=<id>
+
+import {getEvent, listEvents} from '../../lib/events.js';
+import {flushNotifications} from '../../lib/notify.js';
+import {isCronRequest} from '../../lib/auth-utils.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    console.log(`[${reqId}] Incoming notify-flush: ${req.method}`);
+
+    try {
+        if (isCronRequest(req)) {
+            const results = {};
+            for (const event of listEvents()) {
+                results[event.id] = await flushNotifications({
+                    event,
+                    log: console,
+                });
+            }
+            console.log(`[${reqId}] Cron flushed notifications`, results);
+            return res.status(200).json({ok: true, events: results});
+        }
+
+        if (!ADMIN_TOKEN) {
+            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        let params;
+        if (isGet) {
+            params = req.query || {};
+        } else {
+            const raw = await new Promise((resolve) => {
+                let data = '';
+                req.on('data', (c) => (data += c));
+                req.on('end', () => resolve(data));
+            });
+            params = Object.fromEntries(new URLSearchParams(raw));
+        }
+        const {token: tokenParam, event: eventParam} = params;
+
+        if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
+            console.warn(`[${reqId}] Unauthorized attempt`);
+            return res.status(401).end();
+        }
+
+        const event = getEvent(eventParam);
+        const result = await flushNotifications({
+            event,
+            force: true,
+            log: console,
+        });
+        console.log(`[${reqId}] Flushed notifications`, {
+            event: event.id,
+            ...result,
+        });
+
+        return res.status(200).json({ok: true, event: event.id, ...result});
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
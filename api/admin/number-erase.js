@@ -0,0 +1,104 @@
+// Admin endpoint to erase a number from every key space (every event).
+// Usage (GET or POST):
+//   https://<your-app>.vercel.app/api/admin/number-erase?phone=555-123-4567&confirm=erase&token=YOUR_TOKEN
+//
+// `confirm=erase` is required. If the number opted out, its opt-out flag and
+// latest opt-out ledger entry are kept so it is still never texted.
+// Host-command audit entries it sent as a host are kept with admin=erased.
+// Optional: region=GB for numbers without a +country code (default PHONE_DEFAULT_REGION).
+
+import {normalizePhone} from '../../lib/phone.js';
+import {PHONE_DEFAULT_REGION} from '../../lib/config.js';
+import {eraseNumberData} from '../../lib/privacy.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    console.log(`[${reqId}] Incoming number-erase: ${req.method} ${req.url}`);
+
+    try {
+        if (!ADMIN_TOKEN) {
+            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        let phoneParam, regionParam, tokenParam, confirmParam;
+        if (isGet) {
+            phoneParam = req.query.phone;
+            regionParam = req.query.region;
+            tokenParam = req.query.token;
+            confirmParam = req.query.confirm;
+        } else {
+            const raw = await new Promise((resolve) => {
+                let data = '';
+                req.on('data', (c) => (data += c));
+                req.on('end', () => resolve(data));
+            });
+            const params = Object.fromEntries(new URLSearchParams(raw));
+            phoneParam = params.phone;
+            regionParam = params.region;
+            tokenParam = params.token;
+            confirmParam = params.confirm;
+        }
+
+        console.log(`[${reqId}] Parsed params`, {
+            phoneParam,
+            confirm: confirmParam,
+            tokenParam: tokenParam ? '<present>' : '<missing>',
+        });
+
+        if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
+            console.warn(
+                `[${reqId}] Unauthorized attempt with token="${tokenParam}"`
+            );
+            return res.status(401).end();
+        }
+        if (!phoneParam) {
+            console.warn(`[${reqId}] Missing ?phone param`);
+            return res.status(400).send('ERROR: Missing ?phone');
+        }
+
+        const phone = normalizePhone(
+            phoneParam,
+            regionParam || PHONE_DEFAULT_REGION
+        );
+        console.log(`[${reqId}] Normalized phone: ${phone}`);
+
+        if (confirmParam !== 'erase') {
+            console.warn(`[${reqId}] Erase not confirmed`);
+            return res.status(400).json({
+                ok: false,
+                error: 'Add confirm=erase to erase this number',
+            });
+        }
+
+        const result = await eraseNumberData(phone, {log: console});
+        console.log(`[${reqId}] ✅ Erased ${phone}`, result);
+
+        return res.status(200).json({
+            ok: true,
+            ...result,
+            message: result.suppressionKept
+                ? 'Number erased; opt-out suppression record kept.'
+                : 'Number erased.',
+        });
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
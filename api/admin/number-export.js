@@ -0,0 +1,87 @@
+// Admin endpoint to export everything stored about a number (every event).
+// Usage (GET or POST):
+//   https://<your-app>.vercel.app/api/admin/number-export?phone=555-123-4567&token=YOUR_TOKEN
+//
+// Returns JSON grouped by event id; events holding nothing are omitted.
+// Optional: region=GB for numbers without a +country code (default PHONE_DEFAULT_REGION).
+
+import {normalizePhone} from '../../lib/phone.js';
+import {PHONE_DEFAULT_REGION} from '../../lib/config.js';
+import {exportNumberData} from '../../lib/privacy.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    console.log(`[${reqId}] Incoming number-export: ${req.method} ${req.url}`);
+
+    try {
+        if (!ADMIN_TOKEN) {
+            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        let phoneParam, regionParam, tokenParam;
+        if (isGet) {
+            phoneParam = req.query.phone;
+            regionParam = req.query.region;
+            tokenParam = req.query.token;
+        } else {
+            const raw = await new Promise((resolve) => {
+                let data = '';
+                req.on('data', (c) => (data += c));
+                req.on('end', () => resolve(data));
+            });
+            const params = Object.fromEntries(new URLSearchParams(raw));
+            phoneParam = params.phone;
+            regionParam = params.region;
+            tokenParam = params.token;
+        }
+
+        console.log(`[${reqId}] Parsed params`, {
+            phoneParam,
+            tokenParam: tokenParam ? '<present>' : '<missing>',
+        });
+
+        if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
+            console.warn(
+                `[${reqId}] Unauthorized attempt with token="${tokenParam}"`
+            );
+            return res.status(401).end();
+        }
+        if (!phoneParam) {
+            console.warn(`[${reqId}] Missing ?phone param`);
+            return res.status(400).send('ERROR: Missing ?phone');
+        }
+
+        const phone = normalizePhone(
+            phoneParam,
+            regionParam || PHONE_DEFAULT_REGION
+        );
+        console.log(`[${reqId}] Normalized phone: ${phone}`);
+
+        const data = await exportNumberData(phone);
+        console.log(`[${reqId}] Exported data for ${phone}`, {
+            events: Object.keys(data.events),
+        });
+
+        return res.status(200).json({ok: true, ...data});
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
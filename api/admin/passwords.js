@@ -0,0 +1,176 @@
+// Admin endpoint to manage site password versions.
+// Usage (POST recommended; GET works too), all with token=YOUR_TOKEN:
+//   action=list                                   versions + which is active
+//   action=set&password=NewPass                   new version, effective now
+//   action=rotate&password=NewPass&at=2026-06-15T00:00:00-07:00
+//                                                 new version, effective at `at`
+//                                                 (no offset → the event's time zone)
+//   action=cancel&version=3                       drop a not-yet-effective version
+//   action=notify                                 text the active password to guests
+//                                                 who last received an older version
+//
+// Optional: event=<id>, note=<text> (set/rotate), rate=<msgs/sec> (notify).
+// notify runs as a broadcast; if the response has done=false, resume it with
+// /api/admin/broadcast?id=<id>.
+
+import {getEvent} from '../../lib/events.js';
+import {
+    addPassword,
+    cancelPassword,
+    getActivePassword,
+    listPasswords,
+    listStaleRecipients,
+} from '../../lib/passwords.js';
+import {createBroadcast, runBroadcast} from '../../lib/broadcast.js';
+import {renderTemplate} from '../../lib/templates.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const ACTIONS = new Set(['list', 'set', 'rotate', 'cancel', 'notify']);
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    console.log(`[${reqId}] Incoming passwords: ${req.method}`);
+
+    try {
+        if (!ADMIN_TOKEN) {
+            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        let params;
+        if (isGet) {
+            params = req.query || {};
+        } else {
+            const raw = await new Promise((resolve) => {
+                let data = '';
+                req.on('data', (c) => (data += c));
+                req.on('end', () => resolve(data));
+            });
+            params = Object.fromEntries(new URLSearchParams(raw));
+        }
+        const {token: tokenParam, event: eventParam} = params;
+        const action = String(params.action || 'list').toLowerCase();
+
+        console.log(`[${reqId}] Parsed params`, {
+            action,
+            eventParam,
+            at: params.at,
+            version: params.version,
+            tokenParam: tokenParam ? '<present>' : '<missing>',
+        });
+
+        if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
+            console.warn(`[${reqId}] Unauthorized attempt`);
+            return res.status(401).end();
+        }
+        if (!ACTIONS.has(action)) {
+            return res.status(400).json({
+                ok: false,
+                error: `action must be one of: ${Array.from(ACTIONS).join(', ')}`,
+            });
+        }
+
+        const event = getEvent(eventParam);
+
+        if (action === 'set' || action === 'rotate') {
+            if (action === 'rotate' && !params.at) {
+                return res
+                    .status(400)
+                    .json({ok: false, error: 'rotate needs at=<date/time>'});
+            }
+            const record = await addPassword({
+                event,
+                password: params.password,
+                effectiveFrom: action === 'set' ? '' : params.at,
+                note: params.note,
+            });
+            console.log(`[${reqId}] Added password version ${record.version}`, {
+                event: event.id,
+                effectiveFrom: new Date(record.effectiveFrom).toISOString(),
+            });
+        }
+
+        if (action === 'cancel') {
+            const result = await cancelPassword({
+                event,
+                version: params.version,
+            });
+            console.log(`[${reqId}] Cancelled version ${result.version}`);
+        }
+
+        if (action === 'notify') {
+            const [active, recipients] = await Promise.all([
+                getActivePassword(event),
+                listStaleRecipients(event),
+            ]);
+            if (!recipients.length) {
+                return res.status(200).json({
+                    ok: true,
+                    event: event.id,
+                    activeVersion: active.version,
+                    message: 'Every guest already has the active password.',
+                });
+            }
+            // One broadcast body for everyone → default-locale template
+            const {id} = await createBroadcast({
+                message: await renderTemplate({
+                    event,
+                    name: 'passwordChanged',
+                    vars: {password: active.password},
+                }),
+                recipients,
+                passwordVersion: active.version,
+                keys: event.keys,
+            });
+            const rate = Number.parseInt(params.rate, 10);
+            const result = await runBroadcast({
+                id,
+                event,
+                ...(Number.isFinite(rate) && rate > 0
+                    ? {ratePerSec: rate}
+                    : {}),
+            });
+            console.log(`[${reqId}] Password notice broadcast ${id}`, {
+                version: active.version,
+                status: result.status,
+            });
+            return res.status(200).json({
+                ok: true,
+                event: event.id,
+                activeVersion: active.version,
+                broadcast: result,
+            });
+        }
+
+        const [active, versions] = await Promise.all([
+            getActivePassword(event),
+            listPasswords(event),
+        ]);
+        return res.status(200).json({
+            ok: true,
+            event: event.id,
+            active: {version: active.version, source: active.source},
+            versions: versions.map((v) => ({
+                ...v,
+                effectiveFrom: new Date(v.effectiveFrom).toISOString(),
+            })),
+        });
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
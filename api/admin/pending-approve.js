@@ -0,0 +1,101 @@
+// Admin endpoint to approve a pending number: whitelists it and texts the password.
+// Usage (GET or POST):
+//   https://<your-app>.vercel.app/api/admin/pending-approve?phone=+15551234567&name=Jane&token=YOUR_TOKEN
+//
+// Optional: name, party, tags, notes (stored on the guest record), event=<id>.
+// Optional: region=GB for numbers without a +country code (default PHONE_DEFAULT_REGION).
+// Also works for numbers that never texted (acts like whitelist-add + send).
+
+import {normalizePhone} from '../../lib/phone.js';
+import {PHONE_DEFAULT_REGION} from '../../lib/config.js';
+import {getEvent} from '../../lib/events.js';
+import {pickGuestFields} from '../../lib/guests.js';
+import {approvePending} from '../../lib/pending.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    console.log(`[${reqId}] Incoming pending-approve: ${req.method}`);
+
+    try {
+        if (!ADMIN_TOKEN) {
+            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        let params;
+        if (isGet) {
+            params = req.query || {};
+        } else {
+            const raw = await new Promise((resolve) => {
+                let data = '';
+                req.on('data', (c) => (data += c));
+                req.on('end', () => resolve(data));
+            });
+            params = Object.fromEntries(new URLSearchParams(raw));
+        }
+        const {
+            phone: phoneParam,
+            region: regionParam,
+            token: tokenParam,
+            event: eventParam,
+        } = params;
+        const fields = pickGuestFields(params);
+
+        console.log(`[${reqId}] Parsed params`, {
+            phoneParam,
+            eventParam,
+            fields,
+            tokenParam: tokenParam ? '<present>' : '<missing>',
+        });
+
+        if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
+            console.warn(`[${reqId}] Unauthorized attempt`);
+            return res.status(401).end();
+        }
+        if (!phoneParam) {
+            console.warn(`[${reqId}] Missing ?phone param`);
+            return res.status(400).send('ERROR: Missing ?phone');
+        }
+
+        const phone = normalizePhone(
+            phoneParam,
+            regionParam || PHONE_DEFAULT_REGION
+        );
+        const event = getEvent(eventParam);
+        const result = await approvePending({phone, event, fields});
+        console.log(`[${reqId}] Approved ${phone}`, {
+            event: event.id,
+            wasPending: result.wasPending,
+            sent: result.sent,
+        });
+
+        return res.status(200).json({
+            ok: true,
+            event: event.id,
+            phone,
+            ...result,
+            message: result.sent
+                ? 'Whitelisted and password sent.'
+                : 'Whitelisted; password not sent (number is opted out).',
+        });
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
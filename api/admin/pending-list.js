@@ -0,0 +1,77 @@
+// Admin endpoint listing unknown numbers waiting for approval.
+// Usage (GET or POST):
+//   https://<your-app>.vercel.app/api/admin/pending-list?token=YOUR_TOKEN
+//   Optional: &event=<id>
+
+import {getEvent} from '../../lib/events.js';
+import {listPending} from '../../lib/pending.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    console.log(`[${reqId}] Incoming pending-list: ${req.method}`);
+
+    try {
+        if (!ADMIN_TOKEN) {
+            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        let params;
+        if (isGet) {
+            params = req.query || {};
+        } else {
+            const raw = await new Promise((resolve) => {
+                let data = '';
+                req.on('data', (c) => (data += c));
+                req.on('end', () => resolve(data));
+            });
+            params = Object.fromEntries(new URLSearchParams(raw));
+        }
+        const {token: tokenParam, event: eventParam} = params;
+
+        if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
+            console.warn(`[${reqId}] Unauthorized attempt`);
+            return res.status(401).end();
+        }
+
+        const event = getEvent(eventParam);
+        const pending = await listPending(event.keys);
+        console.log(`[${reqId}] Pending count: ${pending.length}`, {
+            event: event.id,
+        });
+
+        return res.status(200).json({
+            ok: true,
+            event: event.id,
+            count: pending.length,
+            pending: pending.map((p) => ({
+                ...p,
+                firstSeen: p.firstSeen
+                    ? new Date(p.firstSeen).toISOString()
+                    : null,
+                lastSeen: p.lastSeen
+                    ? new Date(p.lastSeen).toISOString()
+                    : null,
+            })),
+        });
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
@@ -0,0 +1,94 @@
+// Admin endpoint to export all saved RSVPs.
+// Usage (GET or POST):
+//   https://<your-app>.vercel.app/api/admin/rsvp-export?token=YOUR_TOKEN
+//   Optional: &format=csv (default json), &event=<id>
+
+import {toCsv} from '../../lib/utils.js';
+import {getEvent} from '../../lib/events.js';
+import {listRsvps} from '../../lib/rsvp.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const CSV_COLUMNS = [
+    'phone',
+    'name',
+    'party',
+    'attending',
+    'headcount',
+    'meal',
+    'updatedAt',
+];
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    console.log(`[${reqId}] Incoming rsvp-export: ${req.method}`);
+
+    try {
+        if (!ADMIN_TOKEN) {
+            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        let params;
+        if (isGet) {
+            params = req.query || {};
+        } else {
+            const raw = await new Promise((resolve) => {
+                let data = '';
+                req.on('data', (c) => (data += c));
+                req.on('end', () => resolve(data));
+            });
+            params = Object.fromEntries(new URLSearchParams(raw));
+        }
+        const {token: tokenParam, event: eventParam} = params;
+        const format = String(params.format || 'json').toLowerCase();
+
+        if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
+            console.warn(`[${reqId}] Unauthorized attempt`);
+            return res.status(401).end();
+        }
+        if (format !== 'json' && format !== 'csv') {
+            return res
+                .status(400)
+                .json({ok: false, error: 'format must be json or csv'});
+        }
+
+        const event = getEvent(eventParam);
+        const rsvps = await listRsvps(event.keys);
+        const attending = rsvps.filter((r) => r.attending === 'yes');
+        const totals = {
+            responses: rsvps.length,
+            attending: attending.length,
+            declined: rsvps.length - attending.length,
+            headcount: attending.reduce((n, r) => n + r.headcount, 0),
+        };
+        console.log(`[${reqId}] Exporting RSVPs`, {event: event.id, totals});
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader(
+                'Content-Disposition',
+                `attachment; filename="rsvps-${event.id}.csv"`
+            );
+            return res.status(200).send(toCsv(rsvps, CSV_COLUMNS));
+        }
+
+        return res.status(200).json({ok: true, event: event.id, totals, rsvps});
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
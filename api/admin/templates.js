@@ -0,0 +1,128 @@
+// Admin endpoint for reply templates (per event, per locale).
+// Usage (GET or POST):
+//   https://<your-app>.vercel.app/api/admin/templates?token=YOUR_TOKEN
+//   action=list (default)                         effective text + overrides per locale
+//   action=set&name=<name>&locale=<xx>&text=<t>   override one template
+//   action=reset&name=<name>&locale=<xx>          drop an override (back to default)
+//
+// Optional: event=<id>. locale defaults to DEFAULT_LOCALE.
+
+import {getEvent} from '../../lib/events.js';
+import {SUPPORTED_LOCALES} from '../../lib/config.js';
+import {
+    TEMPLATE_NAMES,
+    getOverrides,
+    getTemplate,
+    setTemplate,
+    resetTemplate,
+} from '../../lib/templates.js';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const ACTIONS = new Set(['list', 'set', 'reset']);
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    console.log(`[${reqId}] Incoming templates: ${req.method}`);
+
+    try {
+        if (!ADMIN_TOKEN) {
+            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        let params;
+        if (isGet) {
+            params = req.query || {};
+        } else {
+            const raw = await new Promise((resolve) => {
+                let data = '';
+                req.on('data', (c) => (data += c));
+                req.on('end', () => resolve(data));
+            });
+            params = Object.fromEntries(new URLSearchParams(raw));
+        }
+        const {token: tokenParam, event: eventParam, name, locale} = params;
+        const action = String(params.action || 'list').toLowerCase();
+
+        console.log(`[${reqId}] Parsed params`, {
+            action,
+            eventParam,
+            name,
+            locale,
+            tokenParam: tokenParam ? '<present>' : '<missing>',
+        });
+
+        if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
+            console.warn(`[${reqId}] Unauthorized attempt`);
+            return res.status(401).end();
+        }
+
+        if (!ACTIONS.has(action)) {
+            return res.status(400).json({
+                ok: false,
+                error: `Unknown action "${action}" (list|set|reset)`,
+            });
+        }
+
+        const event = getEvent(eventParam);
+
+        if (action === 'set') {
+            const result = await setTemplate({
+                event,
+                locale,
+                name,
+                text: params.text,
+            });
+            console.log(`[${reqId}] Template set`, {
+                event: event.id,
+                locale: result.locale,
+                name,
+            });
+            return res.status(200).json({ok: true, event: event.id, ...result});
+        }
+
+        if (action === 'reset') {
+            const result = await resetTemplate({event, locale, name});
+            console.log(`[${reqId}] Template reset`, {
+                event: event.id,
+                locale: result.locale,
+                name,
+                removed: result.removed,
+            });
+            return res.status(200).json({ok: true, event: event.id, ...result});
+        }
+
+        const locales = {};
+        for (const loc of SUPPORTED_LOCALES) {
+            const overrides = await getOverrides(event.keys, loc);
+            const templates = {};
+            for (const n of TEMPLATE_NAMES) {
+                templates[n] = await getTemplate({event, locale: loc, name: n});
+            }
+            locales[loc] = {templates, overrides: Object.keys(overrides)};
+        }
+        return res.status(200).json({
+            ok: true,
+            event: event.id,
+            names: TEMPLATE_NAMES,
+            locales,
+        });
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
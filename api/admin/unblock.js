@@ -1,37 +1,21 @@
 // Admin endpoint to unblock a number via URL.
 // Usage (GET or POST):
 //   https://<your-app>.vercel.app/api/admin/unblock?phone=555-123-4567&token=YOUR_TOKEN
+//   Optional: &event=<id> (defaults to DEFAULT_EVENT_ID)
+//             &action=status → show the current block + strike history only
+//             &region=GB for numbers without a +country code (default PHONE_DEFAULT_REGION)
+//   Unblocking lifts the block and clears the strike history.
 //
 // Env required:
 //   ADMIN_TOKEN=some-long-random-string
 
-import {redis} from '../../lib/redis.js';
-import {KEYS} from '../../lib/config.js';
-import {normalizeToE164US} from '../../lib/utils.js';
+import {normalizePhone} from '../../lib/phone.js';
+import {PHONE_DEFAULT_REGION} from '../../lib/config.js';
+import {getEvent} from '../../lib/events.js';
+import {getBlock, getStrikes, unblockNumber} from '../../lib/abuse.js';
 
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 
-// Delete keys by SCAN (works on all @upstash/redis versions)
-async function deleteByPattern(pattern, count = 200) {
-    let deleted = 0;
-    let cursor = 0;
-
-    do {
-        const resp = await redis.scan(cursor, {match: pattern, count});
-        const next = Number(resp?.[0] ?? 0);
-        const keys = Array.isArray(resp?.[1]) ? resp[1] : [];
-
-        for (const k of keys) {
-            await redis.del(k);
-            deleted++;
-            console.log(`Deleted key: ${k}`);
-        }
-        cursor = next;
-    } while (cursor !== 0);
-
-    return deleted;
-}
-
 export default async function handler(req, res) {
     const reqId = Math.random().toString(36).slice(2, 8);
     console.log(
@@ -51,10 +35,13 @@ export default async function handler(req, res) {
             return res.status(405).end();
         }
 
-        let phoneParam, tokenParam;
+        let phoneParam, regionParam, tokenParam, eventParam, actionParam;
         if (isGet) {
             phoneParam = req.query.phone;
+            regionParam = req.query.region;
             tokenParam = req.query.token;
+            eventParam = req.query.event;
+            actionParam = req.query.action;
         } else {
             const raw = await new Promise((resolve) => {
                 let data = '';
@@ -63,11 +50,17 @@ export default async function handler(req, res) {
             });
             const params = Object.fromEntries(new URLSearchParams(raw));
             phoneParam = params.phone;
+            regionParam = params.region;
             tokenParam = params.token;
+            eventParam = params.event;
+            actionParam = params.action;
         }
+        const action = String(actionParam || 'unblock').toLowerCase();
 
         console.log(`[${reqId}] Parsed params`, {
             phoneParam,
+            eventParam,
+            action,
             tokenParam: tokenParam ? '<present>' : '<missing>',
         });
 
@@ -82,32 +75,56 @@ export default async function handler(req, res) {
             return res.status(400).send('ERROR: Missing ?phone');
         }
 
-        const phone = normalizeToE164US(phoneParam);
+        const phone = normalizePhone(
+            phoneParam,
+            regionParam || PHONE_DEFAULT_REGION
+        );
         console.log(`[${reqId}] Normalized phone: ${phone}`);
 
-        // 1) Remove from permanent blocklist
-        const removed = await redis.srem(KEYS.ABUSE_SET, phone);
-        console.log(`[${reqId}] SREM ${KEYS.ABUSE_SET} → removed=${removed}`);
+        if (action !== 'unblock' && action !== 'status') {
+            return res.status(400).json({
+                ok: false,
+                error: `Unknown action "${action}" (unblock|status)`,
+            });
+        }
 
-        // 2) Remove per-number throttle hash
-        const hashKey = `${KEYS.PER_NUMBER_HASH_PREFIX}${phone}`;
-        await redis.del(hashKey);
-        console.log(`[${reqId}] DEL ${hashKey}`);
+        const event = getEvent(eventParam);
+        const {keys} = event;
+
+        const [block, strikes] = await Promise.all([
+            getBlock(phone, keys),
+            getStrikes(phone, keys),
+        ]);
+        if (action === 'status') {
+            return res.status(200).json({
+                ok: true,
+                event: event.id,
+                phone,
+                blocked: !!block,
+                block,
+                ...strikes,
+            });
+        }
 
-        // 3) Remove burst counters
-        const burstDeleted = await deleteByPattern(
-            `${KEYS.BURST_PREFIX}${phone}:*`,
-            200
-        );
-        console.log(`[${reqId}] Burst keys deleted: ${burstDeleted}`);
+        // Lift the block + strikes, suspicious count and rate-limit state
+        const {blockCleared, strikesCleared, limitsDeleted} =
+            await unblockNumber(phone, keys);
+        console.log(`[${reqId}] Block cleared=${blockCleared}`, {
+            strikes: strikes.strikes,
+            strikesCleared,
+            limitsDeleted,
+        });
 
         console.log(`[${reqId}] ✅ Completed unblock for ${phone}`);
 
         return res.status(200).json({
             ok: true,
+            event: event.id,
             phone,
-            removedFromBlocklist: removed === 1,
-            burstDeleted,
+            removedFromBlocklist: blockCleared,
+            block,
+            clearedStrikes: strikes,
+            limitsDeleted,
             note: 'If the user texted STOP, carriers still require START to re-enable delivery.',
         });
     } catch (err) {
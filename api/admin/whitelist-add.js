@@ -1,32 +1,45 @@
-import {redis} from '../../lib/redis.js';
-import {KEYS} from '../../lib/config.js';
-import {assertE164US} from '../../lib/utils.js';
+// Admin endpoint to whitelist a number, optionally with guest details.
+// Usage (GET or POST):
+//   https://<your-app>.vercel.app/api/admin/whitelist-add?phone=+15551234567&name=Robyn&party=Smith%20Family&tags=wedding-party&token=YOUR_TOKEN
+//
+// Optional fields: name, party, tags (comma / | separated), notes.
+// Optional: event=<id> (defaults to DEFAULT_EVENT_ID).
+// Optional: region=GB for numbers without a +country code (default PHONE_DEFAULT_REGION).
+// Re-adding an existing number merges the provided fields into its record.
+
+import {normalizePhone} from '../../lib/phone.js';
+import {PHONE_DEFAULT_REGION} from '../../lib/config.js';
+import {pickGuestFields, upsertGuest} from '../../lib/guests.js';
+import {getEvent} from '../../lib/events.js';
 
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 
-export default async function handler(req, res) {
+export default async function handler(req, res, {log = console} = {}) {
     const reqId = Math.random().toString(36).slice(2, 8);
-    console.log(`[${reqId}] Incoming whitelist-add: ${req.method} ${req.url}`);
+    log.info(`[${reqId}] Incoming whitelist-add: ${req.method} ${req.url}`);
 
     try {
         if (!ADMIN_TOKEN) {
-            console.error(`[${reqId}] Missing ADMIN_TOKEN env`);
+            log.error(`[${reqId}] Missing ADMIN_TOKEN env`);
             return res.status(401).end();
         }
 
         const isGet = req.method === 'GET';
         const isPost = req.method === 'POST';
         if (!isGet && !isPost) {
-            console.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            log.warn(`[${reqId}] Unsupported method: ${req.method}`);
             return res
                 .status(405)
                 .json({ok: false, error: 'Method Not Allowed'});
         }
 
-        let phoneParam, tokenParam;
+        let phoneParam, regionParam, tokenParam, eventParam, fields;
         if (isGet) {
             phoneParam = req.query.phone;
+            regionParam = req.query.region;
             tokenParam = req.query.token;
+            eventParam = req.query.event;
+            fields = pickGuestFields(req.query);
         } else {
             const raw = await new Promise((resolve) => {
                 let data = '';
@@ -35,42 +48,61 @@ export default async function handler(req, res) {
             });
             const params = Object.fromEntries(new URLSearchParams(raw));
             phoneParam = params.phone;
+            regionParam = params.region;
             tokenParam = params.token;
+            eventParam = params.event;
+            fields = pickGuestFields(params);
         }
 
-        console.log(`[${reqId}] Parsed params`, {
+        log.info(`[${reqId}] Parsed params`, {
             phoneParam,
+            eventParam,
+            fields,
             tokenParam: tokenParam ? '<present>' : '<missing>',
         });
 
         if (!tokenParam || tokenParam !== ADMIN_TOKEN) {
-            console.warn(
+            log.warn(
                 `[${reqId}] Unauthorized attempt with token="${tokenParam}"`
             );
             return res.status(401).end();
         }
         if (!phoneParam) {
-            console.warn(`[${reqId}] Missing ?phone param`);
+            log.warn(`[${reqId}] Missing ?phone param`);
             return res.status(400).send('ERROR: Missing ?phone');
         }
 
-        const phone = assertE164US(phoneParam);
-        console.log(`[${reqId}] Validated phone: ${phone}`);
+        const phone = normalizePhone(
+            phoneParam,
+            regionParam || PHONE_DEFAULT_REGION
+        );
+        log.info(`[${reqId}] Validated phone: ${phone}`);
+
+        const event = getEvent(eventParam);
+        const {keys} = event;
 
-        const added = await redis.sadd(KEYS.WHITELIST, phone);
-        console.log(`[${reqId}] SADD ${KEYS.WHITELIST} → added=${added}`);
+        const {added, guest} = await upsertGuest(phone, fields, keys);
+        log.info(`[${reqId}] SADD ${keys.WHITELIST} → added=${added}`, {
+            updatedFields: Object.keys(fields),
+        });
+
+        let message = added
+            ? 'Phone added to whitelist.'
+            : 'Phone was already in whitelist.';
+        if (!added && Object.keys(fields).length) {
+            message += ' Guest details updated.';
+        }
 
         return res.status(200).json({
             ok: true,
+            event: event.id,
             phone,
-            added: added === 1,
-            message:
-                added === 1
-                    ? 'Phone added to whitelist.'
-                    : 'Phone was already in whitelist.',
+            added,
+            guest,
+            message,
         });
     } catch (err) {
-        console.error(`[${reqId}] ERROR`, {
+        log.error(`[${reqId}] ERROR`, {
             message: err?.message,
             stack: err?.stack,
         });
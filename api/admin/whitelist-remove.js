@@ -1,6 +1,7 @@
-import {redis} from '../../lib/redis.js';
-import {KEYS} from '../../lib/config.js';
-import {assertE164US} from '../../lib/utils.js';
+import {normalizePhone} from '../../lib/phone.js';
+import {PHONE_DEFAULT_REGION} from '../../lib/config.js';
+import {removeGuest} from '../../lib/guests.js';
+import {getEvent} from '../../lib/events.js';
 
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 
@@ -25,10 +26,12 @@ export default async function handler(req, res) {
                 .json({ok: false, error: 'Method Not Allowed'});
         }
 
-        let phoneParam, tokenParam;
+        let phoneParam, regionParam, tokenParam, eventParam;
         if (isGet) {
             phoneParam = req.query.phone;
+            regionParam = req.query.region;
             tokenParam = req.query.token;
+            eventParam = req.query.event;
         } else {
             const raw = await new Promise((resolve) => {
                 let data = '';
@@ -37,11 +40,14 @@ export default async function handler(req, res) {
             });
             const params = Object.fromEntries(new URLSearchParams(raw));
             phoneParam = params.phone;
+            regionParam = params.region;
             tokenParam = params.token;
+            eventParam = params.event;
         }
 
         console.log(`[${reqId}] Parsed params`, {
             phoneParam,
+            eventParam,
             tokenParam: tokenParam ? '<present>' : '<missing>',
         });
 
@@ -56,20 +62,27 @@ export default async function handler(req, res) {
             return res.status(400).send('ERROR: Missing ?phone');
         }
 
-        const phone = assertE164US(phoneParam);
+        const phone = normalizePhone(
+            phoneParam,
+            regionParam || PHONE_DEFAULT_REGION
+        );
         console.log(`[${reqId}] Validated phone: ${phone}`);
 
-        const removed = await redis.srem(KEYS.WHITELIST, phone);
-        console.log(`[${reqId}] SREM ${KEYS.WHITELIST} → removed=${removed}`);
+        const event = getEvent(eventParam);
+        const {keys} = event;
+
+        // also drops the guest:<phone> record
+        const {removed} = await removeGuest(phone, keys);
+        console.log(`[${reqId}] SREM ${keys.WHITELIST} → removed=${removed}`);
 
         return res.status(200).json({
             ok: true,
+            event: event.id,
             phone,
-            removed: removed === 1,
-            message:
-                removed === 1
-                    ? 'Phone removed from whitelist.'
-                    : 'Phone was not in whitelist.',
+            removed,
+            message: removed
+                ? 'Phone removed from whitelist.'
+                : 'Phone was not in whitelist.',
         });
     } catch (err) {
         console.error(`[${reqId}] ERROR`, {
@@ -1,207 +1,161 @@
 // api/sms.js — Twilio webhook (uses centralized config + lean helpers)
-import {twiml as TwiML} from 'twilio';
-import {redis} from '../lib/redis.js';
+// Also serves WhatsApp: point the WhatsApp sender's webhook here too.
+import twilio from 'twilio';
 import {
-    SITE_PASSWORD,
-    HELP_MESSAGE,
-    REQUIRED_TEXT_KEYWORD,
-    ALLOW_PASSWORD_REJOIN,
-    MIN_REPLY_COOLDOWN_MIN,
-    MAX_PER_NUMBER_PER_DAY,
-    GLOBAL_MAX_PER_DAY,
-    OPT_OUTS,
-    OPT_INS,
-    HELP_WORDS,
-    KEYS,
-    TTL,
+    TWILIO_AUTH_TOKEN,
+    ALLOW_QUERY_TOKEN_FALLBACK,
+    STATUS_CALLBACK_URL,
+    PIPELINE_DEBUG,
 } from '../lib/config.js';
 import {dayKey, parseFormBody} from '../lib/utils.js';
-import {recordOptOut, clearOptOut, isOptedOut} from '../lib/optout.js';
-import {runUnknownAbuseGuards} from '../lib/abuse.js';
-import {getUnknownThrottleState, recordUnknownReply} from '../lib/throttle.js';
-import {isTokenValid} from '../lib/auth-utils.js';
-
-export default async function handler(req, res) {
+import {isTokenValid, isTwilioSignatureValid} from '../lib/auth-utils.js';
+import {
+    messageIdFor,
+    claimMessage,
+    saveMessageResponse,
+    releaseMessage,
+    captureResponse,
+    sendCachedResponse,
+} from '../lib/replay.js';
+import {resolveEventByNumber} from '../lib/events.js';
+import {parseMessage} from '../lib/keywords.js';
+import {parseAddress, channelRules, recordChannelUse} from '../lib/channels.js';
+import {windowState} from '../lib/schedule.js';
+import {runPipeline} from '../lib/pipeline.js';
+import {SMS_STAGES} from '../lib/sms-stages.js';
+
+// `log` is swappable for tests; Vercel calls handler(req, res)
+export default async function handler(req, res, {log = console} = {}) {
     const reqId = Math.random().toString(36).slice(2, 8);
     const started = Date.now();
 
     try {
-        if (!isTokenValid(req, process.env.SMS_TOKEN)) {
-            console.warn(
-                `[${reqId}] Unauthorized attempt with token="${req.query.token}"`
-            );
-            return res.status(401).end();
-        }
-
         if (req.method !== 'POST') {
-            console.warn(
-                `[${reqId}] Non-POST request: ${req.method} ${req.url}`
-            );
+            log.warn(`[${reqId}] Non-POST request: ${req.method}`);
             return res.status(405).end();
         }
 
         const params = await parseFormBody(req);
-        const fromNumber = (params.From || '').trim();
+
+        // Auth: Twilio signature; legacy ?token= only when explicitly enabled
+        const signature = req.headers['x-twilio-signature'];
+        const signatureOk = isTwilioSignatureValid(
+            req,
+            params,
+            TWILIO_AUTH_TOKEN
+        );
+        const tokenOk =
+            !signatureOk &&
+            ALLOW_QUERY_TOKEN_FALLBACK &&
+            isTokenValid(req, process.env.SMS_TOKEN);
+        if (!signatureOk && !tokenOk) {
+            log.warn(`[${reqId}] Unauthorized webhook`, {
+                signature: signature ? '<invalid>' : '<missing>',
+                tokenFallback: ALLOW_QUERY_TOKEN_FALLBACK,
+            });
+            return res.status(401).end();
+        }
+
+        // Twilio retries / replays: answer with the first response, untouched
+        const dedupeId = messageIdFor(params, signatureOk ? signature : null);
+        const claim = await claimMessage(dedupeId);
+        if (claim.state === 'done') {
+            log.info(`[${reqId}] Repeat of ${dedupeId} → cached response`);
+            return sendCachedResponse(res, claim.response);
+        }
+        if (claim.state === 'busy') {
+            log.warn(`[${reqId}] ${dedupeId} still processing; 409`);
+            return res.status(409).end();
+        }
+        captureResponse(res, (response) =>
+            response.status >= 500
+                ? releaseMessage(dedupeId)
+                : saveMessageResponse(dedupeId, response)
+        );
+
+        // "whatsapp:+44…" → the same guest as +44… by SMS
+        const {channel, phone: fromNumber} = parseAddress(params.From);
+        const rules = channelRules(channel);
         const bodyRaw = (params.Body || '').trim();
-        const bodyUpper = bodyRaw.toUpperCase();
-        const today = dayKey();
         const messageSid = params.MessageSid || '(no-sid)';
-        const keywordRequired = (REQUIRED_TEXT_KEYWORD || '').toUpperCase();
 
-        console.log(`[${reqId}] Incoming`, {
+        // Route by the Twilio number texted → event profile
+        const event = resolveEventByNumber(params.To);
+        const today = dayKey(new Date(), event.timezone);
+        const window = windowState(event);
+        // .locale: language of any localized keyword (e.g. AYUDA → es)
+        const parsed = parseMessage(bodyRaw, {keyword: event.keyword});
+
+        log.info(`[${reqId}] Incoming`, {
             fromNumber,
+            channel,
+            to: params.To,
+            event: event.id,
             messageSid,
+            auth: signatureOk ? 'signature' : 'token',
             today,
+            window,
+            intent: parsed.intent,
             bodyPreview: bodyRaw.slice(0, 80),
             env: process.env.VERCEL_ENV,
         });
 
-        const twiml = new TwiML.MessagingResponse();
-
-        // STOP → record and stay silent
-        if (OPT_OUTS.some((k) => bodyUpper.includes(k))) {
-            console.log(
-                `[${reqId}] STOP detected → recording opt-out for ${fromNumber}`
-            );
-            await recordOptOut(fromNumber);
-            return res.status(204).end();
-        }
-
-        // HELP → reply with help text
-        if (HELP_WORDS.some((k) => bodyUpper.includes(k))) {
-            console.log(
-                `[${reqId}] HELP detected from ${fromNumber} → replying help`
-            );
-            twiml.message(HELP_MESSAGE);
-            res.setHeader('Content-Type', 'text/xml');
-            return res.status(200).send(twiml.toString());
-        }
-
-        // START → clear opt-out
-        if (OPT_INS.some((k) => bodyUpper.includes(k))) {
-            console.log(
-                `[${reqId}] START detected → clearing opt-out for ${fromNumber}`
-            );
-            await clearOptOut(fromNumber);
-        }
-
-        // If still opted out, allow PASSWORD to rejoin (if configured)
-        const stillOptedOut = await isOptedOut(fromNumber);
-        if (
-            stillOptedOut &&
-            !(
-                ALLOW_PASSWORD_REJOIN &&
-                keywordRequired &&
-                bodyUpper.includes(keywordRequired)
-            )
-        ) {
-            console.log(`[${reqId}] ${fromNumber} is opted-out; ignoring`);
-            return res.status(204).end();
-        }
-        if (stillOptedOut) {
-            console.log(
-                `[${reqId}] PASSWORD rejoin allowed → clearing opt-out for ${fromNumber}`
-            );
-            await clearOptOut(fromNumber);
-        }
-
-        // Keyword gate (applies to everyone)
-        if (keywordRequired && !bodyUpper.includes(keywordRequired)) {
-            console.log(
-                `[${reqId}] Keyword gate failed; required="${keywordRequired}", got="${bodyRaw}"`
-            );
-            return res.status(204).end(); // silent
-        }
-
-        // Whitelist: always reply
-        const isWhitelisted = await redis.sismember(KEYS.WHITELIST, fromNumber);
-        if (isWhitelisted) {
-            console.log(
-                `[${reqId}] Whitelisted ${fromNumber} → sending password`
-            );
-            twiml.message(
-                `Hi! Here’s the password to robyn-kingsley.wedding: ${SITE_PASSWORD}`
-            );
-            res.setHeader('Content-Type', 'text/xml');
-            console.log(
-                `[${reqId}] 200 Allowed ${fromNumber} in WHITELIST in ${
-                    Date.now() - started
-                }ms`
-            );
-            return res.status(200).send(twiml.toString());
-        }
-
-        // Unknowns: abuse guards (blocklist, burst, flood, content)
-        const guard = await runUnknownAbuseGuards({
-            from: fromNumber,
-            body: bodyRaw,
-            log: console,
+        await recordChannelUse({
+            phone: fromNumber,
+            channel,
+            via: parseAddress(params.To).phone,
+            keys: event.keys,
         });
-        if (!guard.allow) {
-            console.log(
-                `[${reqId}] Unknown ${fromNumber} blocked by abuse guards`
-            );
-            return res.status(204).end();
-        }
 
-        // Optional global/day cap (light single key)
-        const globalDayKey = `${KEYS.GLOBAL_DAILY_PREFIX}${today}`;
-        const globalCountRaw = await redis.get(globalDayKey);
-        const globalCount = Number(globalCountRaw ?? 0);
-        if (GLOBAL_MAX_PER_DAY && globalCount >= GLOBAL_MAX_PER_DAY) {
-            console.log(
-                `[${reqId}] Global/day cap reached (${GLOBAL_MAX_PER_DAY}); suppressing`
-            );
-            return res.status(204).end();
-        }
-
-        // Per-number throttles (hash-based)
-        const {
-            key: perNumberKey,
-            numberCount,
-            lastMs,
-        } = await getUnknownThrottleState({
-            from: fromNumber,
+        // Admin commands, opt-out, guests, then unknowns: lib/sms-stages.js,
+        // in the event's pipeline order (lib/pipeline.js)
+        const {decision, trace} = await runPipeline({
+            stages: event.pipeline,
+            registry: SMS_STAGES,
+            ctx: {
+                reqId,
+                event,
+                params,
+                channel,
+                rules,
+                fromNumber,
+                bodyRaw,
+                parsed,
+                window,
+                log,
+            },
         });
-
-        const now = Date.now();
-        const minMs = MIN_REPLY_COOLDOWN_MIN * 60 * 1000;
-
-        if (lastMs && now - lastMs < minMs) {
-            const secs = Math.ceil((minMs - (now - lastMs)) / 1000);
-            console.log(
-                `[${reqId}] Cooldown for ${fromNumber} (~${secs}s left)`
+        log.info(`[${reqId}] Decision`, {
+            action: decision.action,
+            stage: decision.stage,
+            reason: decision.reason,
+            ms: Date.now() - started,
+            trace,
+        });
+        if (PIPELINE_DEBUG) {
+            res.setHeader(
+                'X-Decision-Trace',
+                JSON.stringify({
+                    action: decision.action,
+                    stage: decision.stage,
+                    reason: decision.reason,
+                    trace,
+                })
             );
-            return res.status(204).end();
         }
 
-        if (MAX_PER_NUMBER_PER_DAY && numberCount >= MAX_PER_NUMBER_PER_DAY) {
-            console.log(
-                `[${reqId}] Per-number/day cap reached for ${fromNumber} (${numberCount}/${MAX_PER_NUMBER_PER_DAY})`
-            );
-            return res.status(204).end();
-        }
+        if (decision.action !== 'reply') return res.status(204).end();
 
-        // Fallback for unknowns
+        const twiml = new twilio.twiml.MessagingResponse();
+        // Delivery status for our replies → /api/status
         twiml.message(
-            'We couldn’t match this number to our guest list. If this is a mistake, please contact Kingsley.'
+            STATUS_CALLBACK_URL ? {action: STATUS_CALLBACK_URL} : {},
+            decision.body
         );
-
-        await Promise.all([
-            recordUnknownReply({key: perNumberKey, now}),
-            // tiny global/day counter with TTL
-            redis
-                .incr(globalDayKey)
-                .then(() => redis.expire(globalDayKey, TTL.GLOBAL_DAILY)),
-        ]);
-
         res.setHeader('Content-Type', 'text/xml');
-        console.log(
-            `[${reqId}] 200 Unknown phone number in ${Date.now() - started}ms`
-        );
         return res.status(200).send(twiml.toString());
     } catch (err) {
-        console.error(`[${reqId}] ERROR`, {
+        log.error(`[${reqId}] ERROR`, {
             message: err?.message,
             stack: err?.stack,
         });
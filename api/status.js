@@ -0,0 +1,104 @@
+// api/status.js — Twilio delivery status callbacks
+// Records queued/sent/delivered/undelivered/failed per message and number.
+// A carrier-level opt-out error (CARRIER_OPTOUT_ERROR_CODES, e.g. 21610)
+// records a local opt-out so we stop texting that number (SMS only:
+// WhatsApp has no carrier opt-out).
+import {TWILIO_AUTH_TOKEN, ALLOW_QUERY_TOKEN_FALLBACK} from '../lib/config.js';
+import {parseFormBody} from '../lib/utils.js';
+import {isTokenValid, isTwilioSignatureValid} from '../lib/auth-utils.js';
+import {resolveEventByNumber} from '../lib/events.js';
+import {recordOptOut, isOptedOut} from '../lib/optout.js';
+import {recordDeliveryStatus, isCarrierOptOut} from '../lib/delivery.js';
+import {parseAddress, channelRules} from '../lib/channels.js';
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+
+    try {
+        if (req.method !== 'POST') {
+            console.warn(`[${reqId}] Non-POST request: ${req.method}`);
+            return res.status(405).end();
+        }
+
+        const params = await parseFormBody(req);
+
+        // Auth: same rules as /api/sms
+        const signatureOk = isTwilioSignatureValid(
+            req,
+            params,
+            TWILIO_AUTH_TOKEN
+        );
+        const tokenOk =
+            !signatureOk &&
+            ALLOW_QUERY_TOKEN_FALLBACK &&
+            isTokenValid(req, process.env.SMS_TOKEN);
+        if (!signatureOk && !tokenOk) {
+            console.warn(`[${reqId}] Unauthorized status callback`, {
+                signature: req.headers['x-twilio-signature']
+                    ? '<invalid>'
+                    : '<missing>',
+            });
+            return res.status(401).end();
+        }
+
+        const sid = params.MessageSid || params.SmsSid;
+        const status = String(
+            params.MessageStatus || params.SmsStatus || ''
+        ).toLowerCase();
+        // WhatsApp callbacks use whatsapp:+… addresses; records use the number
+        const {channel, phone: to} = parseAddress(params.To);
+        const errorCode = params.ErrorCode || '';
+        if (!sid || !status || !to) {
+            console.warn(`[${reqId}] Incomplete status callback`, {
+                sid,
+                status,
+                to,
+            });
+            return res.status(400).end();
+        }
+
+        // Our number sent it → event profile
+        const event = resolveEventByNumber(params.From);
+        const {keys} = event;
+
+        const result = await recordDeliveryStatus({
+            sid,
+            status,
+            to,
+            from: parseAddress(params.From).phone,
+            channel,
+            errorCode,
+            keys,
+        });
+        console.log(`[${reqId}] Status ${status} for ${sid}`, {
+            to,
+            channel,
+            event: event.id,
+            errorCode: errorCode || undefined,
+            counted: result.counted,
+        });
+
+        if (
+            channelRules(channel).carrierOptOut &&
+            isCarrierOptOut(errorCode) &&
+            !(await isOptedOut(to, keys))
+        ) {
+            console.log(
+                `[${reqId}] Carrier opt-out (${errorCode}) → recording opt-out for ${to}`
+            );
+            await recordOptOut(to, keys, {
+                source: 'carrier',
+                messageSid: sid,
+                errorCode,
+            });
+        }
+
+        return res.status(204).end();
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res.status(500).send(err?.message || 'Server Error');
+    }
+}
@@ -0,0 +1,94 @@
+// api/verify.js — the wedding site checks a guest's access code / magic-link code
+// Usage (GET or POST, from the site's server — not the browser):
+//   https://<your-app>.vercel.app/api/verify?code=ABCD2345
+//   Header: Authorization: Bearer VERIFY_API_TOKEN
+//   Optional: &event=<id>
+// → {ok, valid: true, guest: {phone, name, party, tags, locale}, code: {...}}
+//   or {ok, valid: false, reason: unknown|expired|revoked|exhausted|not-on-list}
+// Every successful check counts as one use of the code.
+import {VERIFY_API_TOKEN} from '../lib/config.js';
+import {parseFormBody} from '../lib/utils.js';
+import {getEvent} from '../lib/events.js';
+import {normalizeCode, verifyAccessCode} from '../lib/access.js';
+
+function bearerToken(req) {
+    const header = String(req.headers?.authorization || '');
+    const m = header.match(/^Bearer\s+(.+)$/i);
+    return m ? m[1].trim() : '';
+}
+
+export default async function handler(req, res, {log = console} = {}) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+
+    try {
+        if (!VERIFY_API_TOKEN) {
+            log.error(`[${reqId}] Missing VERIFY_API_TOKEN env`);
+            return res.status(401).end();
+        }
+
+        const isGet = req.method === 'GET';
+        const isPost = req.method === 'POST';
+        if (!isGet && !isPost) {
+            log.warn(`[${reqId}] Unsupported method: ${req.method}`);
+            return res
+                .status(405)
+                .json({ok: false, error: 'Method Not Allowed'});
+        }
+
+        if (bearerToken(req) !== VERIFY_API_TOKEN) {
+            log.warn(`[${reqId}] Unauthorized verify attempt`);
+            return res.status(401).end();
+        }
+
+        const params = isGet ? req.query || {} : await parseFormBody(req);
+        const code = normalizeCode(params.code);
+        if (!code) {
+            return res.status(400).json({ok: false, error: 'Missing ?code'});
+        }
+
+        const event = getEvent(params.event);
+        const result = await verifyAccessCode({event, code});
+        // Log only a prefix: the code is a credential
+        log.info(`[${reqId}] Verify ${code.slice(0, 3)}…`, {
+            event: event.id,
+            valid: result.valid,
+            reason: result.reason,
+            phone: result.guest?.phone,
+        });
+
+        if (!result.valid) {
+            return res.status(200).json({
+                ok: true,
+                valid: false,
+                reason: result.reason,
+            });
+        }
+        const {guest, code: record} = result;
+        return res.status(200).json({
+            ok: true,
+            valid: true,
+            event: event.id,
+            guest: {
+                phone: guest.phone,
+                name: guest.name,
+                party: guest.party,
+                tags: guest.tags,
+                locale: guest.locale,
+            },
+            code: {
+                kind: record.kind,
+                expiresAt: new Date(record.expiresAt).toISOString(),
+                uses: record.uses,
+                maxUses: record.maxUses || null,
+            },
+        });
+    } catch (err) {
+        log.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res
+            .status(400)
+            .json({ok: false, error: err?.message || String(err)});
+    }
+}
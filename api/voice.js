@@ -0,0 +1,303 @@
+// api/voice.js — Twilio voice webhook: reads the password to whitelisted callers
+// Same gates as /api/sms: whitelist, availability window, abuse guards + reply
+// caps for unknown callers, and no texts to opted-out numbers.
+// Keypad: 1 repeats the password, 2 texts it (VOICE_SMS_PER_HOUR per number).
+// Set the number's "A call comes in" webhook to https://<your-app>/api/voice.
+import twilio from 'twilio';
+import {
+    ABUSE,
+    TWILIO_AUTH_TOKEN,
+    ALLOW_QUERY_TOKEN_FALLBACK,
+    VOICE_SMS_PER_HOUR,
+} from '../lib/config.js';
+import {parseFormBody} from '../lib/utils.js';
+import {isTokenValid, isTwilioSignatureValid} from '../lib/auth-utils.js';
+import {resolveEventByNumber} from '../lib/events.js';
+import {getGuest, greetingName} from '../lib/guests.js';
+import {isOptedOut, recordOptOut} from '../lib/optout.js';
+import {runUnknownAbuseGuards, reserveUnknownReply} from '../lib/abuse.js';
+import {consume, limitRule} from '../lib/limiter.js';
+import {getActivePassword, recordPasswordDelivery} from '../lib/passwords.js';
+import {issueAccessCode, renderAccessReply} from '../lib/access.js';
+import {resolveLocale} from '../lib/i18n.js';
+import {renderTemplate} from '../lib/templates.js';
+import {getMessenger} from '../lib/messenger.js';
+import {notify} from '../lib/notify.js';
+import {windowState, formatEventTime} from '../lib/schedule.js';
+import {sayAttrs, spellOut} from '../lib/voice.js';
+import {recordChannelUse} from '../lib/channels.js';
+import {isCarrierOptOut} from '../lib/delivery.js';
+
+const GATHER_TIMEOUT_SEC = 8;
+
+// What a guest hears: the shared password, their access code, or (links
+// can't be read out) an offer to text it.
+async function speakSecret(vr, {event, guest, locale}) {
+    const say = sayAttrs(locale);
+    const name = greetingName(guest);
+    const render = (n, vars = {}) =>
+        renderTemplate({event, locale, name: n, vars: {name, ...vars}});
+
+    let secret = null;
+    let intro = 'voicePassword';
+    if (event.accessCodes === 'link') {
+        intro = 'voiceAccessLink';
+    } else if (event.accessCodes === 'code') {
+        secret = (await issueAccessCode({event, phone: guest.phone})).code;
+        intro = 'voiceAccessCode';
+    } else {
+        secret = (await getActivePassword(event)).password;
+    }
+
+    const spelled = secret ? spellOut(secret, locale) : '';
+    vr.say(say, await render(intro, {spelled}));
+    if (secret) {
+        vr.pause({length: 1});
+        vr.say(say, await render('voiceRepeat', {spelled}));
+    }
+    const gather = vr.gather({
+        numDigits: 1,
+        timeout: GATHER_TIMEOUT_SEC,
+        method: 'POST',
+    });
+    gather.say(say, await render('voiceMenu'));
+    // No key pressed
+    vr.say(say, await render('voiceGoodbye'));
+}
+
+// Keypress 2: text the guest what they just heard. → template name to say
+async function textSecret({event, guest, locale, to, from, reqId}) {
+    const {keys} = event;
+    if (await isOptedOut(to, keys)) return 'voiceNoText';
+
+    const hit = await consume([
+        limitRule('voiceSms', to, {
+            limit: VOICE_SMS_PER_HOUR,
+            windowSec: 60 * 60,
+            keys,
+        }),
+    ]);
+    if (!hit.allowed) {
+        console.log(`[${reqId}] Voice SMS limit reached for ${to}`);
+        return 'voiceTextFailed';
+    }
+
+    try {
+        let body;
+        let version = null;
+        if (event.accessCodes !== 'off') {
+            ({body} = await renderAccessReply({event, guest, locale}));
+        } else {
+            const active = await getActivePassword(event);
+            version = active.version;
+            body = await renderTemplate({
+                event,
+                name: 'password',
+                locale,
+                vars: {name: greetingName(guest), password: active.password},
+            });
+        }
+        const result = await getMessenger().send({to, from, body});
+        if (version !== null) await recordPasswordDelivery(to, version, keys);
+        console.log(`[${reqId}] Voice → texted ${to}`, {sid: result.sid});
+        return 'voiceTexted';
+    } catch (err) {
+        if (isCarrierOptOut(err?.code)) {
+            console.log(
+                `[${reqId}] Carrier opt-out (${err.code}) → recording opt-out for ${to}`
+            );
+            await recordOptOut(to, keys, {
+                source: 'carrier',
+                channel: 'sms',
+                errorCode: String(err.code),
+            });
+            return 'voiceNoText';
+        }
+        console.error(`[${reqId}] Voice → text to ${to} failed`, {
+            message: err?.message,
+        });
+        return 'voiceTextFailed';
+    }
+}
+
+export default async function handler(req, res) {
+    const reqId = Math.random().toString(36).slice(2, 8);
+    const started = Date.now();
+
+    try {
+        if (req.method !== 'POST') {
+            console.warn(`[${reqId}] Non-POST request: ${req.method}`);
+            return res.status(405).end();
+        }
+
+        const params = await parseFormBody(req);
+
+        // Auth: same rules as /api/sms
+        const signatureOk = isTwilioSignatureValid(
+            req,
+            params,
+            TWILIO_AUTH_TOKEN
+        );
+        const tokenOk =
+            !signatureOk &&
+            ALLOW_QUERY_TOKEN_FALLBACK &&
+            isTokenValid(req, process.env.SMS_TOKEN);
+        if (!signatureOk && !tokenOk) {
+            console.warn(`[${reqId}] Unauthorized voice webhook`, {
+                signature: req.headers['x-twilio-signature']
+                    ? '<invalid>'
+                    : '<missing>',
+            });
+            return res.status(401).end();
+        }
+
+        const fromNumber = (params.From || '').trim();
+        const digits = params.Digits;
+
+        // Route by the Twilio number called → event profile
+        const event = resolveEventByNumber(params.To);
+        const {keys, caps} = event;
+        const window = windowState(event);
+
+        console.log(`[${reqId}] Incoming call`, {
+            fromNumber,
+            to: params.To,
+            event: event.id,
+            callSid: params.CallSid,
+            digits,
+            window,
+        });
+
+        if (!digits) {
+            await recordChannelUse({phone: fromNumber, channel: 'voice', keys});
+        }
+
+        const vr = new twilio.twiml.VoiceResponse();
+        const reply = () => {
+            res.setHeader('Content-Type', 'text/xml');
+            return res.status(200).send(vr.toString());
+        };
+
+        const guest = await getGuest(fromNumber, keys);
+        if (guest) {
+            const locale = resolveLocale(guest.locale);
+            const say = sayAttrs(locale);
+
+            if (window !== 'open') {
+                vr.say(
+                    say,
+                    await renderTemplate({
+                        event,
+                        name: window === 'before' ? 'notYetOpen' : 'closed',
+                        locale,
+                        vars: {
+                            name: greetingName(guest),
+                            opensAt:
+                                window === 'before'
+                                    ? formatEventTime(
+                                          event.startsAt,
+                                          event,
+                                          locale
+                                      )
+                                    : '',
+                        },
+                    })
+                );
+                return reply();
+            }
+
+            if (digits === '2') {
+                const name = await textSecret({
+                    event,
+                    guest,
+                    locale,
+                    to: fromNumber,
+                    from: params.To || event.from,
+                    reqId,
+                });
+                vr.say(say, await renderTemplate({event, name, locale}));
+                vr.hangup();
+                return reply();
+            }
+
+            // First answer, or 1 (repeat) / any other key
+            await speakSecret(vr, {event, guest, locale});
+            console.log(
+                `[${reqId}] 200 Read password to ${fromNumber} in ${Date.now() - started}ms`
+            );
+            return reply();
+        }
+
+        // Unknown callers: abuse guards, then the unknown-number reply caps
+        const guard = await runUnknownAbuseGuards({
+            from: fromNumber,
+            body: '',
+            log: console,
+            keys,
+        });
+        if (!guard.allow) {
+            console.log(
+                `[${reqId}] Unknown caller ${fromNumber} blocked by abuse guards (${guard.reason})`
+            );
+            if (guard.reason === 'flood') {
+                await notify({
+                    type: 'defensive',
+                    event,
+                    data: {durationSec: ABUSE.DEFENSIVE_MODE_DURATION_SEC},
+                    onceSec: ABUSE.DEFENSIVE_MODE_DURATION_SEC,
+                });
+            }
+            if (guard.strike?.permanent) {
+                await notify({
+                    type: 'blocked',
+                    event,
+                    data: {
+                        phone: fromNumber,
+                        reason: guard.strike.reason,
+                        strikes: guard.strike.strikes,
+                    },
+                });
+            }
+            vr.reject();
+            return reply();
+        }
+        const limit = await reserveUnknownReply({
+            from: fromNumber,
+            caps,
+            keys,
+        });
+        if (!limit.allow) {
+            console.log(
+                `[${reqId}] Limit "${limit.rule}" reached for caller ${fromNumber}; rejecting`
+            );
+            vr.reject();
+            return reply();
+        }
+
+        const locale = resolveLocale();
+        vr.say(
+            sayAttrs(locale),
+            await renderTemplate({
+                event,
+                name: window === 'after' ? 'closed' : 'unknown',
+                locale,
+            })
+        );
+        vr.hangup();
+        await notify({
+            type: 'unknown',
+            event,
+            data: {phone: fromNumber, body: '(voice call)', queued: false},
+        });
+        console.log(
+            `[${reqId}] 200 Unknown caller in ${Date.now() - started}ms`
+        );
+        return reply();
+    } catch (err) {
+        console.error(`[${reqId}] ERROR`, {
+            message: err?.message,
+            stack: err?.stack,
+        });
+        return res.status(500).send(err?.message || 'Server Error');
+    }
+}
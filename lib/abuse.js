@@ -1,107 +1,300 @@
-import {redis} from './redis.js';
-import {KEYS, ABUSE, US_ONLY} from './config.js';
-
-async function incrementGlobalUnknown(log = console) {
-    const key = KEYS.UNKNOWN_WINDOW;
-    const count = (await redis.incr(key)) ?? 0;
-    if (count === 1) {
-        await redis.expire(key, ABUSE.UNKNOWN_WINDOW_MINUTES * 60);
-    }
-    if (count > ABUSE.UNKNOWN_MESSAGE_THRESHOLD) {
-        await redis.set(KEYS.DEFENSIVE_MODE, '1', {
-            ex: ABUSE.DEFENSIVE_MODE_DURATION_SEC,
-        });
-        log.warn('AbuseGuard: defensive mode ENABLED', {count});
-    }
-    return count;
+// Abuse guards and reply limits for unknown numbers.
+//
+// Counters are lib/limiter.js rules (rolling windows, no fixed buckets):
+//   burst, flood               checked by runUnknownAbuseGuards, together with
+//                              the block and defensive-mode flags
+//   globalDaily, cooldown,     checked by reserveUnknownReply, which records
+//   perNumberDaily             the reply only if all three allow it
+//
+// Offences (a burst, or SUSPICIOUS_PER_STRIKE suspicious messages) earn a
+// strike. Each strike blocks the number for STRIKE_BLOCK_MINUTES[strikes - 1];
+// past the end of that list the block is permanent (abuse:index). Strikes
+// decay by one per STRIKE_DECAY_DAYS without a new one.
+import {store} from './storage.js';
+import {KEYS, ABUSE, TTL} from './config.js';
+import {channelRules} from './channels.js';
+import {consume, limitRule, limitGate} from './limiter.js';
+import {parseStored} from './utils.js';
+import {isAllowedCountry} from './phone.js';
+
+const DAY_SEC = 24 * 60 * 60;
+const HISTORY_MAX = 20; // strike history entries kept per number
+
+function strikesKey(keys, phone) {
+    return `${keys.STRIKES_PREFIX}${phone}`;
+}
+function blockKey(keys, phone) {
+    return `${keys.BLOCK_PREFIX}${phone}`;
 }
 
-async function isBlocked(phoneNumber) {
-    return !!(await redis.sismember(KEYS.ABUSE_SET, phoneNumber));
+// Strikes left after decay since the last one
+function decayedStrikes(count, lastMs, now) {
+    const decayMs = ABUSE.STRIKE_DECAY_DAYS * DAY_SEC * 1000;
+    if (!(decayMs > 0) || now <= lastMs) return count;
+    const forgiven = Math.floor((now - lastMs) / decayMs);
+    return Math.max(0, count - forgiven);
 }
 
-async function permanentlyBlock(phoneNumber, log = console) {
-    await redis.sadd(KEYS.ABUSE_SET, phoneNumber);
-    // light cleanup of burst counters & per-number hash fields
-    for await (const key of redis.scanIterator({
-        match: `${KEYS.BURST_PREFIX}${phoneNumber}:*`,
-        count: 200,
-    })) {
-        await redis.del(key);
-    }
-    await redis.hdel(
-        `${KEYS.PER_NUMBER_HASH_PREFIX}${phoneNumber}`,
+// → {strikes, lastStrikeAt, history: [{at, reason, blockMinutes}]}
+export async function getStrikes(phoneNumber, keys = KEYS, now = Date.now()) {
+    const h = (await store.hgetall(strikesKey(keys, phoneNumber))) || {};
+    const last = Number(h.last || 0);
+    return {
+        strikes: decayedStrikes(Number(h.count || 0), last, now),
+        lastStrikeAt: last ? new Date(last).toISOString() : null,
+        history: parseStored(h.history) || [],
+    };
+}
+
+// Active block (temporary or permanent) or null.
+export async function getBlock(phoneNumber, keys = KEYS) {
+    const [record, permanent] = await Promise.all([
+        store.get(blockKey(keys, phoneNumber)),
+        store.sismember(keys.ABUSE_SET, phoneNumber),
+    ]);
+    const block = parseStored(record);
+    if (block) return {...block, permanent: !!permanent || !block.expiresAt};
+    // blocklisted by hand or before strikes existed
+    return permanent ? {reason: 'blocklist', permanent: true} : null;
+}
+
+// Add a strike and block the number for the matching duration.
+export async function recordStrike(
+    phoneNumber,
+    reason,
+    {keys = KEYS, now = Date.now(), log = console} = {}
+) {
+    const key = strikesKey(keys, phoneNumber);
+    const prev = await getStrikes(phoneNumber, keys, now);
+    const strikes = prev.strikes + 1;
+    const blockMinutes = ABUSE.STRIKE_BLOCK_MINUTES[strikes - 1] ?? null;
+    const permanent = blockMinutes === null;
+
+    const block = {
+        reason,
+        strikes,
+        blockedAt: new Date(now).toISOString(),
+        expiresAt: permanent
+            ? null
+            : new Date(now + blockMinutes * 60 * 1000).toISOString(),
+    };
+    const history = [
+        ...prev.history,
+        {at: block.blockedAt, reason, blockMinutes},
+    ].slice(-HISTORY_MAX);
+
+    await Promise.all([
+        store.hset(key, {
+            count: String(strikes),
+            last: String(now),
+            history: JSON.stringify(history),
+        }),
+        store.set(
+            blockKey(keys, phoneNumber),
+            JSON.stringify(block),
+            permanent ? undefined : {ex: blockMinutes * 60}
+        ),
+        permanent ? store.sadd(keys.ABUSE_SET, phoneNumber) : null,
+    ]);
+    // Strike history outlives decay so hosts can still see it
+    await store.expire(key, (ABUSE.STRIKE_DECAY_DAYS * strikes + 30) * DAY_SEC);
+
+    // light cleanup of per-number limiter state & hash fields
+    await clearNumberLimits(phoneNumber, keys);
+    await store.hdel(
+        `${keys.PER_NUMBER_HASH_PREFIX}${phoneNumber}`,
         'count',
         'last',
         'suspicious'
     );
-    log.info('AbuseGuard: permanently blocked (abuse:index)', {phoneNumber});
+    log.info('AbuseGuard: strike recorded', {
+        phoneNumber,
+        reason,
+        strikes,
+        expiresAt: block.expiresAt || 'permanent',
+    });
+    return {...block, permanent};
+}
+
+// Lift any block and forget the strike history.
+export async function clearStrikes(phoneNumber, keys = KEYS) {
+    const [strikesDeleted, blockDeleted, removed] = await Promise.all([
+        store.del(strikesKey(keys, phoneNumber)),
+        store.del(blockKey(keys, phoneNumber)),
+        store.srem(keys.ABUSE_SET, phoneNumber),
+    ]);
+    return {
+        strikesCleared: strikesDeleted === 1,
+        blockCleared: blockDeleted === 1 || removed === 1,
+    };
 }
 
-async function incrSuspicious(phoneNumber) {
-    const key = `${KEYS.PER_NUMBER_HASH_PREFIX}${phoneNumber}`;
-    const n = (await redis.hincrby(key, 'suspicious', 1)) ?? 0;
-    // reuse PER_NUMBER_HASH TTL if you want, or set a small one here; leaving to main writer
-    await redis.expire(key, 3 * 24 * 60 * 60);
+async function incrSuspicious(phoneNumber, keys) {
+    const key = `${keys.PER_NUMBER_HASH_PREFIX}${phoneNumber}`;
+    const n = (await store.hincrby(key, 'suspicious', 1)) ?? 0;
+    await store.expire(key, TTL.PER_NUMBER_HASH);
     return n;
 }
 
+// → {allow: true} | {allow: false, reason, strike?}
+//   reason: country | blocked | burst | flood (tripped defensive mode) |
+//           defensive | suspicious; `strike` is the block a strike just set
 export async function runUnknownAbuseGuards({
     from: phoneNumber,
     body: messageBody,
+    channel = 'sms',
     log = console,
+    keys = KEYS,
+    now = Date.now(),
 }) {
-    // 1) Country/format gate
-    if (US_ONLY && !/^\+1\d{10}$/.test(phoneNumber)) {
-        log.info('AbuseGuard: reject non-US', {phoneNumber});
-        return {allow: false};
-    }
+    const rules = channelRules(channel);
 
-    // 2) Permanent blocklist
-    if (await isBlocked(phoneNumber)) {
-        log.info('AbuseGuard: reject (abuse:index)', {phoneNumber});
-        return {allow: false};
+    // 1) Country/format gate
+    if (!isAllowedCountry(phoneNumber, rules.countries)) {
+        log.info('AbuseGuard: reject (country)', {phoneNumber});
+        return {allow: false, reason: 'country'};
     }
 
-    // 3) Per-number burst guard
-    if (ABUSE.MAX_MESSAGES_PER_NUMBER > 0) {
-        const bucket = Math.floor(
-            Date.now() / (ABUSE.BURST_WINDOW_SECONDS * 1000)
-        );
-        const burstKey = `${KEYS.BURST_PREFIX}${phoneNumber}:${bucket}`;
-        const burstCount = (await redis.incr(burstKey)) ?? 0;
-        if (burstCount === 1) {
-            await redis.expire(burstKey, ABUSE.BURST_WINDOW_SECONDS + 30);
-        }
-        if (burstCount > ABUSE.MAX_MESSAGES_PER_NUMBER) {
-            await permanentlyBlock(phoneNumber, log);
-            return {allow: false};
+    // 2) Temporary / permanent block, 3) per-number burst guard,
+    // 4) global anomaly breaker (every unblocked hit counts) — one script
+    const hit = await consume(
+        [
+            limitRule('burst', phoneNumber, {
+                limit: ABUSE.MAX_MESSAGES_PER_NUMBER,
+                windowSec: ABUSE.BURST_WINDOW_SECONDS,
+                always: true,
+                keys,
+            }),
+            limitRule('flood', 'all', {
+                limit: ABUSE.UNKNOWN_MESSAGE_THRESHOLD,
+                windowSec: ABUSE.UNKNOWN_WINDOW_MINUTES * 60,
+                always: true,
+                keys,
+            }),
+        ],
+        {
+            now,
+            gates: [
+                limitGate('blocked', blockKey(keys, phoneNumber)),
+                limitGate('blocked', keys.ABUSE_SET, {member: phoneNumber}),
+                limitGate('defensive', keys.DEFENSIVE_MODE, {
+                    after: true,
+                    trip: {
+                        rule: 'flood',
+                        ttlSec: ABUSE.DEFENSIVE_MODE_DURATION_SEC,
+                    },
+                }),
+            ],
         }
+    );
+    if (hit.rule === 'blocked') {
+        const block = await getBlock(phoneNumber, keys);
+        log.info('AbuseGuard: reject (blocked)', {
+            phoneNumber,
+            reason: block?.reason,
+            until: block ? block.expiresAt || 'permanent' : 'expired',
+        });
+        return {allow: false, reason: 'blocked'};
     }
-
-    // 4) Global anomaly breaker
-    await incrementGlobalUnknown(log);
-    if (await redis.get(KEYS.DEFENSIVE_MODE)) {
+    if (hit.rule === 'burst') {
+        log.info('AbuseGuard: burst exceeded', {phoneNumber});
+        const strike = await recordStrike(phoneNumber, 'burst', {
+            keys,
+            now,
+            log,
+        });
+        return {allow: false, reason: 'burst', strike};
+    }
+    if (hit.rule === 'flood' || hit.rule === 'defensive') {
+        // `flood`: this message tripped (or extended) defensive mode
+        if (hit.rule === 'flood') {
+            log.warn('AbuseGuard: defensive mode ENABLED', {phoneNumber});
+        }
         log.info('AbuseGuard: defensive mode reject', {phoneNumber});
-        return {allow: false};
+        return {allow: false, reason: hit.rule};
     }
 
     // 5) Suspicious content (too long or contains URL)
     if (
-        messageBody.length > ABUSE.MAX_MESSAGE_LENGTH ||
+        messageBody.length > rules.maxMessageLength ||
         ABUSE.URL_PATTERN.test(messageBody)
     ) {
-        const badCount = await incrSuspicious(phoneNumber);
-        if (badCount >= 5) {
-            await permanentlyBlock(phoneNumber, log);
-        } else {
-            log.info('AbuseGuard: suspicious message rejected', {
+        const badCount = await incrSuspicious(phoneNumber, keys);
+        if (badCount >= ABUSE.SUSPICIOUS_PER_STRIKE) {
+            const strike = await recordStrike(
                 phoneNumber,
-                badCount,
-            });
+                'suspicious content',
+                {keys, now, log}
+            );
+            return {allow: false, reason: 'suspicious', strike};
         }
-        return {allow: false};
+        log.info('AbuseGuard: suspicious message rejected', {
+            phoneNumber,
+            badCount,
+        });
+        return {allow: false, reason: 'suspicious'};
     }
 
     return {allow: true};
 }
+
+// Check the global/day cap, cooldown and per-number/day cap (rolling 24h),
+// and record the reply if all pass — atomically, so concurrent messages
+// can't overshoot.
+// → {allow: true} | {allow: false, rule, retryAfterMs}
+export async function reserveUnknownReply({
+    from: phoneNumber,
+    caps,
+    now = Date.now(),
+    keys = KEYS,
+}) {
+    const hit = await consume(
+        [
+            limitRule('globalDaily', 'all', {
+                limit: caps.globalMaxPerDay,
+                windowSec: DAY_SEC,
+                keys,
+            }),
+            limitRule('cooldown', phoneNumber, {
+                limit: 1,
+                windowSec: caps.cooldownMin * 60,
+                keys,
+            }),
+            limitRule('perNumberDaily', phoneNumber, {
+                limit: caps.maxPerNumberPerDay,
+                windowSec: DAY_SEC,
+                keys,
+            }),
+        ],
+        {now}
+    );
+    if (hit.allowed) return {allow: true};
+    return {allow: false, rule: hit.rule, retryAfterMs: hit.retryAfterMs};
+}
+
+// Per-number limiter rules (the others are keyed "all"); voiceSms is
+// api/voice.js's texts-per-call limit
+export const NUMBER_RULES = ['burst', 'cooldown', 'perNumberDaily', 'voiceSms'];
+
+// Drop every per-number limiter key (burst, cooldown, daily, voice) for a number.
+export async function clearNumberLimits(phoneNumber, keys = KEYS) {
+    return Number(
+        await store.del(
+            ...NUMBER_RULES.map(
+                (name) => `${keys.LIMIT_PREFIX}${name}:${phoneNumber}`
+            )
+        )
+    );
+}
+
+// Full unblock: lift the block + strikes, drop the suspicious-content count
+// and every per-number limiter key.
+export async function unblockNumber(phoneNumber, keys = KEYS) {
+    const {blockCleared, strikesCleared} = await clearStrikes(
+        phoneNumber,
+        keys
+    );
+    await store.del(`${keys.PER_NUMBER_HASH_PREFIX}${phoneNumber}`);
+    const limitsDeleted = await clearNumberLimits(phoneNumber, keys);
+    return {blockCleared, strikesCleared, limitsDeleted};
+}
@@ -0,0 +1,270 @@
+// Per-guest access codes: instead of the shared password, each whitelisted
+// number gets its own code (ACCESS_CODES=code) or a short-lived magic link
+// (ACCESS_CODES=link). The wedding site checks them through /api/verify, so a
+// leaked code points at one guest and can be revoked on its own.
+//
+//   access:code:<CODE>     hash {code, phone, kind, createdAt, expiresAt, uses,
+//                               maxUses, lastUsedAt, revokedAt, revokedReason}
+//   access:guest:<phone>   set of codes issued to the number
+//
+// A guest texting again gets their current code back while it is valid;
+// a new one is issued once it has expired, been revoked or used up.
+import {randomInt} from 'node:crypto';
+import {store} from './storage.js';
+import {
+    KEYS,
+    TTL,
+    ACCESS_CODE_TTL_DAYS,
+    ACCESS_LINK_TTL_MIN,
+    ACCESS_CODE_MAX_USES,
+    ACCESS_LINK_URL,
+} from './config.js';
+import {getGuest, greetingName} from './guests.js';
+import {renderTemplate} from './templates.js';
+import {formatEventTime} from './schedule.js';
+
+export const ACCESS_MODES = ['off', 'code', 'link'];
+
+// No 0/O, 1/I: codes get read aloud and retyped
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const LENGTH = {code: 8, link: 24};
+
+export function assertAccessMode(mode) {
+    const m = String(mode || 'off').toLowerCase();
+    if (!ACCESS_MODES.includes(m)) {
+        throw new Error(
+            `Invalid access code mode "${mode}" (${ACCESS_MODES.join('|')})`
+        );
+    }
+    if (m === 'link' && !ACCESS_LINK_URL) {
+        throw new Error('ACCESS_CODES=link needs ACCESS_LINK_URL');
+    }
+    return m;
+}
+
+// "abcd-2345 " → "ABCD2345"
+export function normalizeCode(input) {
+    return String(input || '')
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, '');
+}
+
+function generateCode(kind) {
+    let out = '';
+    for (let i = 0; i < LENGTH[kind]; i++) {
+        out += ALPHABET[randomInt(ALPHABET.length)];
+    }
+    return out;
+}
+
+export function accessLink(code) {
+    const sep = ACCESS_LINK_URL.includes('?') ? '&' : '?';
+    return `${ACCESS_LINK_URL}${sep}code=${code}`;
+}
+
+function toRecord(hash) {
+    if (!hash || !hash.code) return null;
+    return {
+        code: String(hash.code),
+        phone: String(hash.phone || ''),
+        kind: hash.kind || 'code',
+        createdAt: Number(hash.createdAt || 0),
+        expiresAt: Number(hash.expiresAt || 0),
+        uses: Number(hash.uses || 0),
+        maxUses: Number(hash.maxUses || 0),
+        lastUsedAt: Number(hash.lastUsedAt || 0) || null,
+        revokedAt: Number(hash.revokedAt || 0) || null,
+        revokedReason: hash.revokedReason || '',
+    };
+}
+
+// → "valid" | "expired" | "revoked" | "exhausted"
+export function codeState(record, now = Date.now()) {
+    if (record.revokedAt) return 'revoked';
+    if (record.expiresAt <= now) return 'expired';
+    if (record.maxUses && record.uses >= record.maxUses) return 'exhausted';
+    return 'valid';
+}
+
+export async function getAccessCode(code, keys = KEYS) {
+    const c = normalizeCode(code);
+    if (!c) return null;
+    return toRecord(await store.hgetall(`${keys.ACCESS_CODE_PREFIX}${c}`));
+}
+
+// Every code issued to a number, newest first, with its state.
+export async function listGuestCodes(phone, keys = KEYS, now = Date.now()) {
+    const codes =
+        (await store.smembers(`${keys.ACCESS_GUEST_PREFIX}${phone}`)) || [];
+    const records = await Promise.all(codes.map((c) => getAccessCode(c, keys)));
+    return records
+        .filter(Boolean)
+        .map((r) => ({...r, state: codeState(r, now)}))
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Every code for the event (scan), newest first.
+export async function listAccessCodes(keys = KEYS, now = Date.now()) {
+    const out = [];
+    for await (const key of store.scanIterator({
+        match: `${keys.ACCESS_CODE_PREFIX}*`,
+    })) {
+        const r = toRecord(await store.hgetall(key));
+        if (r) out.push({...r, state: codeState(r, now)});
+    }
+    return out.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// The guest's current valid code of `kind`, or a new one. → record + {reused}
+// `maxUses` (0 = unlimited) applies to a new code; magic links default to 1.
+export async function issueAccessCode({
+    event,
+    phone,
+    kind = event.accessCodes,
+    fresh = false,
+    maxUses = kind === 'link' ? 1 : ACCESS_CODE_MAX_USES,
+    now = Date.now(),
+}) {
+    if (assertAccessMode(kind) === 'off') {
+        throw new Error(`Access codes are off for event "${event.id}"`);
+    }
+    const {keys} = event;
+    if (!fresh) {
+        const current = (await listGuestCodes(phone, keys, now)).find(
+            (r) => r.kind === kind && r.state === 'valid'
+        );
+        if (current) return {...current, reused: true};
+    }
+
+    const ttlMs =
+        kind === 'link'
+            ? ACCESS_LINK_TTL_MIN * 60 * 1000
+            : ACCESS_CODE_TTL_DAYS * 24 * 60 * 60 * 1000;
+    const record = {
+        code: '',
+        phone,
+        kind,
+        createdAt: now,
+        expiresAt: now + ttlMs,
+        uses: 0,
+        maxUses,
+    };
+    // 32^8 codes: a collision is astronomically unlikely, but never reuse one
+    for (let attempt = 0; !record.code && attempt < 5; attempt++) {
+        const code = generateCode(kind);
+        if (!(await getAccessCode(code, keys))) record.code = code;
+    }
+    if (!record.code) {
+        throw new Error('Could not generate a unique access code');
+    }
+
+    const codeKey = `${keys.ACCESS_CODE_PREFIX}${record.code}`;
+    const guestKey = `${keys.ACCESS_GUEST_PREFIX}${phone}`;
+    const keepSec = Math.ceil(ttlMs / 1000) + TTL.ACCESS_CODE_GRACE;
+    await Promise.all([
+        store.hset(
+            codeKey,
+            Object.fromEntries(
+                Object.entries(record).map(([k, v]) => [k, String(v)])
+            )
+        ),
+        store.sadd(guestKey, record.code),
+    ]);
+    await Promise.all([
+        store.expire(codeKey, keepSec),
+        store.expire(guestKey, keepSec),
+    ]);
+    return {
+        ...record,
+        lastUsedAt: null,
+        revokedAt: null,
+        revokedReason: '',
+        reused: false,
+    };
+}
+
+export async function revokeAccessCode({
+    code,
+    keys = KEYS,
+    reason = '',
+    now = Date.now(),
+}) {
+    const record = await getAccessCode(code, keys);
+    if (!record) return null;
+    if (!record.revokedAt) {
+        await store.hset(`${keys.ACCESS_CODE_PREFIX}${record.code}`, {
+            revokedAt: String(now),
+            revokedReason: String(reason || ''),
+        });
+        record.revokedAt = now;
+        record.revokedReason = String(reason || '');
+    }
+    return {...record, state: 'revoked'};
+}
+
+// Revoke every code a number holds. → number of codes newly revoked
+export async function revokeGuestCodes({
+    phone,
+    keys = KEYS,
+    reason = '',
+    now = Date.now(),
+}) {
+    const live = (await listGuestCodes(phone, keys, now)).filter(
+        (r) => !r.revokedAt
+    );
+    for (const r of live) {
+        await revokeAccessCode({code: r.code, keys, reason, now});
+    }
+    return live.length;
+}
+
+// Check a code the site received and count the use.
+// → {valid: true, guest, code} | {valid: false, reason}
+// Reasons: unknown | expired | revoked | exhausted | not-on-list
+export async function verifyAccessCode({event, code, now = Date.now()}) {
+    const {keys} = event;
+    const record = await getAccessCode(code, keys);
+    if (!record) return {valid: false, reason: 'unknown'};
+    const state = codeState(record, now);
+    if (state !== 'valid') return {valid: false, reason: state};
+
+    // Removed from the guest list since the code was issued
+    const guest = await getGuest(record.phone, keys);
+    if (!guest) return {valid: false, reason: 'not-on-list'};
+
+    const key = `${keys.ACCESS_CODE_PREFIX}${record.code}`;
+    const uses = await store.hincrby(key, 'uses', 1);
+    if (record.maxUses && uses > record.maxUses) {
+        await store.hincrby(key, 'uses', -1);
+        return {valid: false, reason: 'exhausted'};
+    }
+    await store.hset(key, {lastUsedAt: String(now)});
+    return {
+        valid: true,
+        guest,
+        code: {...record, uses, lastUsedAt: now, state: 'valid'},
+    };
+}
+
+// Reply text carrying the guest's code / link (accessCode / accessLink
+// templates). → {body, record}
+export async function renderAccessReply({
+    event,
+    guest,
+    locale,
+    now = Date.now(),
+}) {
+    const record = await issueAccessCode({event, phone: guest.phone, now});
+    const body = await renderTemplate({
+        event,
+        name: record.kind === 'link' ? 'accessLink' : 'accessCode',
+        locale,
+        vars: {
+            name: greetingName(guest),
+            code: record.code,
+            link: record.kind === 'link' ? accessLink(record.code) : '',
+            expires: formatEventTime(record.expiresAt, event, locale),
+        },
+    });
+    return {body, record};
+}
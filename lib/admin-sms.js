@@ -0,0 +1,228 @@
+// Host commands by SMS. Numbers in ADMIN_PHONES can text the event's number:
+//   ADD <phone> [name]   whitelist the number (name optional)
+//   REMOVE <phone>       take it off the whitelist          (asks to CONFIRM)
+//   UNBLOCK <phone>      lift block + strikes + rate limits
+//   STATUS <phone>       guest / opt-out / block / pending summary
+//   STATS                counts for the event
+//
+// A destructive command is parked under admin:confirm:<host> and only runs
+// when the same host replies CONFIRM within ADMIN_CONFIRM_TTL_SEC. Every
+// command is appended to the event's admin:audit log.
+import {store} from './storage.js';
+import {
+    KEYS,
+    ADMIN_PHONES,
+    ADMIN_CONFIRM_TTL_SEC,
+    ADMIN_AUDIT_DAYS,
+    PHONE_DEFAULT_REGION,
+} from './config.js';
+import {parseStored} from './utils.js';
+import {normalizePhone} from './phone.js';
+import {getGuest, upsertGuest, removeGuest} from './guests.js';
+import {isOptedOut} from './optout.js';
+import {getBlock, getStrikes, unblockNumber} from './abuse.js';
+import {getPending} from './pending.js';
+import {getDeliveryStats} from './delivery.js';
+import {getChannelUse} from './channels.js';
+
+export const ADMIN_COMMANDS = ['ADD', 'REMOVE', 'UNBLOCK', 'STATUS', 'STATS'];
+const NEEDS_PHONE = new Set(['ADD', 'REMOVE', 'UNBLOCK', 'STATUS']);
+const NEEDS_CONFIRM = new Set(['REMOVE']);
+const CONFIRM_WORD = 'CONFIRM';
+
+export function isAdminPhone(phone) {
+    return ADMIN_PHONES.includes(String(phone || '').trim());
+}
+
+// Longest run of leading words that normalizes to a phone number, so
+// "(619) 555-1234 Jane" → {phone: "+16195551234", rest: ["Jane"]}.
+function takePhone(words) {
+    for (let n = Math.min(words.length, 4); n > 0; n--) {
+        const head = words.slice(0, n).join(' ');
+        if (!/^[\d\s()+.-]+$/.test(head)) continue;
+        try {
+            return {
+                phone: normalizePhone(head, PHONE_DEFAULT_REGION),
+                rest: words.slice(n),
+            };
+        } catch {
+            // not a phone yet; try fewer words
+        }
+    }
+    return {phone: null, rest: words};
+}
+
+// "remove 619-555-1234" → {command: "REMOVE", phone, rest} | null
+export function parseAdminCommand(body) {
+    const [first = '', ...words] = String(body || '')
+        .trim()
+        .split(/\s+/);
+    const command = first.toUpperCase();
+    if (command === CONFIRM_WORD && !words.length) return {command};
+    if (!ADMIN_COMMANDS.includes(command)) return null;
+    const {phone, rest} = takePhone(words);
+    return {command, phone, rest};
+}
+
+export async function recordAudit(entry, {keys = KEYS, now = Date.now()} = {}) {
+    const id = Math.random().toString(36).slice(2, 10); // keeps members unique
+    await store.zadd(keys.ADMIN_AUDIT, {
+        score: now,
+        member: JSON.stringify({
+            at: new Date(now).toISOString(),
+            id,
+            ...entry,
+        }),
+    });
+    await store.zremrangebyscore(
+        keys.ADMIN_AUDIT,
+        '-inf',
+        now - ADMIN_AUDIT_DAYS * 24 * 60 * 60 * 1000
+    );
+}
+
+// Newest first.
+export async function listAudit({keys = KEYS, limit = 100} = {}) {
+    const members = await store.zrange(keys.ADMIN_AUDIT, -limit, -1);
+    return members.map(parseStored).filter(Boolean).reverse();
+}
+
+function describeBlock(block) {
+    if (!block) return 'no';
+    if (block.permanent) return 'permanent';
+    return `until ${block.expiresAt}`;
+}
+
+async function numberStatus(phone, keys) {
+    const [guest, optedOut, block, strikes, pending, denied, delivery, use] =
+        await Promise.all([
+            getGuest(phone, keys),
+            isOptedOut(phone, keys),
+            getBlock(phone, keys),
+            getStrikes(phone, keys),
+            getPending(phone, keys),
+            store.sismember(keys.DENIED_SET, phone),
+            getDeliveryStats(phone, keys),
+            getChannelUse(phone, keys),
+        ]);
+    const lines = [
+        guest
+            ? `${phone}: guest${guest.name ? ` (${guest.name})` : ''}`
+            : `${phone}: not on the guest list`,
+        `Opted out: ${optedOut ? 'yes' : 'no'}`,
+        `Blocked: ${describeBlock(block)} (strikes: ${strikes.strikes})`,
+    ];
+    if (pending) lines.push(`Pending approval (${pending.messages} msgs)`);
+    if (denied) lines.push('Denied by a host');
+    if (delivery) {
+        const code = delivery.lastErrorCode ? ` ${delivery.lastErrorCode}` : '';
+        lines.push(`Last text: ${delivery.lastStatus}${code}`);
+    }
+    if (use.last) lines.push(`Last wrote via: ${use.last}`);
+    return lines.join('\n');
+}
+
+async function eventStats(event) {
+    const {keys} = event;
+    const [guests, pending, optedOut, rsvps, blocked] = await Promise.all([
+        store.smembers(keys.WHITELIST),
+        store.smembers(keys.PENDING_SET),
+        store.smembers(keys.OPTOUT_SET),
+        store.smembers(keys.RSVP_SET),
+        store.smembers(keys.ABUSE_SET),
+    ]);
+    return [
+        `Stats (${event.id})`,
+        `Guests: ${guests.length}`,
+        `RSVPs: ${rsvps.length}`,
+        `Pending: ${pending.length}`,
+        `Opted out: ${optedOut.length}`,
+        `Blocked for good: ${blocked.length}`,
+    ].join('\n');
+}
+
+async function runCommand({command, phone, rest}, event) {
+    const {keys} = event;
+    switch (command) {
+        case 'ADD': {
+            const name = rest.join(' ');
+            const {added} = await upsertGuest(phone, name ? {name} : {}, keys);
+            return added
+                ? `Added ${phone}${name ? ` (${name})` : ''} to the guest list.`
+                : `${phone} was already on the guest list${name ? '; name updated' : ''}.`;
+        }
+        case 'REMOVE': {
+            const {removed} = await removeGuest(phone, keys);
+            return removed
+                ? `Removed ${phone} from the guest list.`
+                : `${phone} wasn't on the guest list.`;
+        }
+        case 'UNBLOCK': {
+            const {blockCleared, limitsDeleted} = await unblockNumber(
+                phone,
+                keys
+            );
+            return blockCleared
+                ? `Unblocked ${phone} (strikes and limits cleared).`
+                : `${phone} wasn't blocked; cleared ${limitsDeleted} limit counters.`;
+        }
+        case 'STATUS':
+            return numberStatus(phone, keys);
+        case 'STATS':
+            return eventStats(event);
+    }
+    return null;
+}
+
+// → reply text when `from` is a host texting a command, else null (the
+// message then goes through the normal guest flow).
+export async function handleAdminCommand({
+    from,
+    body,
+    event,
+    log = console,
+    now = Date.now(),
+}) {
+    if (!isAdminPhone(from)) return null;
+    const cmd = parseAdminCommand(body);
+    if (!cmd) return null;
+
+    const {keys} = event;
+    const confirmKey = `${keys.ADMIN_CONFIRM_PREFIX}${from}`;
+    const audit = (entry) =>
+        recordAudit({admin: from, event: event.id, ...entry}, {keys, now});
+
+    if (cmd.command === CONFIRM_WORD) {
+        const parked = parseStored(await store.get(confirmKey));
+        if (!parked) return 'Nothing to confirm (or it expired).';
+        await store.del(confirmKey);
+        const reply = await runCommand({rest: [], ...parked}, event);
+        await audit({command: parked.command, phone: parked.phone, reply});
+        log.info('Admin SMS: confirmed', {from, command: parked.command});
+        return reply;
+    }
+
+    if (NEEDS_PHONE.has(cmd.command) && !cmd.phone) {
+        return `Usage: ${cmd.command} <phone>${cmd.command === 'ADD' ? ' [name]' : ''}`;
+    }
+
+    if (NEEDS_CONFIRM.has(cmd.command)) {
+        await store.set(
+            confirmKey,
+            JSON.stringify({command: cmd.command, phone: cmd.phone}),
+            {ex: ADMIN_CONFIRM_TTL_SEC}
+        );
+        await audit({
+            command: cmd.command,
+            phone: cmd.phone,
+            reply: 'awaiting confirmation',
+        });
+        const mins = Math.max(1, Math.round(ADMIN_CONFIRM_TTL_SEC / 60));
+        return `${cmd.command} ${cmd.phone}? Reply ${CONFIRM_WORD} within ${mins} min to proceed.`;
+    }
+
+    const reply = await runCommand(cmd, event);
+    await audit({command: cmd.command, phone: cmd.phone || null, reply});
+    log.info('Admin SMS: ran command', {from, command: cmd.command});
+    return reply;
+}
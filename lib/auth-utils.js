@@ -1,3 +1,5 @@
+import twilio from 'twilio';
+
 export function isTokenValid(req, expected) {
     if (!expected) return false;
 
@@ -19,8 +21,43 @@ export function isTokenValid(req, expected) {
     }
 }
 
+// Vercel Cron: sends "Authorization: Bearer $CRON_SECRET" when it is set.
+export function isCronRequest(req) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return false;
+    return req.headers?.authorization === `Bearer ${secret}`;
+}
+
 export function isValidMethod(req) {
     if (!req.method) return false;
     const method = req.method.toUpperCase();
     return method === 'GET' || method === 'POST';
 }
+
+// Full public URL Twilio requested (the signature covers it verbatim, query included).
+// Set PUBLIC_BASE_URL when a proxy rewrites the host or protocol.
+export function getRequestUrl(req) {
+    const base = process.env.PUBLIC_BASE_URL;
+    if (base) return `${base.replace(/\/+$/, '')}${req.url}`;
+
+    const headers = req.headers || {};
+    const proto = String(headers['x-forwarded-proto'] || 'https')
+        .split(',')[0]
+        .trim();
+    const host = headers['x-forwarded-host'] || headers.host || 'localhost';
+    return `${proto}://${host}${req.url}`;
+}
+
+// Verify X-Twilio-Signature (HMAC-SHA1 over URL + sorted form params).
+export function isTwilioSignatureValid(req, params, authToken) {
+    const signature = req.headers?.['x-twilio-signature'];
+    if (!authToken || typeof signature !== 'string' || !signature) {
+        return false;
+    }
+    return twilio.validateRequest(
+        authToken,
+        signature,
+        getRequestUrl(req),
+        params
+    );
+}
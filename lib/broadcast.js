@@ -0,0 +1,244 @@
+// Broadcast announcements to the guest list (or a tagged subset).
+//
+// A broadcast snapshots its recipients when created and records a result per
+// recipient, so a run that times out or partially fails can be resumed:
+//   broadcast:<id>             hash  {id, message, tag, createdAt, status, total, passwordVersion}
+//   broadcast:<id>:recipients  set   phones to send to
+//   broadcast:<id>:results     hash  phone → sending:<at> | sent:<sid> | skipped:<why> | failed:<error>
+//   broadcast:<id>:lock        string  held by the run in progress
+// Resuming only retries recipients without a result or with a failed one. Each
+// recipient is claimed (sending:<at>) before the send, so no two runs text the
+// same guest; a claim left by a run that crashed mid-send is not retried.
+import {store} from './storage.js';
+import {
+    KEYS,
+    BROADCAST_RATE_PER_SEC,
+    BROADCAST_MAX_RUNTIME_SEC,
+} from './config.js';
+import {getGuest} from './guests.js';
+import {isOptedOut} from './optout.js';
+import {getMessenger} from './messenger.js';
+import {recordPasswordDelivery} from './passwords.js';
+import {sendToGuest} from './channels.js';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function metaKey(keys, id) {
+    return `${keys.BROADCAST_PREFIX}${id}`;
+}
+function recipientsKey(keys, id) {
+    return `${keys.BROADCAST_PREFIX}${id}:recipients`;
+}
+function resultsKey(keys, id) {
+    return `${keys.BROADCAST_PREFIX}${id}:results`;
+}
+function lockKey(keys, id) {
+    return `${keys.BROADCAST_PREFIX}${id}:lock`;
+}
+
+// Delete the lock only if this run still holds it
+const UNLOCK_SCRIPT = {
+    name: 'broadcast-unlock',
+    lua: `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0
+`,
+    async local(s, [key], [token]) {
+        return (await s.get(key)) === token ? s.del(key) : 0;
+    },
+};
+
+function isFailed(result) {
+    return String(result || '').startsWith('failed');
+}
+
+// Whitelisted numbers, optionally only those carrying `tag`.
+export async function selectRecipients({tag, keys = KEYS}) {
+    const phones = (await store.smembers(keys.WHITELIST)) || [];
+    if (!tag) return phones.sort();
+
+    const wanted = String(tag).trim().toLowerCase();
+    const guests = await Promise.all(phones.map((p) => getGuest(p, keys)));
+    return guests
+        .filter((g) => g?.tags.includes(wanted))
+        .map((g) => g.phone)
+        .sort();
+}
+
+// `recipients` overrides tag selection; `passwordVersion` marks a password
+// notice so each successful send updates passwords:delivered.
+export async function createBroadcast({
+    message,
+    tag = '',
+    recipients: explicit,
+    passwordVersion,
+    keys = KEYS,
+}) {
+    const text = String(message || '').trim();
+    if (!text) throw new Error('Broadcast message is empty');
+
+    const recipients = explicit || (await selectRecipients({tag, keys}));
+    const id = `b${Date.now().toString(36)}`;
+    await store.hset(metaKey(keys, id), {
+        id,
+        message: text,
+        tag: tag || '',
+        createdAt: new Date().toISOString(),
+        status: 'running',
+        total: String(recipients.length),
+        ...(passwordVersion !== undefined
+            ? {passwordVersion: String(passwordVersion)}
+            : {}),
+    });
+    if (recipients.length) {
+        await store.sadd(recipientsKey(keys, id), ...recipients);
+    }
+    await store.sadd(keys.BROADCAST_SET, id);
+    return {id, total: recipients.length};
+}
+
+export async function getBroadcastStatus({id, keys = KEYS}) {
+    const meta = await store.hgetall(metaKey(keys, id));
+    if (!meta || !Object.keys(meta).length) {
+        throw new Error(`Unknown broadcast: "${id}"`);
+    }
+    const results = (await store.hgetall(resultsKey(keys, id))) || {};
+    const counts = {sent: 0, skipped: 0, failed: 0, sending: 0};
+    for (const r of Object.values(results)) {
+        const kind = String(r).split(':')[0];
+        if (kind in counts) counts[kind]++;
+    }
+    const total = Number(meta.total || 0);
+    return {
+        id,
+        message: String(meta.message ?? ''),
+        tag: String(meta.tag ?? ''),
+        createdAt: meta.createdAt,
+        status: meta.status,
+        passwordVersion:
+            meta.passwordVersion !== undefined && meta.passwordVersion !== null
+                ? Number(meta.passwordVersion)
+                : null,
+        total,
+        ...counts,
+        remaining: total - counts.sent - counts.skipped - counts.sending,
+        results,
+    };
+}
+
+// Send to every recipient without a result (or with a failed one), paced to
+// `ratePerSec`, stopping early once `maxRuntimeSec` is used up (call again to
+// resume). Throws if another run of the same broadcast holds the lock.
+export async function runBroadcast({
+    id,
+    event,
+    messenger = getMessenger(),
+    ratePerSec = BROADCAST_RATE_PER_SEC,
+    maxRuntimeSec = BROADCAST_MAX_RUNTIME_SEC,
+    log = console,
+}) {
+    const {keys} = event;
+    const {message, passwordVersion} = await getBroadcastStatus({id, keys});
+    const token = Math.random().toString(36).slice(2, 10);
+    // Outlives the run (the last send can start just before the deadline)
+    const locked = await store.set(lockKey(keys, id), token, {
+        nx: true,
+        ex: maxRuntimeSec + 60,
+    });
+    if (!locked) throw new Error(`Broadcast "${id}" is already running`);
+    try {
+        return await sendPending({
+            id,
+            event,
+            message,
+            passwordVersion,
+            messenger,
+            ratePerSec,
+            maxRuntimeSec,
+            log,
+        });
+    } finally {
+        await store.runScript(UNLOCK_SCRIPT, [lockKey(keys, id)], [token]);
+    }
+}
+
+async function sendPending({
+    id,
+    event,
+    message,
+    passwordVersion,
+    messenger,
+    ratePerSec,
+    maxRuntimeSec,
+    log,
+}) {
+    const {keys} = event;
+    const deadline = Date.now() + maxRuntimeSec * 1000;
+    const gapMs = 1000 / Math.max(1, ratePerSec);
+
+    const recipients = (await store.smembers(recipientsKey(keys, id))) || [];
+    const results = (await store.hgetall(resultsKey(keys, id))) || {};
+    const todo = recipients
+        .filter((p) => !results[p] || isFailed(results[p]))
+        .sort();
+    // Failed sends get claimed afresh (the lock keeps other runs out)
+    const failed = todo.filter((p) => results[p]);
+    if (failed.length) await store.hdel(resultsKey(keys, id), ...failed);
+
+    let processed = 0;
+    let lastSend = 0;
+    for (const phone of todo) {
+        if (Date.now() >= deadline) break;
+
+        const claimed = await store.hsetnx(
+            resultsKey(keys, id),
+            phone,
+            `sending:${new Date().toISOString()}`
+        );
+        if (!Number(claimed)) continue; // another run has it
+
+        let result;
+        if (await isOptedOut(phone, keys)) {
+            result = 'skipped:opted-out';
+        } else {
+            const wait = lastSend + gapMs - Date.now();
+            if (wait > 0) await sleep(wait);
+            lastSend = Date.now();
+            try {
+                const {sid, skipped} = await sendToGuest({
+                    event,
+                    phone,
+                    body: message,
+                    messenger,
+                });
+                result = skipped ? `skipped:${skipped}` : `sent:${sid}`;
+                if (!skipped && passwordVersion !== null) {
+                    await recordPasswordDelivery(phone, passwordVersion, keys);
+                }
+            } catch (err) {
+                result = `failed:${err?.message || err}`.slice(0, 200);
+                log.warn('Broadcast: send failed', {id, phone, result});
+            }
+        }
+        await store.hset(resultsKey(keys, id), {[phone]: result});
+        processed++;
+    }
+
+    const status = await getBroadcastStatus({id, keys});
+    delete status.results; // can be large; callers ask for status separately
+    // every unfinished recipient has been tried → nothing left but retries
+    const done = status.remaining === status.failed;
+    let next = 'running';
+    // (`sending` left over: a crashed run, outcome unknown)
+    if (done) next = status.failed || status.sending ? 'partial' : 'done';
+    await store.hset(metaKey(keys, id), {status: next});
+    log.info('Broadcast: run finished', {
+        id,
+        processed,
+        sent: status.sent,
+        skipped: status.skipped,
+        failed: status.failed,
+        status: next,
+    });
+    return {...status, status: next, processed, done};
+}
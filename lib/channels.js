@@ -0,0 +1,132 @@
+// Messaging channels: plain SMS and WhatsApp through the same Twilio account.
+//
+// Twilio sends WhatsApp addresses as "whatsapp:+447700900123"; everything
+// else (whitelist, guest records, opt-outs, limits) is keyed by the bare
+// E.164 number, so a guest is the same guest on either channel.
+//
+//   channel:<phone>   hash {last, sms, whatsapp, voice (last inbound ms per
+//                           channel), whatsappVia (our number they wrote to)}
+//
+// Proactive messages (approvals, broadcasts, deferred replies) go out on
+// WhatsApp only while the guest's WhatsApp session window is open (WhatsApp
+// rejects free-form messages after it); otherwise by SMS.
+import {store} from './storage.js';
+import {
+    KEYS,
+    TTL,
+    ABUSE,
+    ALLOWED_COUNTRY_CODES,
+    WHATSAPP_SESSION_HOURS,
+} from './config.js';
+import {recordOptOut} from './optout.js';
+import {isCarrierOptOut} from './delivery.js';
+
+const WHATSAPP_PREFIX = 'whatsapp:';
+
+export const CHANNEL_RULES = {
+    sms: {
+        countries: ALLOWED_COUNTRY_CODES, // abuse guard gate for unknown numbers
+        maxMessageLength: ABUSE.MAX_MESSAGE_LENGTH, // longer → suspicious
+        confirmOptOut: false, // carriers confirm STOP themselves
+        carrierOptOut: true, // CARRIER_OPTOUT_ERROR_CODES apply
+        sessionWindowSec: 0, // proactive messages any time
+    },
+    whatsapp: {
+        countries: null, // any: international guests are the point
+        maxMessageLength: 1000,
+        confirmOptOut: true, // no carrier STOP handling: we confirm
+        carrierOptOut: false,
+        sessionWindowSec: WHATSAPP_SESSION_HOURS * 60 * 60,
+    },
+};
+
+export function channelRules(channel = 'sms') {
+    return CHANNEL_RULES[channel] || CHANNEL_RULES.sms;
+}
+
+// "whatsapp:+1555…" → {channel: "whatsapp", phone: "+1555…"}; "+1555…" → sms
+export function parseAddress(raw) {
+    const s = String(raw || '').trim();
+    if (s.toLowerCase().startsWith(WHATSAPP_PREFIX)) {
+        return {
+            channel: 'whatsapp',
+            phone: s.slice(WHATSAPP_PREFIX.length).trim(),
+        };
+    }
+    return {channel: 'sms', phone: s};
+}
+
+export function addressFor(channel, phone) {
+    return channel === 'whatsapp' ? `${WHATSAPP_PREFIX}${phone}` : phone;
+}
+
+// Remember the channel a guest just wrote from (and which of our numbers).
+export async function recordChannelUse({
+    phone,
+    channel,
+    via = '',
+    keys = KEYS,
+    now = Date.now(),
+}) {
+    const key = `${keys.CHANNEL_PREFIX}${phone}`;
+    const fields = {last: channel, [channel]: String(now)};
+    if (channel === 'whatsapp' && via) fields.whatsappVia = via;
+    await store.hset(key, fields);
+    await store.expire(key, TTL.CHANNEL);
+}
+
+// → {last, sms, whatsapp, voice, whatsappVia} (times in ms, 0 when never used)
+export async function getChannelUse(phone, keys = KEYS) {
+    const h = (await store.hgetall(`${keys.CHANNEL_PREFIX}${phone}`)) || {};
+    return {
+        last: h.last || null,
+        sms: Number(h.sms || 0),
+        whatsapp: Number(h.whatsapp || 0),
+        voice: Number(h.voice || 0),
+        whatsappVia: h.whatsappVia || '',
+    };
+}
+
+// Where a proactive message to `phone` goes. → {channel, to, from}
+export async function routeFor({event, phone, now = Date.now()}) {
+    const use = await getChannelUse(phone, event.keys);
+    const windowMs = channelRules('whatsapp').sessionWindowSec * 1000;
+    const sessionOpen = use.whatsapp > 0 && now - use.whatsapp < windowMs;
+    // WhatsApp when that's where they last wrote (calls don't count)
+    if (sessionOpen && use.whatsapp > use.sms) {
+        return {
+            channel: 'whatsapp',
+            to: addressFor('whatsapp', phone),
+            from: addressFor('whatsapp', use.whatsappVia || event.from),
+        };
+    }
+    return {channel: 'sms', to: phone, from: event.from};
+}
+
+// messenger.send() on the guest's channel. → {sid, status, channel}
+// Twilio refuses a number the carrier has opted out (21610) at send time:
+// that records the opt-out and → {skipped: "opted-out", channel}.
+export async function sendToGuest({event, phone, body, messenger, now}) {
+    const route = await routeFor({event, phone, now});
+    try {
+        const result = await messenger.send({
+            to: route.to,
+            from: route.from,
+            body,
+        });
+        return {...result, channel: route.channel};
+    } catch (err) {
+        if (
+            !channelRules(route.channel).carrierOptOut ||
+            !isCarrierOptOut(err?.code)
+        ) {
+            throw err;
+        }
+        await recordOptOut(phone, event.keys, {
+            source: 'carrier',
+            channel: route.channel,
+            errorCode: String(err.code),
+        });
+        return {skipped: 'opted-out', channel: route.channel};
+    }
+}
@@ -1,12 +1,55 @@
 // Centralized config, keys, TTLs, and compliance keywords.
 
-import {parseIntEnv} from './utils';
+import {parseIntEnv, parseBoolEnv} from './utils.js';
+import {assertRegion, normalizePhone, parseCountryList} from './phone.js';
 
 // --- product / content ---
+// Fallback only: versions stored via /api/admin/passwords take precedence.
 export const SITE_PASSWORD = process.env.SITE_PASSWORD || 'PASSWORD';
 export const HELP_MESSAGE =
     process.env.HELP_MESSAGE ||
     'Robyn & Kingsley Wedding Website Password Auto Reponder. Reply STOP to opt out.';
+export const SITE_NAME = process.env.SITE_NAME || 'robyn-kingsley.wedding';
+export const UNKNOWN_MESSAGE =
+    process.env.UNKNOWN_MESSAGE ||
+    'We couldn’t match this number to our guest list. If this is a mistake, please contact Kingsley.';
+export const PENDING_MESSAGE =
+    process.env.PENDING_MESSAGE ||
+    'We couldn’t match this number to our guest list yet. We’ve asked the hosts — you’ll get the password by text once they approve.';
+
+// --- storage (lib/storage.js) ---
+// "upstash" (UPSTASH_REDIS_REST_URL / _TOKEN) or "memory" (in-process — local runs / tests)
+export const STORAGE = (process.env.STORAGE || 'upstash').toLowerCase();
+
+// --- outbound delivery (lib/messenger.js) ---
+// "twilio" (REST API) or "fake" (local outbox, logs only — for testing)
+export const MESSENGER = (process.env.MESSENGER || 'twilio').toLowerCase();
+export const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || '';
+// Sender for proactive texts when an event has no numbers configured
+export const TWILIO_FROM_NUMBER = process.env.TWILIO_FROM_NUMBER || '';
+
+// --- broadcasts (lib/broadcast.js) ---
+// Twilio long codes send ~1 msg/sec; raise for toll-free / short codes.
+export const BROADCAST_RATE_PER_SEC = parseIntEnv('BROADCAST_RATE_PER_SEC', 1);
+// Stop sending before the serverless function times out; resume picks up the rest.
+export const BROADCAST_MAX_RUNTIME_SEC = parseIntEnv(
+    'BROADCAST_MAX_RUNTIME_SEC',
+    50
+);
+
+// --- RSVP conversation (lib/rsvp.js) ---
+export const RSVP_KEYWORD = (process.env.RSVP_KEYWORD || 'RSVP').toUpperCase();
+export const RSVP_MEALS = (process.env.RSVP_MEALS || 'Chicken,Fish,Vegetarian')
+    .split(',')
+    .map((m) => m.trim())
+    .filter(Boolean);
+export const RSVP_MAX_HEADCOUNT = parseIntEnv('RSVP_MAX_HEADCOUNT', 10);
+
+// --- events (multi-tenant) ---
+// JSON array of event profiles; see lib/events.js. Empty → single default event.
+export const EVENTS_JSON = process.env.EVENTS_JSON || '';
+// Event used when the inbound To number matches no profile (and by admin calls without ?event=).
+export const DEFAULT_EVENT_ID = process.env.DEFAULT_EVENT_ID || 'default';
 
 // --- behavior toggles ---
 export const REQUIRED_TEXT_KEYWORD = (
@@ -16,29 +59,203 @@ export const REQUIRED_TEXT_KEYWORD = (
 // Note: If Twilio Advanced Opt-Out is ON, carriers may still require START once.
 export const ALLOW_PASSWORD_REJOIN = true;
 
-// Restrict to US E.164 (+1XXXXXXXXXX). Flip to false to allow other countries.
-export const US_ONLY = true;
+// --- phone numbers (lib/phone.js) ---
+// Country for numbers written without a +country code (admin endpoints, CLI,
+// ADMIN_PHONES / NOTIFY_SMS_TO), e.g. "US", "MX", "GB"
+export const PHONE_DEFAULT_REGION = assertRegion(
+    process.env.PHONE_DEFAULT_REGION || 'US'
+);
+// Unknown numbers from other countries are rejected by the abuse guard:
+// calling codes and/or regions, e.g. "1,52,44" or "US,MX,GB"; "*" = any.
+// (SMS only: WhatsApp is exempt, see lib/channels.js.)
+export const ALLOWED_COUNTRY_CODES = parseCountryList(
+    process.env.ALLOWED_COUNTRY_CODES || '1'
+);
+// WhatsApp only allows free-form messages this long after the guest's last
+// message; proactive messages fall back to SMS after it.
+export const WHATSAPP_SESSION_HOURS = parseIntEnv('WHATSAPP_SESSION_HOURS', 24);
+
+// --- decision pipeline (lib/pipeline.js; per-event "pipeline" in EVENTS_JSON) ---
+// Stages /api/sms runs, in order, e.g. "stop,help,start,optout,admin,whitelist,fallback".
+// Empty → the full default order; a stage left out is skipped.
+export const PIPELINE_STAGES = process.env.PIPELINE_STAGES || '';
+// Return the decision trace in an X-Decision-Trace header on /api/sms responses
+export const PIPELINE_DEBUG = parseBoolEnv('PIPELINE_DEBUG', false);
+
+// --- webhook auth ---
+// Twilio account auth token, used to verify X-Twilio-Signature on /api/sms.
+export const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || '';
+// Legacy ?token=SMS_TOKEN check. Only consulted when explicitly enabled.
+export const ALLOW_QUERY_TOKEN_FALLBACK = parseBoolEnv(
+    'ALLOW_QUERY_TOKEN_FALLBACK',
+    false
+);
+// Where Twilio posts delivery status for our replies and proactive texts
+// (/api/status). Defaults to PUBLIC_BASE_URL + /api/status when that is set.
+export const STATUS_CALLBACK_URL =
+    process.env.STATUS_CALLBACK_URL ||
+    (process.env.PUBLIC_BASE_URL
+        ? `${process.env.PUBLIC_BASE_URL.replace(/\/+$/, '')}/api/status`
+        : '');
+// Twilio error codes meaning the carrier has the recipient opted out
+export const CARRIER_OPTOUT_ERROR_CODES = (
+    process.env.CARRIER_OPTOUT_ERROR_CODES || '21610'
+)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+// How long a processed MessageSid (or signature) and its response are remembered.
+export const WEBHOOK_REPLAY_WINDOW_SEC = parseIntEnv(
+    'WEBHOOK_REPLAY_WINDOW_SEC',
+    24 * 60 * 60
+);
+// How long a request may hold a MessageSid before a retry can take over
+// (about the function's max duration; a crashed run frees it after this).
+export const WEBHOOK_PROCESSING_TTL_SEC = parseIntEnv(
+    'WEBHOOK_PROCESSING_TTL_SEC',
+    30
+);
+
+// --- availability (lib/schedule.js; per-event overrides in EVENTS_JSON) ---
+// IANA zone for dates, quiet hours and day boundaries, e.g. "America/Los_Angeles"
+export const EVENT_TIMEZONE = process.env.EVENT_TIMEZONE || 'UTC';
+// Password handed out from / until (ISO; no offset → event time zone, date only → midnight)
+export const EVENT_STARTS_AT = process.env.EVENT_STARTS_AT || '';
+export const EVENT_ENDS_AT = process.env.EVENT_ENDS_AT || '';
+// Replies to unknown numbers are deferred to the end of this local window, e.g. "22:00-08:00"
+export const QUIET_HOURS = process.env.QUIET_HOURS || '';
+
+// --- per-guest access codes (lib/access.js; per-event "accessCodes" in EVENTS_JSON) ---
+// "off" (everyone gets the shared password), "code" (a personal code per guest)
+// or "link" (a short-lived personal magic link to ACCESS_LINK_URL)
+export const ACCESS_CODES = (process.env.ACCESS_CODES || 'off').toLowerCase();
+export const ACCESS_CODE_TTL_DAYS = parseIntEnv('ACCESS_CODE_TTL_DAYS', 90);
+export const ACCESS_LINK_TTL_MIN = parseIntEnv('ACCESS_LINK_TTL_MIN', 60);
+// Successful verifications per code (0 = unlimited; magic links get 1)
+export const ACCESS_CODE_MAX_USES = parseIntEnv('ACCESS_CODE_MAX_USES', 0);
+// Site page for magic links; the code is appended as ?code=
+export const ACCESS_LINK_URL = process.env.ACCESS_LINK_URL || '';
+// Bearer token the wedding site sends to /api/verify
+export const VERIFY_API_TOKEN = process.env.VERIFY_API_TOKEN || '';
+
+// --- voice calls (api/voice.js) ---
+// Twilio <Say> voice, e.g. "Polly.Joanna" (empty → Twilio's default voice)
+export const VOICE_NAME = process.env.VOICE_NAME || '';
+// Texts a caller can request by pressing 2, per number per hour
+export const VOICE_SMS_PER_HOUR = parseIntEnv('VOICE_SMS_PER_HOUR', 3);
+
+// --- host commands by SMS (lib/admin-sms.js) ---
+// Numbers allowed to text ADD / REMOVE / UNBLOCK / STATUS / STATS, e.g. "619-555-1234,+16195556789"
+export const ADMIN_PHONES = (process.env.ADMIN_PHONES || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((p) => normalizePhone(p, PHONE_DEFAULT_REGION));
+// How long a destructive command waits for the host's CONFIRM
+export const ADMIN_CONFIRM_TTL_SEC = parseIntEnv('ADMIN_CONFIRM_TTL_SEC', 300);
+// Audit entries older than this are trimmed
+export const ADMIN_AUDIT_DAYS = parseIntEnv('ADMIN_AUDIT_DAYS', 90);
+
+// --- host notifications (lib/notify.js) ---
+// Which alerts fire: unknown (unknown number got the fallback reply), blocked
+// (number blocked for good), defensive (defensive mode enabled), globalCap
+// (daily reply cap reached).
+export const NOTIFY_EVENTS = (
+    process.env.NOTIFY_EVENTS || 'unknown,blocked,defensive,globalCap'
+)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+// Forward alerts by SMS to these numbers and/or POST them as JSON to a URL
+export const NOTIFY_SMS_TO = (process.env.NOTIFY_SMS_TO || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((p) => normalizePhone(p, PHONE_DEFAULT_REGION));
+export const NOTIFY_WEBHOOK_URL = process.env.NOTIFY_WEBHOOK_URL || '';
+// At most one delivery per window; alerts in between go out as one digest
+export const NOTIFY_DIGEST_SEC = parseIntEnv('NOTIFY_DIGEST_SEC', 60);
+// Longer window while defensive mode is on (floods)
+export const NOTIFY_DEFENSIVE_DIGEST_SEC = parseIntEnv(
+    'NOTIFY_DEFENSIVE_DIGEST_SEC',
+    15 * 60
+);
+// Delivery attempts per channel per flush (failed alerts stay queued)
+export const NOTIFY_RETRIES = parseIntEnv('NOTIFY_RETRIES', 3);
 
 // --- throttles / caps ---
 export const MIN_REPLY_COOLDOWN_MIN = parseIntEnv('MIN_REPLY_COOLDOWN_MIN', 3);
 export const MAX_PER_NUMBER_PER_DAY = parseIntEnv('MAX_PER_NUMBER_PER_DAY', 3);
 export const GLOBAL_MAX_PER_DAY = parseIntEnv('GLOBAL_MAX_PER_DAY', 2000);
 
+// --- rate limit algorithms (lib/limiter.js) ---
+// Each rule allows `limit` hits per rolling window, enforced either as a
+// sliding-window log ("sliding", exact) or a token bucket ("bucket", smooth refill).
+// Override per rule with e.g. LIMIT_ALGORITHMS="burst=sliding,globalDaily=bucket".
+export const LIMIT_ALGORITHMS = {
+    burst: 'bucket', // per-number burst guard
+    flood: 'sliding', // unknown-number flood → defensive mode
+    cooldown: 'sliding', // min gap between replies to one unknown number
+    perNumberDaily: 'sliding', // replies per unknown number per 24h
+    globalDaily: 'sliding', // replies to all unknown numbers per 24h
+    voiceSms: 'sliding', // texts requested from a voice call per number per hour
+    ...Object.fromEntries(
+        (process.env.LIMIT_ALGORITHMS || '')
+            .split(',')
+            .map((pair) => pair.split('=').map((s) => s.trim()))
+            .filter(([rule, algo]) => rule && algo)
+    ),
+};
+
 // --- redis key names ---
+// Non-default events get these namespaced as ev:<id>:<key> (see lib/events.js).
 export const KEYS = {
     WHITELIST: 'whitelist',
+    GUEST_PREFIX: 'guest:', // guest:+1... hash (name, party, tags, notes)
     ABUSE_SET: 'abuse:index', // permanent blocklist (set)
+    BLOCK_PREFIX: 'abuse:block:', // abuse:block:+1... JSON {reason, strikes, blockedAt, expiresAt} (TTL unless permanent)
+    STRIKES_PREFIX: 'strikes:', // strikes:+1... hash {count, last, history}
     DEFENSIVE_MODE: 'defensive:mode', // 1 when flood protection is active
-    GLOBAL_DAILY_PREFIX: 'rl:global:', // rl:global:YYYY-MM-DD (light daily cap)
-    PER_NUMBER_HASH_PREFIX: 'rl:num:', // rl:num:+1...
-    BURST_PREFIX: 'burst:', // burst:+1...:<bucket>
-    UNKNOWN_WINDOW: 'unknownFlood:window', // single rolling counter key
+    PER_NUMBER_HASH_PREFIX: 'rl:num:', // rl:num:+1... (suspicious-content count)
+    LIMIT_PREFIX: 'limit:', // limit:<rule>:<+1...|all> (sliding log zset / token bucket hash)
+    CONVERSATION_PREFIX: 'conv:', // conv:+1... hash (in-progress SMS flow, TTL)
+    RSVP_PREFIX: 'rsvp:', // rsvp:+1... hash (saved answers)
+    RSVP_SET: 'rsvp:index', // numbers with a saved RSVP
+    PENDING_PREFIX: 'pending:', // pending:+1... hash (unknown awaiting approval)
+    PENDING_SET: 'pending:index', // approval queue
+    DENIED_SET: 'pending:denied', // denied by a host; never re-queued
+    PASSWORDS: 'passwords', // version → JSON {password, effectiveFrom, ...}
+    PASSWORD_SEQ: 'passwords:seq', // version counter
+    PASSWORD_DELIVERED: 'passwords:delivered', // phone → last version texted
+    TEMPLATES_PREFIX: 'templates:', // templates:<locale> hash (name → text overrides)
+    BROADCAST_PREFIX: 'broadcast:', // broadcast:<id> meta, :recipients set, :results hash
+    BROADCAST_SET: 'broadcast:index', // all broadcast ids
+    OPTOUT_PREFIX: 'optout:', // optout:+1... (1 year local record)
+    OPTOUT_SET: 'optedout:index', // all locally opted-out numbers
+    CONSENT_PREFIX: 'consent:', // consent:+1... zset, append-only opt-out / opt-in ledger
+    ADMIN_CONFIRM_PREFIX: 'admin:confirm:', // admin:confirm:<host +1...> JSON pending destructive command (TTL)
+    ADMIN_AUDIT: 'admin:audit', // zset of JSON entries scored by time (host SMS commands)
+    NOTIFY_QUEUE: 'notify:queue', // zset of JSON alerts scored by time
+    NOTIFY_CURSOR: 'notify:cursor', // hash channel → score of last delivered alert
+    NOTIFY_LOCK: 'notify:lock', // set while a digest window is open (TTL)
+    NOTIFY_ONCE_PREFIX: 'notify:once:', // notify:once:<type> suppresses repeats (TTL)
+    DELIVERY_PREFIX: 'delivery:', // delivery:<MessageSid> hash {to, from, status, errorCode, updatedAt}
+    DELIVERY_NUMBER_PREFIX: 'delivery:num:', // delivery:num:+1... hash (last status + delivered/undelivered/failed counts)
+    ACCESS_CODE_PREFIX: 'access:code:', // access:code:<CODE> hash {phone, kind, createdAt, expiresAt, uses, maxUses, ...}
+    ACCESS_GUEST_PREFIX: 'access:guest:', // access:guest:+1... set of codes issued to the number
+    CHANNEL_PREFIX: 'channel:', // channel:+1... hash {last, sms, whatsapp, voice, whatsappVia} (last inbound per channel)
+    DEFERRED_REPLIES: 'deferred:replies', // zset of JSON replies held over quiet hours, scored by due time
+    REPLAY_PREFIX: 'replay:', // replay:<MessageSid | sig:X-Twilio-Signature> cached response (never namespaced)
 };
 
 // --- TTLs (seconds) ---
 export const TTL = {
     PER_NUMBER_HASH: 3 * 24 * 60 * 60, // 3 days for rl:num:+1... hash
-    GLOBAL_DAILY: 2 * 24 * 60 * 60, // 2 days for rl:global:YYYY-MM-DD
+    CONVERSATION: 30 * 60, // 30 min idle → RSVP flow forgotten
+    DELIVERY: 30 * 24 * 60 * 60, // 30 days for delivery:<MessageSid>
+    DELIVERY_NUMBER: 180 * 24 * 60 * 60, // 180 days for delivery:num:+1...
+    ACCESS_CODE_GRACE: 30 * 24 * 60 * 60, // access:code:<CODE> kept 30 days past expiry
+    CHANNEL: 180 * 24 * 60 * 60, // 180 days for channel:+1...
 };
 
 // --- abuse thresholds ---
@@ -46,8 +263,12 @@ export const ABUSE = {
     UNKNOWN_WINDOW_MINUTES: 5, // size of global rolling window
     UNKNOWN_MESSAGE_THRESHOLD: 20, // flip defensive mode if >20 unknowns in window
     DEFENSIVE_MODE_DURATION_SEC: 3600, // defensive mode lasts 1 hour
-    MAX_MESSAGES_PER_NUMBER: 5, // burst: >5 msgs in window → block
+    MAX_MESSAGES_PER_NUMBER: 5, // burst: >5 msgs in window → strike
     BURST_WINDOW_SECONDS: 60, // per-number burst window in seconds
+    SUSPICIOUS_PER_STRIKE: 5, // suspicious messages that earn a strike
+    // block length for strike 1, 2, 3, …; strikes past the end → permanent
+    STRIKE_BLOCK_MINUTES: [10, 60, 24 * 60, 7 * 24 * 60],
+    STRIKE_DECAY_DAYS: 30, // one strike forgiven per 30 quiet days
     MAX_MESSAGE_LENGTH: 160, // suspicious if >160 chars
     URL_PATTERN: /\bhttps?:\/\//i, // suspicious if contains URL
 };
@@ -63,3 +284,18 @@ export const OPT_OUTS = [
 ];
 export const OPT_INS = ['START', 'UNSTOP', 'YES'];
 export const HELP_WORDS = ['HELP', 'INFO'];
+
+// --- locales (lib/i18n.js, lib/templates.js) ---
+export const DEFAULT_LOCALE = (
+    process.env.DEFAULT_LOCALE || 'en'
+).toLowerCase();
+export const SUPPORTED_LOCALES = ['en', 'es'];
+// Extra compliance keywords per locale, honored alongside the English lists above.
+// A message matching one of these is answered in that locale.
+export const LOCALIZED_KEYWORDS = {
+    es: {
+        OPT_OUTS: ['PARAR', 'DETENER', 'CANCELAR'],
+        OPT_INS: ['COMENZAR', 'REANUDAR'],
+        HELP_WORDS: ['AYUDA'],
+    },
+};
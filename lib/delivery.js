@@ -0,0 +1,78 @@
+// Delivery status from Twilio status callbacks (/api/status).
+//
+//   delivery:<MessageSid>   hash {to, from, channel, status, errorCode, updatedAt}
+//   delivery:num:<phone>    hash {lastStatus, lastSid, lastErrorCode, updatedAt,
+//                                 delivered, undelivered, failed}
+//
+// Callbacks can arrive out of order (a late "sent" after "delivered"), so
+// once a message has a final status, later non-final ones are ignored, and
+// each message counts towards its number's totals once.
+import {store} from './storage.js';
+import {KEYS, TTL, CARRIER_OPTOUT_ERROR_CODES} from './config.js';
+
+export const FINAL_STATUSES = ['delivered', 'undelivered', 'failed'];
+
+export function isCarrierOptOut(errorCode) {
+    return (
+        !!errorCode && CARRIER_OPTOUT_ERROR_CODES.includes(String(errorCode))
+    );
+}
+
+// → {status, final, counted} (counted: first final status for this message)
+export async function recordDeliveryStatus({
+    sid,
+    status,
+    to,
+    from,
+    channel = 'sms',
+    errorCode = '',
+    keys = KEYS,
+    now = Date.now(),
+}) {
+    const messageKey = `${keys.DELIVERY_PREFIX}${sid}`;
+    const prev = await store.hget(messageKey, 'status');
+    const final = FINAL_STATUSES.includes(status);
+    if (FINAL_STATUSES.includes(prev)) {
+        return {status: prev, final: true, counted: false};
+    }
+
+    const updatedAt = new Date(now).toISOString();
+    await store.hset(messageKey, {
+        to,
+        from,
+        channel,
+        status,
+        errorCode: String(errorCode || ''),
+        updatedAt,
+    });
+    await store.expire(messageKey, TTL.DELIVERY);
+    if (!final) return {status, final, counted: false};
+
+    const numberKey = `${keys.DELIVERY_NUMBER_PREFIX}${to}`;
+    await Promise.all([
+        store.hset(numberKey, {
+            lastStatus: status,
+            lastSid: sid,
+            lastErrorCode: String(errorCode || ''),
+            updatedAt,
+        }),
+        store.hincrby(numberKey, status, 1),
+    ]);
+    await store.expire(numberKey, TTL.DELIVERY_NUMBER);
+    return {status, final, counted: true};
+}
+
+// → {lastStatus, lastSid, lastErrorCode, updatedAt, delivered, undelivered, failed} | null
+export async function getDeliveryStats(phone, keys = KEYS) {
+    const h = await store.hgetall(`${keys.DELIVERY_NUMBER_PREFIX}${phone}`);
+    if (!h) return null;
+    return {
+        lastStatus: h.lastStatus || null,
+        lastSid: h.lastSid || null,
+        lastErrorCode: h.lastErrorCode ? String(h.lastErrorCode) : null,
+        updatedAt: h.updatedAt || null,
+        delivered: Number(h.delivered || 0),
+        undelivered: Number(h.undelivered || 0),
+        failed: Number(h.failed || 0),
+    };
+}
@@ -0,0 +1,140 @@
+// Event profiles: one deployment can serve several events, each on its own
+// Twilio number(s), with its own password, keyword, messages, caps and keys.
+//
+// EVENTS_JSON example:
+//   [{"id":"wedding","numbers":["+15551230000"],"password":"Rings2026",
+//     "keyword":"PASSWORD","site":"robyn-kingsley.wedding",
+//     "helpMessage":"...","unknownMessage":"...","pendingMessage":"...",
+//     "caps":{"cooldownMin":3,"maxPerNumberPerDay":3,"globalMaxPerDay":2000},
+//     "rsvp":{"meals":["Chicken","Fish","Vegetarian"],"maxHeadcount":6},
+//     "timezone":"America/Los_Angeles","startsAt":"2026-06-01",
+//     "endsAt":"2026-06-30","quietHours":"22:00-08:00","accessCodes":"code",
+//     "pipeline":["stop","help","start","optout","admin","whitelist","fallback"]}]
+//
+// Missing fields fall back to the global env config. The default event keeps
+// the original un-prefixed keys so existing data keeps working.
+
+import {
+    SITE_PASSWORD,
+    HELP_MESSAGE,
+    SITE_NAME,
+    UNKNOWN_MESSAGE,
+    PENDING_MESSAGE,
+    TWILIO_FROM_NUMBER,
+    REQUIRED_TEXT_KEYWORD,
+    MIN_REPLY_COOLDOWN_MIN,
+    MAX_PER_NUMBER_PER_DAY,
+    GLOBAL_MAX_PER_DAY,
+    RSVP_MEALS,
+    RSVP_MAX_HEADCOUNT,
+    EVENTS_JSON,
+    DEFAULT_EVENT_ID,
+    KEYS,
+    EVENT_TIMEZONE,
+    EVENT_STARTS_AT,
+    EVENT_ENDS_AT,
+    QUIET_HOURS,
+    ACCESS_CODES,
+    PIPELINE_STAGES,
+} from './config.js';
+import {assertTimeZone, parseEventTime, parseQuietHours} from './schedule.js';
+import {assertAccessMode} from './access.js';
+import {parseAddress} from './channels.js';
+import {assertPipeline} from './pipeline.js';
+
+// Shared across events (not tied to a guest list)
+const GLOBAL_KEYS = new Set(['REPLAY_PREFIX']);
+
+export function keysFor(eventId) {
+    if (eventId === DEFAULT_EVENT_ID) return KEYS;
+    const out = {};
+    for (const [name, key] of Object.entries(KEYS)) {
+        out[name] = GLOBAL_KEYS.has(name) ? key : `ev:${eventId}:${key}`;
+    }
+    return out;
+}
+
+function buildEvent(raw = {}) {
+    const id = String(raw.id || '').trim();
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(id)) {
+        throw new Error(`Invalid event id: "${raw.id}"`);
+    }
+    const caps = raw.caps || {};
+    const rsvp = raw.rsvp || {};
+    const numbers = (raw.numbers || []).map((n) => String(n).trim());
+    const timezone = assertTimeZone(raw.timezone || EVENT_TIMEZONE);
+    return {
+        id,
+        numbers,
+        // sender for proactive texts (approvals, broadcasts)
+        from: raw.from || numbers[0] || TWILIO_FROM_NUMBER,
+        password: raw.password || SITE_PASSWORD,
+        keyword: String(raw.keyword ?? REQUIRED_TEXT_KEYWORD).toUpperCase(),
+        site: raw.site || SITE_NAME,
+        helpMessage: raw.helpMessage || HELP_MESSAGE,
+        unknownMessage: raw.unknownMessage || UNKNOWN_MESSAGE,
+        pendingMessage: raw.pendingMessage || PENDING_MESSAGE,
+        caps: {
+            cooldownMin: caps.cooldownMin ?? MIN_REPLY_COOLDOWN_MIN,
+            maxPerNumberPerDay:
+                caps.maxPerNumberPerDay ?? MAX_PER_NUMBER_PER_DAY,
+            globalMaxPerDay: caps.globalMaxPerDay ?? GLOBAL_MAX_PER_DAY,
+        },
+        rsvp: {
+            meals: rsvp.meals?.length ? rsvp.meals : RSVP_MEALS,
+            maxHeadcount: rsvp.maxHeadcount ?? RSVP_MAX_HEADCOUNT,
+        },
+        timezone,
+        // epoch ms or null (open-ended)
+        startsAt: parseEventTime(raw.startsAt ?? EVENT_STARTS_AT, timezone),
+        endsAt: parseEventTime(raw.endsAt ?? EVENT_ENDS_AT, timezone),
+        quietHours: parseQuietHours(raw.quietHours ?? QUIET_HOURS),
+        // off | code | link (lib/access.js)
+        accessCodes: assertAccessMode(raw.accessCodes ?? ACCESS_CODES),
+        // /api/sms stage order (lib/pipeline.js)
+        pipeline: assertPipeline(raw.pipeline ?? PIPELINE_STAGES),
+        keys: keysFor(id),
+    };
+}
+
+function loadEvents() {
+    const list = EVENTS_JSON ? JSON.parse(EVENTS_JSON) : [];
+    if (!Array.isArray(list)) throw new Error('EVENTS_JSON must be an array');
+
+    const byId = new Map();
+    for (const raw of list) {
+        const event = buildEvent(raw);
+        if (byId.has(event.id)) {
+            throw new Error(`Duplicate event id: "${event.id}"`);
+        }
+        byId.set(event.id, event);
+    }
+    if (!byId.has(DEFAULT_EVENT_ID)) {
+        byId.set(DEFAULT_EVENT_ID, buildEvent({id: DEFAULT_EVENT_ID}));
+    }
+    return byId;
+}
+
+const EVENTS = loadEvents();
+
+export function listEvents() {
+    return Array.from(EVENTS.values());
+}
+
+// Admin lookup by id; missing id → default event.
+export function getEvent(id) {
+    const key = String(id || '').trim() || DEFAULT_EVENT_ID;
+    const event = EVENTS.get(key);
+    if (!event) throw new Error(`Unknown event: "${key}"`);
+    return event;
+}
+
+// Webhook routing by the Twilio number the guest texted.
+// `to` may be a WhatsApp address ("whatsapp:+1555…").
+export function resolveEventByNumber(to) {
+    const number = parseAddress(to).phone;
+    for (const event of EVENTS.values()) {
+        if (event.numbers.includes(number)) return event;
+    }
+    return EVENTS.get(DEFAULT_EVENT_ID);
+}
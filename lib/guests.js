@@ -0,0 +1,95 @@
+// Guest records: the `whitelist` set stays the source of truth for who gets a reply;
+// an optional guest:<phone> hash carries name / party / tags / notes / locale for that number.
+import {store} from './storage.js';
+import {KEYS} from './config.js';
+import {normalizeLocale} from './i18n.js';
+
+export const GUEST_FIELDS = ['name', 'party', 'tags', 'notes', 'locale'];
+
+// "Wedding Party, family" / "wedding-party|family" → ['wedding-party', 'family']
+export function parseTags(input) {
+    const list = Array.isArray(input)
+        ? input
+        : String(input || '').split(/[,;|]/);
+    const seen = new Set();
+    for (const t of list) {
+        const tag = String(t).trim().toLowerCase().replace(/\s+/g, '-');
+        if (tag) seen.add(tag);
+    }
+    return Array.from(seen);
+}
+
+// Pick known guest fields out of request params, dropping blanks.
+export function pickGuestFields(params = {}) {
+    const out = {};
+    for (const f of GUEST_FIELDS) {
+        const v = params[f];
+        if (v === undefined || v === null) continue;
+        const s = Array.isArray(v) ? v.join(',') : String(v).trim();
+        if (!s) continue;
+        if (f === 'locale' && !normalizeLocale(s)) {
+            throw new Error(`Unsupported locale: "${s}"`);
+        }
+        if (f === 'tags') out[f] = parseTags(s);
+        else if (f === 'locale') out[f] = normalizeLocale(s);
+        else out[f] = s;
+    }
+    return out;
+}
+
+function toRecord(phone, hash) {
+    const h = hash || {};
+    return {
+        phone,
+        name: h.name || '',
+        party: h.party || '',
+        tags: parseTags(h.tags),
+        notes: h.notes || '',
+        locale: h.locale || '',
+    };
+}
+
+// Returns the guest record, or null when the number isn't whitelisted.
+// Set-only numbers (no hash yet) come back with empty fields.
+export async function getGuest(phone, keys = KEYS) {
+    const [member, hash] = await Promise.all([
+        store.sismember(keys.WHITELIST, phone),
+        store.hgetall(`${keys.GUEST_PREFIX}${phone}`),
+    ]);
+    if (!member) return null;
+    return toRecord(phone, hash);
+}
+
+// Add to whitelist and merge any provided fields into the record.
+export async function upsertGuest(phone, fields = {}, keys = KEYS) {
+    const data = {};
+    for (const [k, v] of Object.entries(pickGuestFields(fields))) {
+        data[k] = Array.isArray(v) ? v.join(',') : v;
+    }
+    const key = `${keys.GUEST_PREFIX}${phone}`;
+    const [added] = await Promise.all([
+        store.sadd(keys.WHITELIST, phone),
+        Object.keys(data).length ? store.hset(key, data) : null,
+    ]);
+    return {
+        added: added === 1,
+        guest: toRecord(phone, await store.hgetall(key)),
+    };
+}
+
+export async function removeGuest(phone, keys = KEYS) {
+    const [removed] = await Promise.all([
+        store.srem(keys.WHITELIST, phone),
+        store.del(`${keys.GUEST_PREFIX}${phone}`),
+    ]);
+    return {removed: removed === 1};
+}
+
+// First word of the name, for "Hi Robyn!" style greetings.
+export function greetingName(guest) {
+    return (
+        String(guest?.name || '')
+            .trim()
+            .split(/\s+/)[0] || ''
+    );
+}
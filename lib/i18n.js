@@ -0,0 +1,20 @@
+// Locale helpers: guest locale normalization and fallback.
+// (Localized keywords are matched in lib/keywords.js.)
+import {DEFAULT_LOCALE, SUPPORTED_LOCALES} from './config.js';
+
+// "ES", "es-MX" → "es"; unsupported → null
+export function normalizeLocale(input) {
+    const code = String(input || '')
+        .trim()
+        .toLowerCase()
+        .split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(code) ? code : null;
+}
+
+export function resolveLocale(...candidates) {
+    for (const c of candidates) {
+        const l = normalizeLocale(c);
+        if (l) return l;
+    }
+    return normalizeLocale(DEFAULT_LOCALE) || 'en';
+}
@@ -0,0 +1,128 @@
+// Inbound message → intent. Replaces substring checks, which misfired on
+// "SEND me the password" (END), "YESTERDAY" (YES) and "INFORMATION" (INFO).
+//
+// Compliance keywords (STOP / HELP / START and their localized forms) follow
+// the carrier rule: the whole message is the keyword, or its first word is
+// ("STOP", "stop.", "Stop please"). The event's required keyword may appear
+// anywhere and tolerates punctuation and small typos ("pasword!", "Password please").
+import {OPT_OUTS, OPT_INS, HELP_WORDS, LOCALIZED_KEYWORDS} from './config.js';
+
+// Evaluated in this order; the first match wins. Each intent accepts the
+// English words plus every localized list (tagged with its locale).
+const COMPLIANCE = [
+    ['optout', 'OPT_OUTS', OPT_OUTS],
+    ['help', 'HELP_WORDS', HELP_WORDS],
+    ['optin', 'OPT_INS', OPT_INS],
+].map(([intent, list, words]) => ({
+    intent,
+    sources: [
+        [null, words],
+        ...Object.entries(LOCALIZED_KEYWORDS).map(([locale, lists]) => [
+            locale,
+            lists[list] || [],
+        ]),
+    ],
+}));
+
+// "Stop, please!" → ['STOP', 'PLEASE']
+export function tokenize(body) {
+    return String(body || '')
+        .toUpperCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+// Optimal string alignment distance (insert / delete / substitute / swap).
+export function editDistance(a, b) {
+    const d = Array.from({length: a.length + 1}, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(
+                d[i - 1][j] + 1,
+                d[i][j - 1] + 1,
+                d[i - 1][j - 1] + cost
+            );
+            if (
+                i > 1 &&
+                j > 1 &&
+                a[i - 1] === b[j - 2] &&
+                a[i - 2] === b[j - 1]
+            ) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+// Typos allowed for a keyword of this length (short words must be exact).
+function typoBudget(length) {
+    if (length < 4) return 0;
+    if (length < 10) return 1;
+    return 2;
+}
+
+// Does the message contain `keyword` (one or more words), allowing typos?
+export function matchesKeyword(tokens, keyword) {
+    const want = tokenize(keyword);
+    if (!want.length) return false;
+    const target = want.join('');
+    const budget = typoBudget(target.length);
+    for (let i = 0; i + want.length <= tokens.length; i++) {
+        const got = tokens.slice(i, i + want.length).join('');
+        if (got === target) return true;
+        if (budget && editDistance(got, target) <= budget) return true;
+    }
+    return false;
+}
+
+// Whole message, or its first word, is one of `words`.
+function matchCompliance(tokens, words) {
+    if (!tokens.length) return null;
+    const whole = tokens.join('');
+    return words.find((w) => w === whole || w === tokens[0]) || null;
+}
+
+// → {intent, word, locale, hasKeyword, tokens}
+//   intent: optout | help | optin | keyword | text
+//   word:   the compliance keyword matched (intent optout/help/optin)
+//   locale: locale of a localized keyword in the message, else null
+//   hasKeyword: the event's required keyword is present (false if none set)
+export function parseMessage(body, {keyword = ''} = {}) {
+    const tokens = tokenize(body);
+    const hasKeyword = !!keyword && matchesKeyword(tokens, keyword);
+
+    for (const {intent, sources} of COMPLIANCE) {
+        for (const [locale, words] of sources) {
+            const word = matchCompliance(tokens, words);
+            if (word) {
+                return {
+                    intent,
+                    word,
+                    locale: locale || detectTokenLocale(tokens),
+                    hasKeyword,
+                    tokens,
+                };
+            }
+        }
+    }
+
+    return {
+        intent: hasKeyword ? 'keyword' : 'text',
+        word: null,
+        locale: detectTokenLocale(tokens),
+        hasKeyword,
+        tokens,
+    };
+}
+
+// Locale whose localized keywords appear as words anywhere in the message.
+function detectTokenLocale(tokens) {
+    for (const [locale, lists] of Object.entries(LOCALIZED_KEYWORDS)) {
+        const words = Object.values(lists).flat();
+        if (tokens.some((t) => words.includes(t))) return locale;
+    }
+    return null;
+}
@@ -0,0 +1,268 @@
+// Rate limiter: each rule allows `limit` hits per rolling `windowSec`, with
+// no fixed bucket or calendar-day edges to double up across.
+//
+//   sliding  sliding-window log: zset of hit timestamps, exact count over the window
+//   bucket   token bucket: `limit` tokens refilled evenly over the window
+//            (hash {tokens, ts}); allows short bursts, smooths sustained rate
+//
+// consume() checks every rule and records the hit on all of them only if all
+// allow it (rules with `always` record even when the hit is denied, e.g. a
+// flood counter). Gates are flags checked in the same script: a `before` gate
+// (a block) denies without recording anything, an `after` gate (defensive
+// mode) denies once the hit is recorded, and a gate with `trip` is set when
+// that rule is over its limit. One atomic script → one storage round trip.
+import {store as defaultStore} from './storage.js';
+import {KEYS, LIMIT_ALGORITHMS} from './config.js';
+
+export const ALGORITHMS = ['sliding', 'bucket'];
+
+// KEYS: gate keys, then rule keys
+// ARGV: now, member, gate count, per gate [member ('' = key exists), after,
+//       trip rule (1-based, 0 = none), trip ttl sec], per rule [algo, limit,
+//       window ms, always]
+// → [denied (1-based over gates then rules, 0 = allowed), retry after ms]
+const LIMIT_SCRIPT = {
+    name: 'limiter-consume',
+    lua: `
+local now = tonumber(ARGV[1])
+local gates = tonumber(ARGV[3])
+local function gateSet(g)
+    local member = ARGV[(g - 1) * 4 + 4]
+    if member == '' then return redis.call('EXISTS', KEYS[g]) == 1 end
+    return redis.call('SISMEMBER', KEYS[g], member) == 1
+end
+for g = 1, gates do
+    if ARGV[(g - 1) * 4 + 5] ~= '1' and gateSet(g) then return {g, 0} end
+end
+local first = 4 + gates * 4
+local state = {}
+local denied, retry = 0, 0
+for i = 1, #KEYS - gates do
+    local key = KEYS[gates + i]
+    local base = first + (i - 1) * 4
+    local algo = ARGV[base]
+    local limit = tonumber(ARGV[base + 1])
+    local window = tonumber(ARGV[base + 2])
+    local ok, wait, tokens = true, 0, 0
+    if algo == 'bucket' then
+        local h = redis.call('HMGET', key, 'tokens', 'ts')
+        tokens = tonumber(h[1]) or limit
+        local ts = tonumber(h[2]) or now
+        tokens = math.min(limit, tokens + (now - ts) * limit / window)
+        ok = tokens >= 1
+        if not ok then wait = math.ceil((1 - tokens) * window / limit) end
+    else
+        redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+        local count = redis.call('ZCARD', key)
+        ok = count < limit
+        if not ok then
+            local e = redis.call('ZRANGE', key, count - limit, count - limit, 'WITHSCORES')
+            wait = tonumber(e[2]) + window - now
+        end
+    end
+    state[i] = {algo, window, ok, tokens, ARGV[base + 3] == '1'}
+    if not ok and denied == 0 then denied, retry = gates + i, wait end
+end
+for i = 1, #KEYS - gates do
+    local key = KEYS[gates + i]
+    local s = state[i]
+    if denied == 0 or s[5] then
+        if s[1] == 'bucket' then
+            local left = s[4]
+            if s[3] then left = left - 1 end
+            redis.call('HSET', key, 'tokens', tostring(left), 'ts', ARGV[1])
+        else
+            redis.call('ZADD', key, now, ARGV[2])
+        end
+        redis.call('PEXPIRE', key, s[2])
+    end
+end
+for g = 1, gates do
+    local trip = tonumber(ARGV[(g - 1) * 4 + 6])
+    if trip > 0 and not state[trip][3] then
+        redis.call('SET', KEYS[g], '1', 'EX', ARGV[(g - 1) * 4 + 7])
+    end
+end
+if denied == 0 then
+    for g = 1, gates do
+        if ARGV[(g - 1) * 4 + 5] == '1' and gateSet(g) then return {g, 0} end
+    end
+end
+return {denied, retry}
+`,
+    async local(s, keys, args) {
+        const now = Number(args[0]);
+        const member = args[1];
+        const gates = Number(args[2]);
+        const gate = (g) => {
+            const [gateMember, after, trip, ttl] = args.slice(
+                3 + g * 4,
+                7 + g * 4
+            );
+            return {gateMember, after: after === '1', trip: Number(trip), ttl};
+        };
+        const gateSet = async (g) => {
+            const {gateMember} = gate(g);
+            if (gateMember === '') return (await s.get(keys[g])) !== null;
+            return !!(await s.sismember(keys[g], gateMember));
+        };
+        for (let g = 0; g < gates; g++) {
+            if (!gate(g).after && (await gateSet(g))) return [g + 1, 0];
+        }
+        const first = 3 + gates * 4;
+        const ruleKeys = keys.slice(gates);
+        const state = [];
+        let denied = 0;
+        let retry = 0;
+        for (let i = 0; i < ruleKeys.length; i++) {
+            const [algo, limitRaw, windowRaw, always] = args.slice(
+                first + i * 4,
+                first + 4 + i * 4
+            );
+            const limit = Number(limitRaw);
+            const window = Number(windowRaw);
+            let ok;
+            let wait = 0;
+            let tokens = 0;
+            if (algo === 'bucket') {
+                const [t, ts] = await Promise.all([
+                    s.hget(ruleKeys[i], 'tokens'),
+                    s.hget(ruleKeys[i], 'ts'),
+                ]);
+                tokens = t === null ? limit : Number(t);
+                const last = ts === null ? now : Number(ts);
+                tokens = Math.min(
+                    limit,
+                    tokens + ((now - last) * limit) / window
+                );
+                ok = tokens >= 1;
+                if (!ok) wait = Math.ceil(((1 - tokens) * window) / limit);
+            } else {
+                await s.zremrangebyscore(ruleKeys[i], '-inf', now - window);
+                const count = await s.zcard(ruleKeys[i]);
+                ok = count < limit;
+                if (!ok) {
+                    const e = await s.zrange(
+                        ruleKeys[i],
+                        count - limit,
+                        count - limit,
+                        {withScores: true}
+                    );
+                    wait = Number(e[1]) + window - now;
+                }
+            }
+            state.push({algo, window, ok, tokens, always: always === '1'});
+            if (!ok && !denied) {
+                denied = gates + i + 1;
+                retry = wait;
+            }
+        }
+        for (let i = 0; i < ruleKeys.length; i++) {
+            const r = state[i];
+            if (denied && !r.always) continue;
+            if (r.algo === 'bucket') {
+                const left = r.ok ? r.tokens - 1 : r.tokens;
+                await s.hset(ruleKeys[i], {
+                    tokens: String(left),
+                    ts: String(now),
+                });
+            } else {
+                await s.zadd(ruleKeys[i], {score: now, member});
+            }
+            await s.pexpire(ruleKeys[i], r.window);
+        }
+        for (let g = 0; g < gates; g++) {
+            const {trip, ttl} = gate(g);
+            if (trip > 0 && !state[trip - 1].ok) {
+                await s.set(keys[g], '1', {ex: Number(ttl)});
+            }
+        }
+        if (!denied) {
+            for (let g = 0; g < gates; g++) {
+                if (gate(g).after && (await gateSet(g))) return [g + 1, 0];
+            }
+        }
+        return [denied, retry];
+    },
+};
+
+// Build a rule. `subject` scopes it (a phone number, or "all" for global
+// rules); `limit` <= 0 or `windowSec` <= 0 disables it.
+export function limitRule(
+    name,
+    subject,
+    {
+        limit,
+        windowSec,
+        algorithm = LIMIT_ALGORITHMS[name] || 'sliding',
+        always = false,
+        keys = KEYS,
+    }
+) {
+    if (!ALGORITHMS.includes(algorithm)) {
+        throw new Error(
+            `Unknown limiter algorithm "${algorithm}" for rule "${name}" (${ALGORITHMS.join('|')})`
+        );
+    }
+    return {
+        name,
+        key: `${keys.LIMIT_PREFIX}${name}:${subject}`,
+        algorithm,
+        limit: Number(limit) || 0,
+        windowMs: Math.round(Number(windowSec) * 1000) || 0,
+        always,
+    };
+}
+
+// A flag checked with the rules: set when `key` exists, or (with `member`)
+// when the set at `key` contains it. `after`: the hit is still recorded before
+// the gate denies it. `trip: {rule, ttlSec}`: set the flag for ttlSec when
+// that rule is over its limit.
+export function limitGate(name, key, {member = '', after = false, trip} = {}) {
+    return {name, key, member: String(member), after, trip};
+}
+
+// Check-and-record one hit against `rules` (and `gates`) at time `now`.
+// → {allowed: true} | {allowed: false, rule: <rule or gate name>, retryAfterMs}
+export async function consume(
+    rules,
+    {now = Date.now(), gates = [], store = defaultStore} = {}
+) {
+    const active = rules.filter((r) => r.limit > 0 && r.windowMs > 0);
+    if (!active.length && !gates.length) return {allowed: true};
+
+    const tripIndex = (g) =>
+        g.trip?.ttlSec > 0
+            ? active.findIndex((r) => r.name === g.trip.rule) + 1
+            : 0;
+    const member = `${now}:${Math.random().toString(36).slice(2, 10)}`;
+    const [denied, retry] = (
+        await store.runScript(
+            LIMIT_SCRIPT,
+            [...gates.map((g) => g.key), ...active.map((r) => r.key)],
+            [
+                now,
+                member,
+                gates.length,
+                ...gates.flatMap((g) => [
+                    g.member,
+                    g.after ? 1 : 0,
+                    tripIndex(g),
+                    g.trip?.ttlSec ?? 0,
+                ]),
+                ...active.flatMap((r) => [
+                    r.algorithm,
+                    r.limit,
+                    r.windowMs,
+                    r.always ? 1 : 0,
+                ]),
+            ]
+        )
+    ).map(Number);
+    if (!denied) return {allowed: true};
+    return {
+        allowed: false,
+        rule: [...gates, ...active][denied - 1].name,
+        retryAfterMs: Math.max(0, retry),
+    };
+}
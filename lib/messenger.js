@@ -0,0 +1,71 @@
+// Outbound SMS delivery. Anything sent outside a webhook's TwiML reply goes
+// through getMessenger(), so MESSENGER=fake swaps Twilio for a local outbox.
+//
+// Messenger interface:
+//   name: string
+//   send({to, from, body}) → Promise<{sid, status}>
+import twilio from 'twilio';
+import {
+    MESSENGER,
+    TWILIO_ACCOUNT_SID,
+    TWILIO_AUTH_TOKEN,
+    STATUS_CALLBACK_URL,
+} from './config.js';
+
+export function createTwilioMessenger({
+    accountSid = TWILIO_ACCOUNT_SID,
+    authToken = TWILIO_AUTH_TOKEN,
+    statusCallback = STATUS_CALLBACK_URL,
+} = {}) {
+    if (!accountSid || !authToken) {
+        throw new Error(
+            'Twilio messenger needs TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN'
+        );
+    }
+    const client = twilio(accountSid, authToken);
+    return {
+        name: 'twilio',
+        async send({to, from, body}) {
+            if (!from) throw new Error('No sender number configured');
+            const msg = await client.messages.create({
+                to,
+                from,
+                body,
+                ...(statusCallback ? {statusCallback} : {}),
+            });
+            return {sid: msg.sid, status: msg.status};
+        },
+    };
+}
+
+// Records every message in `outbox` instead of sending it.
+export function createFakeMessenger({log = console} = {}) {
+    const outbox = [];
+    return {
+        name: 'fake',
+        outbox,
+        async send({to, from, body}) {
+            const sid = `SMfake${String(outbox.length + 1).padStart(6, '0')}`;
+            outbox.push({sid, to, from, body, at: Date.now()});
+            log.info('FakeMessenger: send', {sid, to, from, body});
+            return {sid, status: 'queued'};
+        },
+    };
+}
+
+let current = null;
+
+export function getMessenger() {
+    if (!current) {
+        current =
+            MESSENGER === 'fake'
+                ? createFakeMessenger()
+                : createTwilioMessenger();
+    }
+    return current;
+}
+
+// Swap the delivery backend (tests / local scripts).
+export function setMessenger(messenger) {
+    current = messenger;
+}
@@ -0,0 +1,262 @@
+// Host notifications. notify() only queues an alert in notify:queue (it runs
+// inside the Twilio webhooks, which can't wait on deliveries and retries);
+// flushNotifications() delivers the queue, from /api/admin/notify-flush on a
+// cron, at most once per digest window (NOTIFY_DIGEST_SEC, or
+// NOTIFY_DEFENSIVE_DIGEST_SEC while defensive mode is on), so a flood becomes
+// one digest.
+//
+// Channels: SMS to NOTIFY_SMS_TO and/or a JSON POST to NOTIFY_WEBHOOK_URL.
+// Each channel keeps its own cursor (notify:cursor: the last score it
+// delivered and the alert ids at that score) and is retried NOTIFY_RETRIES
+// times per flush; alerts a channel failed to deliver stay queued for the
+// next flush. Alerts older than a day are dropped.
+//
+// Alert types: unknown | blocked | defensive | globalCap (see NOTIFY_EVENTS).
+import {store} from './storage.js';
+import {
+    NOTIFY_EVENTS,
+    NOTIFY_SMS_TO,
+    NOTIFY_WEBHOOK_URL,
+    NOTIFY_DIGEST_SEC,
+    NOTIFY_DEFENSIVE_DIGEST_SEC,
+    NOTIFY_RETRIES,
+} from './config.js';
+import {getMessenger} from './messenger.js';
+import {parseStored} from './utils.js';
+
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const SMS_DIGEST_LINES = 5;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// One line per alert (SMS body / webhook `message`).
+export function describeAlert({type, data = {}}) {
+    switch (type) {
+        case 'unknown':
+            return `Unknown number ${data.phone} texted "${String(data.body || '').slice(0, 60)}"${data.queued ? ' (awaiting approval)' : ''}`;
+        case 'blocked':
+            return `${data.phone} blocked permanently (${data.reason}, ${data.strikes} strikes)`;
+        case 'defensive':
+            return `Defensive mode ON: unknown numbers get no reply for ${Math.round(data.durationSec / 60)} min`;
+        case 'globalCap':
+            return `Daily reply cap (${data.limit}) reached; unknown numbers get no reply for ~${Math.ceil(data.retryAfterMs / 60000)} min`;
+    }
+    return `${type}: ${JSON.stringify(data)}`;
+}
+
+async function withRetries(fn, attempts = NOTIFY_RETRIES) {
+    let lastErr;
+    for (let i = 0; i < Math.max(1, attempts); i++) {
+        try {
+            return await fn();
+        } catch (err) {
+            lastErr = err;
+            if (i + 1 < attempts) await sleep(250 * 2 ** i);
+        }
+    }
+    throw lastErr;
+}
+
+function smsDigest(event, alerts) {
+    const lines = alerts.slice(0, SMS_DIGEST_LINES).map(describeAlert);
+    const more = alerts.length - lines.length;
+    if (more > 0) lines.push(`…and ${more} more`);
+    const head =
+        alerts.length === 1
+            ? `[${event.id}]`
+            : `[${event.id}] ${alerts.length} alerts:`;
+    return [head, ...lines].join('\n');
+}
+
+const CHANNELS = [
+    {
+        name: 'sms',
+        enabled: () => NOTIFY_SMS_TO.length > 0,
+        async deliver(event, alerts, {messenger = getMessenger()}) {
+            const body = smsDigest(event, alerts);
+            for (const to of NOTIFY_SMS_TO) {
+                await messenger.send({to, from: event.from, body});
+            }
+        },
+    },
+    {
+        name: 'webhook',
+        enabled: () => !!NOTIFY_WEBHOOK_URL,
+        async deliver(event, alerts) {
+            const resp = await fetch(NOTIFY_WEBHOOK_URL, {
+                method: 'POST',
+                headers: {'Content-Type': 'application/json'},
+                body: JSON.stringify({
+                    event: event.id,
+                    count: alerts.length,
+                    alerts: alerts.map((a) => ({
+                        ...a,
+                        message: describeAlert(a),
+                    })),
+                }),
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+            });
+            if (!resp.ok) throw new Error(`Webhook responded ${resp.status}`);
+        },
+    },
+];
+
+function activeChannels() {
+    return CHANNELS.filter((c) => c.enabled());
+}
+
+// Stored cursor → {score, ids} (a bare score from before ids were kept)
+function readCursor(raw) {
+    const cursor = parseStored(raw);
+    if (typeof cursor === 'number') return {score: cursor, ids: []};
+    return {score: Number(cursor?.score || 0), ids: cursor?.ids || []};
+}
+
+// Not yet delivered past `cursor`: later scores, or the same millisecond
+// with an id the channel hasn't sent
+function isAfter(q, cursor) {
+    return (
+        q.score > cursor.score ||
+        (q.score === cursor.score && !cursor.ids.includes(q.alert.id))
+    );
+}
+
+// Cursor once `batch` (ascending) is delivered on top of `cursor`
+function advanceCursor(cursor, batch) {
+    const score = batch[batch.length - 1].score;
+    const ids = batch.filter((q) => q.score === score).map((q) => q.alert.id);
+    return {
+        score,
+        ids: score === cursor.score ? [...cursor.ids, ...ids] : ids,
+    };
+}
+
+// Deliver queued alerts. Without `force`, only the first caller per digest
+// window sends. → {delivered: {channel: count}, failed: [channel], queued}
+// (or {skipped: true} while the window is closed)
+export async function flushNotifications({
+    event,
+    force = false,
+    now = Date.now(),
+    messenger,
+    log = console,
+}) {
+    const {keys} = event;
+    const channels = activeChannels();
+    if (!channels.length) return {delivered: {}, failed: [], queued: 0};
+
+    if (!force) {
+        const defensive = await store.get(keys.DEFENSIVE_MODE);
+        const windowSec = defensive
+            ? NOTIFY_DEFENSIVE_DIGEST_SEC
+            : NOTIFY_DIGEST_SEC;
+        const open = await store.set(keys.NOTIFY_LOCK, String(now), {
+            nx: true,
+            ex: Math.max(1, windowSec),
+        });
+        if (!open) return {delivered: {}, failed: [], skipped: true};
+    }
+
+    await store.zremrangebyscore(keys.NOTIFY_QUEUE, '-inf', now - MAX_AGE_MS);
+    const raw = await store.zrange(keys.NOTIFY_QUEUE, 0, -1, {
+        withScores: true,
+    });
+    const queue = [];
+    for (let i = 0; i < raw.length; i += 2) {
+        const alert = parseStored(raw[i]);
+        if (alert) queue.push({alert, score: Number(raw[i + 1])});
+    }
+    const stored = (await store.hgetall(keys.NOTIFY_CURSOR)) || {};
+    const cursors = Object.fromEntries(
+        channels.map((c) => [c.name, readCursor(stored[c.name])])
+    );
+
+    const delivered = {};
+    const failed = [];
+    for (const channel of channels) {
+        const batch = queue.filter((q) => isAfter(q, cursors[channel.name]));
+        if (!batch.length) continue;
+        try {
+            await withRetries(() =>
+                channel.deliver(
+                    event,
+                    batch.map((q) => q.alert),
+                    {messenger}
+                )
+            );
+            cursors[channel.name] = advanceCursor(cursors[channel.name], batch);
+            delivered[channel.name] = batch.length;
+        } catch (err) {
+            failed.push(channel.name);
+            log.error('Notify: delivery failed; alerts stay queued', {
+                channel: channel.name,
+                count: batch.length,
+                message: err?.message,
+            });
+        }
+    }
+
+    // Drop alerts every channel has delivered. The cursors' own millisecond
+    // stays: an alert can still arrive in it.
+    const sentBefore = Math.min(...channels.map((c) => cursors[c.name].score));
+    await Promise.all([
+        store.hset(
+            keys.NOTIFY_CURSOR,
+            Object.fromEntries(
+                channels.map((c) => [c.name, JSON.stringify(cursors[c.name])])
+            )
+        ),
+        sentBefore > 0
+            ? store.zremrangebyscore(keys.NOTIFY_QUEUE, '-inf', sentBefore - 1)
+            : null,
+    ]);
+    const queued = queue.filter((q) =>
+        channels.some((c) => isAfter(q, cursors[c.name]))
+    ).length;
+    if (Object.keys(delivered).length) {
+        log.info('Notify: delivered', {event: event.id, delivered, queued});
+    }
+    return {delivered, failed, queued};
+}
+
+// Queue an alert for the next flush. `onceSec` suppresses repeats of the same
+// type for that long (e.g. one "cap reached" per stretch).
+// Never throws: a notification problem must not break the webhook.
+export async function notify({
+    type,
+    data = {},
+    event,
+    onceSec = 0,
+    now = Date.now(),
+    log = console,
+}) {
+    try {
+        if (!NOTIFY_EVENTS.includes(type) || !activeChannels().length) {
+            return {queued: false};
+        }
+        const {keys} = event;
+        if (onceSec > 0) {
+            const first = await store.set(
+                `${keys.NOTIFY_ONCE_PREFIX}${type}`,
+                String(now),
+                {nx: true, ex: Math.ceil(onceSec)}
+            );
+            if (!first) return {queued: false};
+        }
+        const id = Math.random().toString(36).slice(2, 10);
+        await store.zadd(keys.NOTIFY_QUEUE, {
+            score: now,
+            member: JSON.stringify({
+                id,
+                type,
+                at: new Date(now).toISOString(),
+                data,
+            }),
+        });
+        return {queued: true};
+    } catch (err) {
+        log.error('Notify: failed', {type, message: err?.message});
+        return {queued: false, error: err?.message};
+    }
+}
@@ -1,19 +1,98 @@
-import {redis} from './redis.js';
+// Opt-out state + consent ledger.
+//
+//   optout:<phone>     flag (1 year local record)
+//   optedout:index     every locally opted-out number
+//   consent:<phone>    append-only ledger: zset of JSON entries scored by time
+//                      {at, action, source, channel, keyword, messageSid,
+//                       viaPasswordRejoin, errorCode}
+//
+// action: optout | optin | rejoin (PASSWORD while opted out, ALLOW_PASSWORD_REJOIN)
+// source: keyword | password-rejoin | carrier | admin
+import {store} from './storage.js';
+import {KEYS} from './config.js';
+import {parseStored} from './utils.js';
 
-export async function recordOptOut(phone) {
+async function appendConsent(
+    phone,
+    keys,
+    {
+        action,
+        source = 'admin',
+        channel = '',
+        keyword = '',
+        messageSid = '',
+        errorCode = '',
+    },
+    now = Date.now()
+) {
+    const entry = {
+        at: new Date(now).toISOString(),
+        action,
+        source,
+        channel: channel || null,
+        keyword: keyword || null,
+        messageSid: messageSid || null,
+        viaPasswordRejoin: action === 'rejoin',
+        errorCode: errorCode ? String(errorCode) : null,
+    };
+    const id = Math.random().toString(36).slice(2, 10); // keeps members unique
+    await store.zadd(`${keys.CONSENT_PREFIX}${phone}`, {
+        score: now,
+        member: JSON.stringify({id, ...entry}),
+    });
+    return entry;
+}
+
+// `details`: {source, channel, keyword, messageSid, errorCode} for the ledger.
+export async function recordOptOut(phone, keys = KEYS, details = {}) {
     await Promise.all([
-        redis.set(`optout:${phone}`, '1', {ex: 60 * 60 * 24 * 365}), // 1 year local record
-        redis.sadd('optedout:index', phone),
+        store.set(`${keys.OPTOUT_PREFIX}${phone}`, '1', {
+            ex: 60 * 60 * 24 * 365,
+        }), // 1 year local record
+        store.sadd(keys.OPTOUT_SET, phone),
+        appendConsent(phone, keys, {...details, action: 'optout'}),
     ]);
 }
 
-export async function clearOptOut(phone) {
-    await Promise.all([
-        redis.del(`optout:${phone}`),
-        redis.srem('optedout:index', phone),
+// `details.action`: "optin" (default) or "rejoin". The ledger only gets an
+// entry when the number was actually opted out. → true if it was
+export async function clearOptOut(phone, keys = KEYS, details = {}) {
+    const [flag, indexed] = await Promise.all([
+        store.del(`${keys.OPTOUT_PREFIX}${phone}`),
+        store.srem(keys.OPTOUT_SET, phone),
     ]);
+    if (!Number(flag) && !Number(indexed)) return false;
+    await appendConsent(phone, keys, {action: 'optin', ...details});
+    return true;
+}
+
+export async function isOptedOut(phone, keys = KEYS) {
+    return !!(await store.get(`${keys.OPTOUT_PREFIX}${phone}`));
+}
+
+// Ledger entries for a number, oldest first.
+export async function getConsentHistory(phone, keys = KEYS) {
+    const members = await store.zrange(`${keys.CONSENT_PREFIX}${phone}`, 0, -1);
+    return members.map(parseStored).filter(Boolean);
 }
 
-export async function isOptedOut(phone) {
-    return !!(await redis.get(`optout:${phone}`));
+// Currently opted-out numbers with the ledger entry that opted them out
+// (blank for opt-outs recorded before the ledger existed).
+export async function listOptOuts(keys = KEYS) {
+    const phones = (await store.smembers(keys.OPTOUT_SET)) || [];
+    const rows = [];
+    for (const phone of phones.sort()) {
+        if (!(await isOptedOut(phone, keys))) continue; // 1-year flag lapsed
+        const history = await getConsentHistory(phone, keys);
+        const last = history.filter((e) => e.action === 'optout').pop() || {};
+        rows.push({
+            phone,
+            optedOutAt: last.at || '',
+            source: last.source || '',
+            keyword: last.keyword || '',
+            messageSid: last.messageSid || '',
+            errorCode: last.errorCode || '',
+        });
+    }
+    return rows;
 }
@@ -0,0 +1,118 @@
+// Site password versions with an effective-from schedule.
+//
+//   passwords            hash  version → {"version","password","effectiveFrom","createdAt","note"}
+//   passwords:seq        counter for version numbers
+//   passwords:delivered  hash  phone → last password version texted to them
+//
+// The active password is the newest version whose effectiveFrom has passed.
+// With no stored versions the event's env/profile password is used (version 0).
+import {store} from './storage.js';
+import {KEYS} from './config.js';
+import {parseStored} from './utils.js';
+import {parseEventTime} from './schedule.js';
+
+// "2026-06-14T00:00:00-07:00" / epoch ms / "" (now) → epoch ms. Times without
+// an offset ("2026-06-15", "2026-06-15T09:00") are read in `timeZone`.
+export function parseWhen(input, {timeZone = 'UTC', now = Date.now()} = {}) {
+    if (input === undefined || input === null || input === '') return now;
+    const s = String(input).trim();
+    if (/^\d+$/.test(s)) return Number(s);
+    return parseEventTime(s, timeZone);
+}
+
+export async function listPasswords(event, now = Date.now()) {
+    const all = (await store.hgetall(event.keys.PASSWORDS)) || {};
+    const versions = Object.values(all)
+        .map(parseStored)
+        .filter(Boolean)
+        .map((v) => ({
+            version: Number(v.version),
+            password: String(v.password),
+            effectiveFrom: Number(v.effectiveFrom),
+            createdAt: v.createdAt || '',
+            note: v.note || '',
+        }))
+        .sort(
+            (a, b) => a.effectiveFrom - b.effectiveFrom || a.version - b.version
+        );
+
+    const active = pickActive(versions, now);
+    return versions.map((v) => ({
+        ...v,
+        active: !!active && v.version === active.version,
+        scheduled: v.effectiveFrom > now,
+    }));
+}
+
+function pickActive(versions, now) {
+    let active = null;
+    for (const v of versions) {
+        if (v.effectiveFrom <= now) active = v;
+    }
+    return active;
+}
+
+// → {version, password, source}
+export async function getActivePassword(event, now = Date.now()) {
+    const active = pickActive(await listPasswords(event, now), now);
+    if (active) {
+        return {
+            version: active.version,
+            password: active.password,
+            source: 'redis',
+        };
+    }
+    return {version: 0, password: event.password, source: 'config'};
+}
+
+// Add a version effective at `effectiveFrom` (default: now).
+export async function addPassword({event, password, effectiveFrom, note = ''}) {
+    const pw = String(password || '').trim();
+    if (!pw) throw new Error('Password is empty');
+
+    const {keys} = event;
+    const version = await store.incr(keys.PASSWORD_SEQ);
+    const record = {
+        version,
+        password: pw,
+        effectiveFrom: parseWhen(effectiveFrom, {timeZone: event.timezone}),
+        createdAt: new Date().toISOString(),
+        note: String(note || ''),
+    };
+    await store.hset(keys.PASSWORDS, {[version]: JSON.stringify(record)});
+    return record;
+}
+
+// Only future (not yet effective) versions can be cancelled.
+export async function cancelPassword({event, version, now = Date.now()}) {
+    const {keys} = event;
+    const v = parseStored(await store.hget(keys.PASSWORDS, String(version)));
+    if (!v) throw new Error(`Unknown password version: ${version}`);
+    if (Number(v.effectiveFrom) <= now) {
+        throw new Error(
+            `Version ${version} is already effective; add a new version instead`
+        );
+    }
+    await store.hdel(keys.PASSWORDS, String(version));
+    return {version: Number(version), cancelled: true};
+}
+
+export async function recordPasswordDelivery(phone, version, keys = KEYS) {
+    await store.hset(keys.PASSWORD_DELIVERED, {[phone]: String(version)});
+}
+
+// Whitelisted numbers whose last delivered version isn't the active one.
+// Numbers never texted a password are left alone.
+export async function listStaleRecipients(event, now = Date.now()) {
+    const {keys} = event;
+    const [{version}, delivered, whitelist] = await Promise.all([
+        getActivePassword(event, now),
+        store.hgetall(keys.PASSWORD_DELIVERED),
+        store.smembers(keys.WHITELIST),
+    ]);
+    const members = new Set(whitelist || []);
+    return Object.entries(delivered || {})
+        .filter(([phone, v]) => members.has(phone) && Number(v) !== version)
+        .map(([phone]) => phone)
+        .sort();
+}
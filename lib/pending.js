@@ -0,0 +1,151 @@
+// Approval queue: unknown numbers that pass the abuse guards are parked in
+// pending:index with their first message, so a host can approve (whitelist +
+// text them the password, or their access code when ACCESS_CODES is on) or
+// deny from the admin API.
+import {store} from './storage.js';
+import {KEYS} from './config.js';
+import {upsertGuest, greetingName} from './guests.js';
+import {isOptedOut} from './optout.js';
+import {getMessenger} from './messenger.js';
+import {getActivePassword, recordPasswordDelivery} from './passwords.js';
+import {renderTemplate} from './templates.js';
+import {renderAccessReply} from './access.js';
+import {sendToGuest} from './channels.js';
+
+// Queue (or touch) an unknown number. Denied numbers are never re-queued.
+export async function queuePending({phone, body, keys = KEYS}) {
+    if (await store.sismember(keys.DENIED_SET, phone)) {
+        return {queued: false, denied: true};
+    }
+
+    const key = `${keys.PENDING_PREFIX}${phone}`;
+    const now = String(Date.now());
+    const added = await store.sadd(keys.PENDING_SET, phone);
+    if (added === 1) {
+        await store.hset(key, {
+            phone,
+            firstMessage: String(body || '').slice(0, 320),
+            firstSeen: now,
+            lastSeen: now,
+            messages: '1',
+        });
+    } else {
+        await Promise.all([
+            store.hincrby(key, 'messages', 1),
+            store.hset(key, {lastSeen: now}),
+        ]);
+    }
+    return {queued: true, isNew: added === 1, denied: false};
+}
+
+export async function getPending(phone, keys = KEYS) {
+    const h = await store.hgetall(`${keys.PENDING_PREFIX}${phone}`);
+    if (!h || !Object.keys(h).length) return null;
+    return {
+        phone,
+        firstMessage: String(h.firstMessage ?? ''),
+        firstSeen: Number(h.firstSeen || 0),
+        lastSeen: Number(h.lastSeen || 0),
+        messages: Number(h.messages || 0),
+    };
+}
+
+export async function listPending(keys = KEYS) {
+    const phones = (await store.smembers(keys.PENDING_SET)) || [];
+    const rows = await Promise.all(phones.map((p) => getPending(p, keys)));
+    return rows
+        .map((r, i) => r || {phone: phones[i], firstMessage: '', firstSeen: 0})
+        .sort((a, b) => a.firstSeen - b.firstSeen);
+}
+
+async function dropPending(phone, keys) {
+    const [removed] = await Promise.all([
+        store.srem(keys.PENDING_SET, phone),
+        store.del(`${keys.PENDING_PREFIX}${phone}`),
+    ]);
+    return removed === 1;
+}
+
+// Whitelist the number (with optional guest fields) and text them the password.
+export async function approvePending({
+    phone,
+    event,
+    fields = {},
+    messenger = getMessenger(),
+    log = console,
+}) {
+    const {keys} = event;
+    const wasPending = await dropPending(phone, keys);
+    await store.srem(keys.DENIED_SET, phone);
+    const {guest} = await upsertGuest(phone, fields, keys);
+
+    if (await isOptedOut(phone, keys)) {
+        log.info('Pending: approved but opted out; not texting', {phone});
+        return {wasPending, guest, sent: false, reason: 'opted-out'};
+    }
+    // the carrier refused the text (opt-out now recorded)
+    const carrierOptedOut = () => {
+        log.info('Pending: approved but carrier opted out; not texted', {
+            phone,
+        });
+        return {wasPending, guest, sent: false, reason: 'opted-out'};
+    };
+
+    if (event.accessCodes !== 'off') {
+        const {body, record} = await renderAccessReply({
+            event,
+            guest,
+            locale: guest.locale,
+        });
+        const result = await sendToGuest({event, phone, body, messenger});
+        if (result.skipped) return carrierOptedOut();
+        log.info('Pending: approved and texted access code', {
+            phone,
+            kind: record.kind,
+            sid: result.sid,
+            channel: result.channel,
+            via: messenger.name,
+        });
+        return {
+            wasPending,
+            guest,
+            sent: true,
+            sid: result.sid,
+            channel: result.channel,
+        };
+    }
+
+    const {version, password} = await getActivePassword(event);
+    const result = await sendToGuest({
+        event,
+        phone,
+        messenger,
+        body: await renderTemplate({
+            event,
+            name: 'approved',
+            locale: guest.locale,
+            vars: {name: greetingName(guest), password},
+        }),
+    });
+    if (result.skipped) return carrierOptedOut();
+    await recordPasswordDelivery(phone, version, keys);
+    log.info('Pending: approved and texted password', {
+        phone,
+        sid: result.sid,
+        channel: result.channel,
+        via: messenger.name,
+    });
+    return {
+        wasPending,
+        guest,
+        sent: true,
+        sid: result.sid,
+        channel: result.channel,
+    };
+}
+
+export async function denyPending({phone, keys = KEYS}) {
+    const wasPending = await dropPending(phone, keys);
+    await store.sadd(keys.DENIED_SET, phone);
+    return {wasPending};
+}
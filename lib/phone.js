@@ -0,0 +1,142 @@
+// Phone numbers: E.164 normalization and validation for any country in
+// COUNTRIES, plus the country allowlist used by the abuse guard.
+//
+// Numbers typed without a country code ("(619) 555-1234", "07700 900123")
+// are read in a default region (PHONE_DEFAULT_REGION, or ?region= / --region=
+// on the admin endpoints and CLI). Lengths are national significant number
+// lengths (digits after the country code, trunk prefix dropped).
+//
+// No imports: lib/config.js and the CLI tools load this directly.
+
+// region → {code (calling code), lengths, trunk (national prefix)}
+export const COUNTRIES = {
+    US: {code: '1', lengths: [10], trunk: '1'},
+    CA: {code: '1', lengths: [10], trunk: '1'},
+    MX: {code: '52', lengths: [10], trunk: ''},
+    GB: {code: '44', lengths: [9, 10], trunk: '0'},
+    IE: {code: '353', lengths: [7, 8, 9], trunk: '0'},
+    FR: {code: '33', lengths: [9], trunk: '0'},
+    DE: {code: '49', lengths: [7, 8, 9, 10, 11], trunk: '0'},
+    ES: {code: '34', lengths: [9], trunk: ''},
+    IT: {code: '39', lengths: [6, 7, 8, 9, 10, 11], trunk: ''},
+    PT: {code: '351', lengths: [9], trunk: ''},
+    NL: {code: '31', lengths: [9], trunk: '0'},
+    BE: {code: '32', lengths: [8, 9], trunk: '0'},
+    CH: {code: '41', lengths: [9], trunk: '0'},
+    SE: {code: '46', lengths: [7, 8, 9], trunk: '0'},
+    AU: {code: '61', lengths: [9], trunk: '0'},
+    NZ: {code: '64', lengths: [8, 9, 10], trunk: '0'},
+    IN: {code: '91', lengths: [10], trunk: '0'},
+    PH: {code: '63', lengths: [10], trunk: '0'},
+    JP: {code: '81', lengths: [9, 10], trunk: '0'},
+    BR: {code: '55', lengths: [10, 11], trunk: '0'},
+    AR: {code: '54', lengths: [10], trunk: '0'},
+    CO: {code: '57', lengths: [10], trunk: ''},
+    ZA: {code: '27', lengths: [9], trunk: '0'},
+};
+
+// calling code → allowed lengths (regions sharing a code, e.g. US/CA, merged)
+const BY_CODE = {};
+for (const {code, lengths} of Object.values(COUNTRIES)) {
+    BY_CODE[code] = [...new Set([...(BY_CODE[code] || []), ...lengths])];
+}
+
+export function assertRegion(region) {
+    const r = String(region || '')
+        .trim()
+        .toUpperCase();
+    if (!COUNTRIES[r]) {
+        throw new Error(
+            `Unknown region "${region}" (${Object.keys(COUNTRIES).join('|')})`
+        );
+    }
+    return r;
+}
+
+// "+447700900123" → {code: "44", national: "7700900123"} | null
+export function splitE164(phone) {
+    const m = /^\+(\d{8,15})$/.exec(String(phone || '').trim());
+    if (!m) return null;
+    const digits = m[1];
+    // Calling codes are prefix-free: at most one of the 1–3 digit heads matches
+    for (let n = 1; n <= 3; n++) {
+        const code = digits.slice(0, n);
+        if (!BY_CODE[code]) continue;
+        const national = digits.slice(n);
+        return BY_CODE[code].includes(national.length)
+            ? {code, national}
+            : null;
+    }
+    return null;
+}
+
+// Strict E.164 validator for a country we know
+export function assertE164(input) {
+    const v = String(input || '').trim();
+    if (!splitE164(v)) {
+        throw new Error(
+            `Invalid format: "${input}". Expected E.164 (+<country code><number>) for a supported country.`
+        );
+    }
+    return v;
+}
+
+// Normalize what people type to E.164. Numbers with "+" or "00" are
+// international; anything else is read in `region`.
+export function normalizePhone(input, region = 'US') {
+    if (!input) throw new Error('No phone number provided');
+    const trimmed = String(input).trim();
+    const digits = trimmed.replace(/\D/g, '');
+
+    if (trimmed.startsWith('+') || /^00[1-9]/.test(digits)) {
+        const e164 = `+${digits.replace(/^00/, '')}`;
+        if (splitE164(e164)) return e164;
+        throw new Error(
+            `Invalid international number: "${input}". Unknown country code or wrong length.`
+        );
+    }
+
+    const r = assertRegion(region);
+    const {code, lengths, trunk} = COUNTRIES[r];
+    const candidates = [digits];
+    if (trunk && digits.startsWith(trunk)) {
+        candidates.push(digits.slice(trunk.length)); // 1-619…, 07700…
+    }
+    if (digits.startsWith(code)) {
+        candidates.push(digits.slice(code.length)); // 44 7700… without "+"
+    }
+    const national = candidates.find((d) => lengths.includes(d.length));
+    if (national) return `+${code}${national}`;
+
+    throw new Error(
+        `Invalid ${r} number format: "${input}". Expected ${lengths.join(' or ')} digits (optionally with ${
+            trunk ? `the ${trunk} prefix or ` : ''
+        }+${code}).`
+    );
+}
+
+// "1, +52, GB" → ["1", "52", "44"]; "*" (or empty) → null = any country
+export function parseCountryList(raw) {
+    const items = String(raw || '')
+        .split(',')
+        .map((s) => s.trim().replace(/^\+/, ''))
+        .filter(Boolean);
+    if (items.length === 0 || items.includes('*')) return null;
+    const codes = items.map((item) => {
+        if (/^\d{1,3}$/.test(item)) {
+            if (!BY_CODE[item]) {
+                throw new Error(`Unsupported country code "+${item}"`);
+            }
+            return item;
+        }
+        return COUNTRIES[assertRegion(item)].code;
+    });
+    return [...new Set(codes)];
+}
+
+// Is `phone` a valid E.164 number from an allowed country? (null list → any)
+export function isAllowedCountry(phone, allowed) {
+    if (!allowed) return true;
+    const parts = splitE164(phone);
+    return !!parts && allowed.includes(parts.code);
+}
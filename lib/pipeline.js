@@ -0,0 +1,96 @@
+// Decision pipeline for /api/sms: an ordered list of named stages, each
+// returning allow (go on to the next stage), deny (stay silent) or reply,
+// with a short reason. The first deny / reply decides; every stage that ran
+// is recorded in the decision trace.
+//
+// The order (and which stages run at all) comes from PIPELINE_STAGES or a
+// per-event "pipeline" in EVENTS_JSON; the stages live in lib/sms-stages.js.
+
+// Default order. Omitting a stage from the configured list disables it.
+export const DEFAULT_PIPELINE = [
+    'stop', // STOP → opt-out
+    'help',
+    'start', // START → clear opt-out
+    'optout', // still opted out (PASSWORD rejoin)
+    'admin', // host commands (ADMIN_PHONES)
+    'closed', // after the event: guests get the closing message
+    'rsvp',
+    'keyword', // REQUIRED_TEXT_KEYWORD gate
+    'whitelist', // guests: password / access code / not yet open
+    'abuse', // unknowns from here on: abuse guards
+    'pending', // approval queue
+    'limits', // global/day cap, cooldown, per-number/day cap (one atomic check)
+    'quietHours', // defer the reply
+    'fallback', // unknown / pending / closed reply
+];
+
+// Opt-out compliance: can't be left out, and has to see a message before any
+// other stage can answer or swallow it (a keyword gate eating "STOP", a reply
+// to an opted-out number). Only HELP may run earlier; it's answered regardless.
+const COMPLIANCE_STAGES = ['stop', 'start', 'optout'];
+const EARLY_STAGES = [...COMPLIANCE_STAGES, 'help'];
+
+export const allow = (reason = '') => ({action: 'allow', reason});
+export const deny = (reason) => ({action: 'deny', reason});
+export const reply = (reason, body) => ({action: 'reply', reason, body});
+
+// "stop,help, start" | ["stop", ...] | empty (→ default) → validated list
+export function assertPipeline(stages) {
+    const list = (
+        Array.isArray(stages) ? stages : String(stages || '').split(',')
+    )
+        .map((s) => String(s).trim())
+        .filter(Boolean);
+    if (list.length === 0) return [...DEFAULT_PIPELINE];
+
+    const unknown = list.filter((s) => !DEFAULT_PIPELINE.includes(s));
+    if (unknown.length) {
+        throw new Error(
+            `Unknown pipeline stage(s) "${unknown.join(', ')}" (${DEFAULT_PIPELINE.join('|')})`
+        );
+    }
+    const dupes = list.filter((s, i) => list.indexOf(s) !== i);
+    if (dupes.length) {
+        throw new Error(`Duplicate pipeline stage(s) "${dupes.join(', ')}"`);
+    }
+    const missing = COMPLIANCE_STAGES.filter((s) => !list.includes(s));
+    if (missing.length) {
+        throw new Error(`Pipeline must include "${missing.join(', ')}"`);
+    }
+    const firstOther = list.findIndex((s) => !EARLY_STAGES.includes(s));
+    const late = COMPLIANCE_STAGES.filter(
+        (s) => firstOther !== -1 && list.indexOf(s) > firstOther
+    );
+    if (late.length) {
+        throw new Error(
+            `Pipeline stage(s) "${late.join(', ')}" must come before "${list[firstOther]}"`
+        );
+    }
+    return list;
+}
+
+// Run `stages` (names) against `registry` (name → async (ctx) → result).
+// → {decision: {action, stage, reason, body?}, trace: [{stage, action, reason, ms}]}
+// A pipeline where every stage allows ends in a silent deny.
+export async function runPipeline({stages, registry, ctx}) {
+    const trace = [];
+    for (const stage of stages) {
+        const run = registry[stage];
+        if (!run) throw new Error(`No implementation for stage "${stage}"`);
+        const started = Date.now();
+        const result = await run(ctx);
+        trace.push({
+            stage,
+            action: result.action,
+            reason: result.reason || '',
+            ms: Date.now() - started,
+        });
+        if (result.action !== 'allow') {
+            return {decision: {...result, stage}, trace};
+        }
+    }
+    return {
+        decision: {action: 'deny', stage: null, reason: 'end-of-pipeline'},
+        trace,
+    };
+}
@@ -0,0 +1,306 @@
+// Per-number data export and erasure, across every event's key space.
+//
+// Covers: whitelist + guest:, rsvp: + conv:, pending: / denied, passwords
+// delivered, broadcast recipients / results, abuse (block, strikes, blocklist,
+// rl:num:), limit:*:<phone>, delivery status, consent ledger + opt-out flag,
+// host-command audit / queued notification entries naming the number, and
+// replies deferred over quiet hours, and access codes issued to the number.
+// Cached webhook responses (replay:) are keyed by MessageSid and expire on
+// their own after WEBHOOK_REPLAY_WINDOW_SEC.
+//
+// Erasure keeps a suppression record for opted-out numbers: the optout flag,
+// its optedout:index entry and the latest opt-out ledger entry stay, so the
+// number is still never texted.
+//
+// Audit entries the number made as a host (`admin`) are pseudonymized, not
+// deleted, so the trail of what was done to other guests survives. The
+// number itself may still be listed in ADMIN_PHONES; that is config, not data.
+import {store} from './storage.js';
+import {LIMIT_ALGORITHMS} from './config.js';
+import {listEvents} from './events.js';
+import {parseStored} from './utils.js';
+import {getConsentHistory, isOptedOut} from './optout.js';
+import {listGuestCodes} from './access.js';
+
+// Limiter keys for a number → {key: state}. Bucket rules are hashes, the
+// rest sliding-window zsets (see lib/limiter.js).
+async function limiterState(phone, keys) {
+    const out = {};
+    for await (const key of store.scanIterator({
+        match: `${keys.LIMIT_PREFIX}*:${phone}`,
+    })) {
+        const rule = key.slice(keys.LIMIT_PREFIX.length, -phone.length - 1);
+        out[key] =
+            LIMIT_ALGORITHMS[rule] === 'bucket'
+                ? await store.hgetall(key)
+                : await store.zrange(key, 0, -1, {withScores: true});
+    }
+    return out;
+}
+
+// delivery:<MessageSid> hashes sent to this number → {sid: record}
+async function deliveryMessages(phone, keys) {
+    const out = {};
+    for await (const key of store.scanIterator({
+        match: `${keys.DELIVERY_PREFIX}*`,
+    })) {
+        if (key.startsWith(keys.DELIVERY_NUMBER_PREFIX)) continue;
+        const record = await store.hgetall(key);
+        if (record?.to === phone) {
+            out[key.slice(keys.DELIVERY_PREFIX.length)] = record;
+        }
+    }
+    return out;
+}
+
+// Members of a JSON-entry zset whose `pick(entry)` is this number.
+async function zsetEntriesFor(key, phone, pick) {
+    const members = await store.zrange(key, 0, -1);
+    return members.filter((m) => pick(parseStored(m) || {}) === phone);
+}
+
+export const ERASED_ADMIN = 'erased';
+
+// Audit entries naming the number → {named, asAdmin}: commands run on it,
+// and commands it ran as a host on someone else ({score, member}).
+async function auditEntriesFor(phone, keys) {
+    const raw = await store.zrange(keys.ADMIN_AUDIT, 0, -1, {withScores: true});
+    const named = [];
+    const asAdmin = [];
+    for (let i = 0; i < raw.length; i += 2) {
+        const entry = parseStored(raw[i]) || {};
+        if (entry.phone === phone) named.push(raw[i]);
+        else if (entry.admin === phone) {
+            asAdmin.push({score: Number(raw[i + 1]), member: raw[i]});
+        }
+    }
+    return {named, asAdmin};
+}
+
+// Latest "optout" ledger entry as {score, member}, or null.
+async function lastOptOutEntry(key) {
+    const raw = await store.zrange(key, 0, -1, {withScores: true});
+    let last = null;
+    for (let i = 0; i < raw.length; i += 2) {
+        if (parseStored(raw[i])?.action === 'optout') {
+            last = {score: Number(raw[i + 1]), member: raw[i]};
+        }
+    }
+    return last;
+}
+
+async function broadcastState(phone, keys) {
+    const ids = (await store.smembers(keys.BROADCAST_SET)) || [];
+    const out = {};
+    for (const id of ids) {
+        const base = `${keys.BROADCAST_PREFIX}${id}`;
+        const [recipient, result] = await Promise.all([
+            store.sismember(`${base}:recipients`, phone),
+            store.hget(`${base}:results`, phone),
+        ]);
+        if (recipient || result !== null) {
+            out[id] = {recipient: !!recipient, result};
+        }
+    }
+    return out;
+}
+
+async function exportForEvent(phone, event) {
+    const {keys} = event;
+    const at = (prefix) => `${prefix}${phone}`;
+    const [
+        whitelisted,
+        guest,
+        rsvp,
+        conversation,
+        pending,
+        denied,
+        passwordVersionDelivered,
+        blocklisted,
+        block,
+        strikes,
+        abuseCounters,
+        optedOut,
+        optedOutIndexed,
+        consent,
+        deliveryStats,
+        accessCodes,
+        channels,
+    ] = await Promise.all([
+        store.sismember(keys.WHITELIST, phone),
+        store.hgetall(at(keys.GUEST_PREFIX)),
+        store.hgetall(at(keys.RSVP_PREFIX)),
+        store.hgetall(at(keys.CONVERSATION_PREFIX)),
+        store.hgetall(at(keys.PENDING_PREFIX)),
+        store.sismember(keys.DENIED_SET, phone),
+        store.hget(keys.PASSWORD_DELIVERED, phone),
+        store.sismember(keys.ABUSE_SET, phone),
+        store.get(at(keys.BLOCK_PREFIX)),
+        store.hgetall(at(keys.STRIKES_PREFIX)),
+        store.hgetall(at(keys.PER_NUMBER_HASH_PREFIX)),
+        isOptedOut(phone, keys),
+        store.sismember(keys.OPTOUT_SET, phone),
+        getConsentHistory(phone, keys),
+        store.hgetall(at(keys.DELIVERY_NUMBER_PREFIX)),
+        listGuestCodes(phone, keys),
+        store.hgetall(at(keys.CHANNEL_PREFIX)),
+    ]);
+    const [limits, deliveries, broadcasts, audit, notifications, deferred] =
+        await Promise.all([
+            limiterState(phone, keys),
+            deliveryMessages(phone, keys),
+            broadcastState(phone, keys),
+            auditEntriesFor(phone, keys),
+            zsetEntriesFor(keys.NOTIFY_QUEUE, phone, (e) => e.data?.phone),
+            zsetEntriesFor(keys.DEFERRED_REPLIES, phone, (e) => e.phone),
+        ]);
+    return {
+        guest: {whitelisted: !!whitelisted, record: guest},
+        rsvp: {record: rsvp, conversation},
+        approval: {pending, denied: !!denied},
+        passwordVersionDelivered,
+        accessCodes,
+        channels,
+        broadcasts,
+        abuse: {
+            blocklisted: !!blocklisted,
+            block: parseStored(block),
+            strikes: strikes
+                ? {...strikes, history: parseStored(strikes.history) || []}
+                : null,
+            counters: abuseCounters,
+            limits,
+        },
+        optOut: {
+            optedOut,
+            indexed: !!optedOutIndexed,
+            consentHistory: consent,
+        },
+        delivery: {stats: deliveryStats, messages: deliveries},
+        adminAudit: [...audit.named, ...audit.asAdmin.map((e) => e.member)].map(
+            parseStored
+        ),
+        queuedNotifications: notifications.map(parseStored),
+        deferredReplies: deferred.map(parseStored),
+    };
+}
+
+// Does the export hold anything at all?
+function hasData(section) {
+    if (section === null || section === undefined || section === false) {
+        return false;
+    }
+    if (Array.isArray(section)) return section.length > 0;
+    if (typeof section === 'object') {
+        return Object.values(section).some(hasData);
+    }
+    return true;
+}
+
+// → {phone, events: {<eventId>: {...}}} (events with no data are omitted)
+export async function exportNumberData(phone) {
+    const events = {};
+    for (const event of listEvents()) {
+        const data = await exportForEvent(phone, event);
+        if (hasData(data)) events[event.id] = data;
+    }
+    return {phone, exportedAt: new Date().toISOString(), events};
+}
+
+async function eraseForEvent(phone, event) {
+    const {keys} = event;
+    const at = (prefix) => `${prefix}${phone}`;
+    const suppressed =
+        (await isOptedOut(phone, keys)) ||
+        !!(await store.sismember(keys.OPTOUT_SET, phone));
+
+    // Keep only the opt-out that justifies the suppression record
+    const lastOptOut = suppressed
+        ? await lastOptOutEntry(at(keys.CONSENT_PREFIX))
+        : null;
+
+    const keysToDelete = [
+        at(keys.GUEST_PREFIX),
+        at(keys.RSVP_PREFIX),
+        at(keys.CONVERSATION_PREFIX),
+        at(keys.PENDING_PREFIX),
+        at(keys.BLOCK_PREFIX),
+        at(keys.STRIKES_PREFIX),
+        at(keys.PER_NUMBER_HASH_PREFIX),
+        at(keys.DELIVERY_NUMBER_PREFIX),
+        at(keys.ADMIN_CONFIRM_PREFIX),
+        at(keys.CONSENT_PREFIX),
+        at(keys.ACCESS_GUEST_PREFIX),
+        at(keys.CHANNEL_PREFIX),
+        ...(await listGuestCodes(phone, keys)).map(
+            (r) => `${keys.ACCESS_CODE_PREFIX}${r.code}`
+        ),
+        ...Object.keys(await limiterState(phone, keys)),
+        ...Object.keys(await deliveryMessages(phone, keys)).map(
+            (sid) => `${keys.DELIVERY_PREFIX}${sid}`
+        ),
+    ];
+    if (!suppressed) keysToDelete.push(at(keys.OPTOUT_PREFIX));
+
+    const sets = [
+        keys.WHITELIST,
+        keys.RSVP_SET,
+        keys.PENDING_SET,
+        keys.DENIED_SET,
+        keys.ABUSE_SET,
+    ];
+    if (!suppressed) sets.push(keys.OPTOUT_SET);
+
+    const broadcasts = Object.keys(await broadcastState(phone, keys));
+    const [audit, notifications, deferred] = await Promise.all([
+        auditEntriesFor(phone, keys),
+        zsetEntriesFor(keys.NOTIFY_QUEUE, phone, (e) => e.data?.phone),
+        zsetEntriesFor(keys.DEFERRED_REPLIES, phone, (e) => e.phone),
+    ]);
+    const auditGone = [...audit.named, ...audit.asAdmin.map((e) => e.member)];
+
+    const [deleted] = await Promise.all([
+        store.del(...keysToDelete),
+        ...sets.map((set) => store.srem(set, phone)),
+        store.hdel(keys.PASSWORD_DELIVERED, phone),
+        ...broadcasts.flatMap((id) => [
+            store.srem(`${keys.BROADCAST_PREFIX}${id}:recipients`, phone),
+            store.hdel(`${keys.BROADCAST_PREFIX}${id}:results`, phone),
+        ]),
+        auditGone.length ? store.zrem(keys.ADMIN_AUDIT, ...auditGone) : null,
+        notifications.length
+            ? store.zrem(keys.NOTIFY_QUEUE, ...notifications)
+            : null,
+        deferred.length ? store.zrem(keys.DEFERRED_REPLIES, ...deferred) : null,
+    ]);
+    if (lastOptOut) await store.zadd(at(keys.CONSENT_PREFIX), lastOptOut);
+    // Same score, same entry, minus the host's number
+    for (const {score, member} of audit.asAdmin) {
+        const entry = {...parseStored(member), admin: ERASED_ADMIN};
+        await store.zadd(keys.ADMIN_AUDIT, {
+            score,
+            member: JSON.stringify(entry),
+        });
+    }
+    return {
+        keysDeleted: deleted,
+        broadcasts: broadcasts.length,
+        auditEntries: audit.named.length,
+        auditEntriesPseudonymized: audit.asAdmin.length,
+        notifications: notifications.length,
+        deferredReplies: deferred.length,
+        suppressionKept: suppressed,
+    };
+}
+
+// Erase the number everywhere. → {phone, suppressionKept, events: {<eventId>: counts}}
+export async function eraseNumberData(phone, {log = console} = {}) {
+    const events = {};
+    let suppressionKept = false;
+    for (const event of listEvents()) {
+        events[event.id] = await eraseForEvent(phone, event);
+        suppressionKept ||= events[event.id].suppressionKept;
+    }
+    log.info('Privacy: erased number', {phone, suppressionKept});
+    return {phone, suppressionKept, events};
+}
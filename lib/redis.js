@@ -1,2 +0,0 @@
-import {Redis} from '@upstash/redis';
-export const redis = Redis.fromEnv();
@@ -0,0 +1,94 @@
+// Idempotent webhook processing. Twilio retries a webhook (same MessageSid,
+// same signature) when our response is slow, and a captured request can be
+// replayed. The first request for an id claims it; its final response is
+// cached for WEBHOOK_REPLAY_WINDOW_SEC and repeats get that response verbatim
+// without touching any counters. The claim itself only lasts
+// WEBHOOK_PROCESSING_TTL_SEC, so a run that died mid-request doesn't lock out
+// Twilio's retries.
+//
+//   replay:<id>  JSON {state: "processing"} | {state: "done", status, contentType, body}
+import {store} from './storage.js';
+import {
+    KEYS,
+    WEBHOOK_REPLAY_WINDOW_SEC,
+    WEBHOOK_PROCESSING_TTL_SEC,
+} from './config.js';
+import {parseStored} from './utils.js';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function replayKey(id) {
+    return `${KEYS.REPLAY_PREFIX}${id}`;
+}
+
+// MessageSid when Twilio sent one, else the request signature.
+export function messageIdFor(params, signature) {
+    if (params.MessageSid) return params.MessageSid;
+    return signature ? `sig:${signature}` : null;
+}
+
+// → {state: "new"} (caller processes) | {state: "done", response} | {state: "busy"}
+// A repeat that arrives while the first is still running waits up to `waitMs`.
+export async function claimMessage(id, {waitMs = 3000, pollMs = 250} = {}) {
+    if (!id) return {state: 'new'};
+    const key = replayKey(id);
+    const claimed = await store.set(
+        key,
+        JSON.stringify({state: 'processing'}),
+        {nx: true, ex: WEBHOOK_PROCESSING_TTL_SEC}
+    );
+    if (claimed) return {state: 'new'};
+
+    const deadline = Date.now() + waitMs;
+    for (;;) {
+        const entry = parseStored(await store.get(key));
+        if (!entry) return {state: 'busy'}; // released after an error
+        if (entry.state === 'done') return {state: 'done', response: entry};
+        if (Date.now() >= deadline) return {state: 'busy'};
+        await sleep(pollMs);
+    }
+}
+
+export async function saveMessageResponse(id, {status, contentType, body}) {
+    if (!id) return;
+    await store.set(
+        replayKey(id),
+        JSON.stringify({state: 'done', status, contentType, body}),
+        {ex: WEBHOOK_REPLAY_WINDOW_SEC}
+    );
+}
+
+// Forget a claim so a retry is processed again (e.g. after a 5xx).
+export async function releaseMessage(id) {
+    if (id) await store.del(replayKey(id));
+}
+
+// Runs `onEnd({status, contentType, body})` with whatever the handler sends,
+// and only ends the response once it settles (serverless functions may be
+// frozen as soon as the response is out).
+export function captureResponse(res, onEnd) {
+    const end = res.end.bind(res);
+    res.end = (chunk, ...rest) => {
+        const response = {
+            status: res.statusCode,
+            contentType: String(res.getHeader?.('Content-Type') || ''),
+            body: chunk === undefined || chunk === null ? '' : String(chunk),
+        };
+        Promise.resolve()
+            .then(() => onEnd(response))
+            .catch((err) =>
+                console.error('Replay: could not store response', {
+                    message: err?.message,
+                })
+            )
+            .finally(() => end(chunk, ...rest));
+        return res;
+    };
+    return res;
+}
+
+// Write a cached response back out.
+export function sendCachedResponse(res, {status, contentType, body}) {
+    if (contentType) res.setHeader('Content-Type', contentType);
+    return body ? res.status(status).send(body) : res.status(status).end();
+}
@@ -0,0 +1,205 @@
+// RSVP conversation: whitelisted guests text "RSVP" and are walked through
+// attending → headcount → meal. In-progress state lives in conv:<phone> (TTL);
+// saved answers in rsvp:<phone> + rsvp:index. Texting RSVP again restarts the
+// flow so answers can be changed.
+import {store} from './storage.js';
+import {KEYS, TTL, RSVP_KEYWORD} from './config.js';
+import {getGuest} from './guests.js';
+import {renderTemplate} from './templates.js';
+import {tokenize, matchesKeyword} from './keywords.js';
+
+const FLOW = 'rsvp';
+const YES = new Set(['Y', 'YES', 'YEP', 'YEAH', 'S', 'SI', 'SÍ']);
+const NO = new Set(['N', 'NO', 'NOPE']);
+
+function normalize(body) {
+    return String(body || '')
+        .trim()
+        .toUpperCase()
+        .replace(/[.!?]+$/, '');
+}
+
+function mealMenu(meals) {
+    return meals.map((m, i) => `${i + 1}) ${m}`).join(' ');
+}
+
+// "2", "fish", "Fish please" → "Fish"
+function matchMeal(text, meals) {
+    const n = Number.parseInt(text, 10);
+    if (String(n) === text && n >= 1 && n <= meals.length) return meals[n - 1];
+    return meals.find((m) => text.includes(m.toUpperCase())) || null;
+}
+
+export function summarizeRsvp(r) {
+    if (!r) return '';
+    if (r.attending !== 'yes') return 'Not attending';
+    const guests = Number(r.headcount) === 1 ? 'guest' : 'guests';
+    return `Attending, ${r.headcount} ${guests}, ${r.meal}`;
+}
+
+// Reply text for `name` in the guest's locale
+function reply(ctx, name, vars = {}) {
+    return renderTemplate({
+        event: ctx.event,
+        locale: ctx.locale,
+        name,
+        vars: {keyword: RSVP_KEYWORD, ...vars},
+    });
+}
+
+// Summary in the guest's locale, for replies
+function localSummary(ctx, r) {
+    return r.attending === 'yes'
+        ? reply(ctx, 'rsvpSummaryYes', {headcount: r.headcount, meal: r.meal})
+        : reply(ctx, 'rsvpSummaryNo');
+}
+
+export async function getRsvp(phone, keys = KEYS) {
+    const r = await store.hgetall(`${keys.RSVP_PREFIX}${phone}`);
+    return r && Object.keys(r).length ? r : null;
+}
+
+async function saveRsvp(phone, answers, keys) {
+    const record = {
+        attending: answers.attending,
+        headcount: String(answers.headcount ?? 0),
+        meal: answers.meal || '',
+        updatedAt: new Date().toISOString(),
+    };
+    await Promise.all([
+        store.hset(`${keys.RSVP_PREFIX}${phone}`, record),
+        store.sadd(keys.RSVP_SET, phone),
+        store.del(`${keys.CONVERSATION_PREFIX}${phone}`),
+    ]);
+    return record;
+}
+
+async function setStep(phone, state, keys) {
+    const key = `${keys.CONVERSATION_PREFIX}${phone}`;
+    await store.hset(key, {flow: FLOW, ...state});
+    await store.expire(key, TTL.CONVERSATION);
+}
+
+async function start(phone, ctx) {
+    const {keys} = ctx.event;
+    await store.del(`${keys.CONVERSATION_PREFIX}${phone}`);
+    await setStep(phone, {step: 'attending'}, keys);
+
+    const current = await getRsvp(phone, keys);
+    if (!current) return reply(ctx, 'rsvpStart');
+    return reply(ctx, 'rsvpUpdate', {
+        summary: await localSummary(ctx, current),
+    });
+}
+
+async function answer(phone, ctx, state, text) {
+    const {keys, rsvp} = ctx.event;
+    const menu = mealMenu(rsvp.meals);
+
+    switch (state.step) {
+        case 'attending': {
+            if (YES.has(text)) {
+                await setStep(
+                    phone,
+                    {step: 'headcount', attending: 'yes'},
+                    keys
+                );
+                return reply(ctx, 'rsvpAskHeadcount', {
+                    max: rsvp.maxHeadcount,
+                });
+            }
+            if (NO.has(text)) {
+                const saved = await saveRsvp(phone, {attending: 'no'}, keys);
+                return reply(ctx, 'rsvpSavedNo', {
+                    summary: await localSummary(ctx, saved),
+                });
+            }
+            return reply(ctx, 'rsvpAskAttending');
+        }
+        case 'headcount': {
+            const n = Number.parseInt(text, 10);
+            if (String(n) !== text || n < 1 || n > rsvp.maxHeadcount) {
+                return reply(ctx, 'rsvpBadHeadcount', {
+                    max: rsvp.maxHeadcount,
+                });
+            }
+            await setStep(phone, {step: 'meal', headcount: String(n)}, keys);
+            return reply(ctx, 'rsvpAskMeal', {headcount: n, menu});
+        }
+        case 'meal': {
+            const meal = matchMeal(text, rsvp.meals);
+            if (!meal) return reply(ctx, 'rsvpBadMeal', {menu});
+            const saved = await saveRsvp(
+                phone,
+                {attending: 'yes', headcount: state.headcount, meal},
+                keys
+            );
+            return reply(ctx, 'rsvpSavedYes', {
+                summary: await localSummary(ctx, saved),
+            });
+        }
+        default:
+            return null;
+    }
+}
+
+// Returns reply text when the message belongs to the RSVP flow, else null
+// (caller falls through to normal password handling).
+export async function handleRsvpMessage({phone, body, event, log = console}) {
+    const {keys} = event;
+    const text = normalize(body);
+    const state = await store.hgetall(`${keys.CONVERSATION_PREFIX}${phone}`);
+    const active = state?.flow === FLOW;
+
+    if (text !== RSVP_KEYWORD && !active) return null;
+
+    // Guests only; a stale conversation for a removed guest is dropped
+    const guest = await getGuest(phone, keys);
+    if (!guest) {
+        if (active) await store.del(`${keys.CONVERSATION_PREFIX}${phone}`);
+        return null;
+    }
+    const ctx = {event, locale: guest.locale};
+
+    if (text === RSVP_KEYWORD) {
+        log.info('RSVP: starting flow', {phone, event: event.id});
+        return start(phone, ctx);
+    }
+
+    // Mid-flow guest asking for the password instead → leave the flow
+    if (event.keyword && matchesKeyword(tokenize(text), event.keyword)) {
+        await store.del(`${keys.CONVERSATION_PREFIX}${phone}`);
+        return null;
+    }
+
+    log.info('RSVP: answer', {phone, step: state.step});
+    return answer(phone, ctx, state, text);
+}
+
+export async function listRsvps(keys = KEYS) {
+    const phones = (await store.smembers(keys.RSVP_SET)) || [];
+    const rows = await Promise.all(
+        phones.map(async (phone) => {
+            const [r, guest] = await Promise.all([
+                getRsvp(phone, keys),
+                getGuest(phone, keys),
+            ]);
+            if (!r) return null;
+            return {
+                phone,
+                name: guest?.name || '',
+                party: guest?.party || '',
+                attending: r.attending,
+                headcount: Number(r.headcount || 0),
+                meal: r.meal || '',
+                updatedAt: r.updatedAt || '',
+            };
+        })
+    );
+    return rows
+        .filter(Boolean)
+        .sort(
+            (a, b) =>
+                a.party.localeCompare(b.party) || a.phone.localeCompare(b.phone)
+        );
+}
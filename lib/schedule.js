@@ -0,0 +1,194 @@
+// Event availability: when the password is handed out, and quiet hours.
+//
+//   startsAt / endsAt   before → "notYetOpen" reply, after → "closed" reply
+//   quietHours          "22:00-08:00" in the event time zone; replies to
+//                       unknown numbers are held in deferred:replies and sent
+//                       by flushDeferredReplies (/api/admin/deferred-flush,
+//                       run from a cron) once the window ends
+//
+// Times without an offset ("2026-06-01", "2026-06-01T17:00") are read in the
+// event's time zone.
+import {store} from './storage.js';
+import {getMessenger} from './messenger.js';
+import {isOptedOut} from './optout.js';
+import {renderTemplate} from './templates.js';
+import {parseStored} from './utils.js';
+import {sendToGuest} from './channels.js';
+
+const DAY_MIN = 24 * 60;
+// Deferred replies sent per flush (each is a REST call)
+const FLUSH_BATCH = 50;
+
+export function assertTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', {timeZone});
+    } catch {
+        throw new Error(`Unknown time zone: "${timeZone}"`);
+    }
+    return timeZone;
+}
+
+// Wall-clock parts of `ms` in `timeZone`.
+function zonedParts(ms, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+    }).formatToParts(new Date(ms));
+    const out = {};
+    for (const {type, value} of parts) out[type] = Number(value);
+    return out;
+}
+
+// Offset of `timeZone` from UTC at `ms`, in ms.
+function zoneOffset(ms, timeZone) {
+    const p = zonedParts(ms, timeZone);
+    const asUtc = Date.UTC(
+        p.year,
+        p.month - 1,
+        p.day,
+        p.hour,
+        p.minute,
+        p.second
+    );
+    return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// "2026-06-01" / "2026-06-01T17:00" (zone-local) / full ISO with offset → epoch ms
+export function parseEventTime(input, timeZone) {
+    const s = String(input || '').trim();
+    if (!s) return null;
+    const local = s.match(
+        /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/
+    );
+    if (!local) {
+        const ms = Date.parse(s);
+        if (Number.isNaN(ms)) throw new Error(`Invalid date/time: "${input}"`);
+        return ms;
+    }
+    const [, y, mo, d, h = '0', mi = '0', sec = '0'] = local;
+    const guess = Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec);
+    // Two passes settle the offset across DST changes
+    const first = guess - zoneOffset(guess, timeZone);
+    return guess - zoneOffset(first, timeZone);
+}
+
+// "22:00-08:00" → {start, end} in minutes after local midnight
+export function parseQuietHours(input) {
+    const s = String(input || '').trim();
+    if (!s) return null;
+    const m = s.match(/^(\d{1,2}):([0-5]\d)\s*-\s*(\d{1,2}):([0-5]\d)$/);
+    const start = m ? +m[1] * 60 + +m[2] : NaN;
+    const end = m ? +m[3] * 60 + +m[4] : NaN;
+    if (!(start < DAY_MIN && end < DAY_MIN) || start === end) {
+        throw new Error(
+            `Invalid quiet hours: "${input}" (expected HH:MM-HH:MM)`
+        );
+    }
+    return {start, end};
+}
+
+// → "before" | "open" | "after"
+export function windowState(event, now = Date.now()) {
+    if (event.startsAt && now < event.startsAt) return 'before';
+    if (event.endsAt && now >= event.endsAt) return 'after';
+    return 'open';
+}
+
+// End of the current quiet window (epoch ms), or null when not in one.
+export function quietUntil(event, now = Date.now()) {
+    const q = event.quietHours;
+    if (!q) return null;
+    const p = zonedParts(now, event.timezone);
+    const t = p.hour * 60 + p.minute;
+    const inside =
+        q.start < q.end ? t >= q.start && t < q.end : t >= q.start || t < q.end;
+    if (!inside) return null;
+    // Wall-clock end (today, or tomorrow past midnight) read in the zone, so
+    // a DST change inside the window doesn't shift it
+    const day = new Date(
+        Date.UTC(p.year, p.month - 1, p.day + (t >= q.end ? 1 : 0))
+    );
+    const pad = (n) => String(n).padStart(2, '0');
+    return parseEventTime(
+        `${day.toISOString().slice(0, 10)}T${pad(Math.floor(q.end / 60))}:${pad(q.end % 60)}`,
+        event.timezone
+    );
+}
+
+// "Jun 1, 2026, 5:00 PM" in the event's zone and the guest's language
+export function formatEventTime(ms, event, locale = 'en') {
+    return new Intl.DateTimeFormat(locale, {
+        timeZone: event.timezone,
+        dateStyle: 'medium',
+        timeStyle: 'short',
+    }).format(new Date(ms));
+}
+
+// Hold a reply until `dueAt` (the end of quiet hours).
+export async function deferReply({event, phone, name, locale, dueAt}) {
+    const id = Math.random().toString(36).slice(2, 10);
+    await store.zadd(event.keys.DEFERRED_REPLIES, {
+        score: dueAt,
+        member: JSON.stringify({id, phone, name, locale}),
+    });
+}
+
+// Send up to `limit` deferred replies that are due, earliest first. Each is
+// claimed (removed) before sending, so concurrent flushes never double-send.
+// → {sent, skipped, failed, more} (more: due replies may be left; run again)
+export async function flushDeferredReplies({
+    event,
+    now = Date.now(),
+    limit = FLUSH_BATCH,
+    messenger,
+    log = console,
+}) {
+    const {keys} = event;
+    const raw = await store.zrange(keys.DEFERRED_REPLIES, 0, limit - 1, {
+        withScores: true,
+    });
+    const result = {sent: 0, skipped: 0, failed: 0, more: false};
+    for (let i = 0; i < raw.length; i += 2) {
+        if (Number(raw[i + 1]) > now) break; // ascending by due time
+        if (i + 2 === limit * 2) result.more = true;
+        if (!(await store.zrem(keys.DEFERRED_REPLIES, raw[i]))) continue;
+        const reply = parseStored(raw[i]);
+        if (!reply || (await isOptedOut(reply.phone, keys))) {
+            result.skipped++;
+            continue;
+        }
+        try {
+            const {skipped} = await sendToGuest({
+                event,
+                phone: reply.phone,
+                messenger: messenger || getMessenger(),
+                now,
+                body: await renderTemplate({
+                    event,
+                    name: reply.name,
+                    locale: reply.locale,
+                }),
+            });
+            result[skipped ? 'skipped' : 'sent']++;
+        } catch (err) {
+            result.failed++;
+            log.error('Schedule: deferred reply failed', {
+                phone: reply.phone,
+                message: err?.message,
+            });
+        }
+    }
+    if (result.sent || result.failed) {
+        log.info('Schedule: deferred replies flushed', {
+            event: event.id,
+            ...result,
+        });
+    }
+    return result;
+}
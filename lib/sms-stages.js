@@ -0,0 +1,387 @@
+// The /api/sms decision stages (see lib/pipeline.js for the order and the
+// allow / deny / reply contract). Each stage gets the request context:
+//   {reqId, event, params, channel, rules, fromNumber, bodyRaw, parsed, window}
+// and may leave notes on it for later stages (ctx.guest, ctx.pending).
+import {ABUSE, ALLOW_PASSWORD_REJOIN} from './config.js';
+import {recordOptOut, clearOptOut, isOptedOut} from './optout.js';
+import {runUnknownAbuseGuards, reserveUnknownReply} from './abuse.js';
+import {getGuest, greetingName} from './guests.js';
+import {handleRsvpMessage} from './rsvp.js';
+import {queuePending} from './pending.js';
+import {getActivePassword, recordPasswordDelivery} from './passwords.js';
+import {resolveLocale} from './i18n.js';
+import {renderTemplate} from './templates.js';
+import {handleAdminCommand} from './admin-sms.js';
+import {notify} from './notify.js';
+import {renderAccessReply} from './access.js';
+import {quietUntil, formatEventTime, deferReply} from './schedule.js';
+import {allow, deny, reply} from './pipeline.js';
+
+// Guest record for the sender, looked up once per request
+async function senderGuest(ctx) {
+    if (ctx.guest === undefined) {
+        ctx.guest = await getGuest(ctx.fromNumber, ctx.event.keys);
+    }
+    return ctx.guest;
+}
+
+// What an unknown number is told (denied numbers get the plain unknown reply)
+function unknownReplyName(ctx) {
+    if (ctx.window === 'after') return 'closed';
+    return ctx.pending?.queued ? 'pending' : 'unknown';
+}
+
+export const SMS_STAGES = {
+    // Host commands (ADMIN_PHONES only; anything else falls through)
+    async admin({reqId, event, fromNumber, bodyRaw, log = console}) {
+        const adminReply = await handleAdminCommand({
+            from: fromNumber,
+            body: bodyRaw,
+            event,
+            log,
+        });
+        if (!adminReply) return allow();
+        log.info(`[${reqId}] Admin command from ${fromNumber}`);
+        return reply('admin-command', adminReply);
+    },
+
+    // STOP → record and stay silent (carriers confirm SMS opt-outs;
+    // on WhatsApp nobody does, so we confirm it ourselves)
+    async stop({
+        reqId,
+        event,
+        params,
+        channel,
+        rules,
+        fromNumber,
+        parsed,
+        log = console,
+    }) {
+        if (parsed.intent !== 'optout') return allow();
+        log.info(
+            `[${reqId}] ${parsed.word} detected → recording opt-out for ${fromNumber}`
+        );
+        await recordOptOut(fromNumber, event.keys, {
+            source: 'keyword',
+            channel,
+            keyword: parsed.word,
+            messageSid: params.MessageSid,
+        });
+        if (!rules.confirmOptOut) return deny('opt-out');
+        return reply(
+            'opt-out',
+            await renderTemplate({
+                event,
+                name: 'optOutConfirm',
+                locale: resolveLocale(parsed.locale),
+            })
+        );
+    },
+
+    // HELP → reply with help text
+    async help(ctx) {
+        const {reqId, event, fromNumber, parsed, log = console} = ctx;
+        if (parsed.intent !== 'help') return allow();
+        log.info(`[${reqId}] HELP detected from ${fromNumber} → replying help`);
+        const helpGuest = await senderGuest(ctx);
+        return reply(
+            'help',
+            await renderTemplate({
+                event,
+                name: 'help',
+                locale: resolveLocale(parsed.locale, helpGuest?.locale),
+            })
+        );
+    },
+
+    // START → clear opt-out. Only for opted-out numbers: YES is also an RSVP
+    // answer and goes on to the rsvp stage untouched.
+    async start({
+        reqId,
+        event,
+        params,
+        channel,
+        fromNumber,
+        parsed,
+        log = console,
+    }) {
+        if (parsed.intent !== 'optin') return allow();
+        if (!(await isOptedOut(fromNumber, event.keys))) {
+            return allow('not-opted-out');
+        }
+        log.info(
+            `[${reqId}] START detected → clearing opt-out for ${fromNumber}`
+        );
+        await clearOptOut(fromNumber, event.keys, {
+            source: 'keyword',
+            channel,
+            keyword: parsed.word,
+            messageSid: params.MessageSid,
+        });
+        return allow('opt-in');
+    },
+
+    // If still opted out, allow PASSWORD to rejoin (if configured)
+    async optout({
+        reqId,
+        event,
+        params,
+        channel,
+        fromNumber,
+        parsed,
+        log = console,
+    }) {
+        if (!(await isOptedOut(fromNumber, event.keys))) return allow();
+        if (!(ALLOW_PASSWORD_REJOIN && parsed.hasKeyword)) {
+            log.info(`[${reqId}] ${fromNumber} is opted-out; ignoring`);
+            return deny('opted-out');
+        }
+        log.info(
+            `[${reqId}] PASSWORD rejoin allowed → clearing opt-out for ${fromNumber}`
+        );
+        await clearOptOut(fromNumber, event.keys, {
+            action: 'rejoin',
+            source: 'password-rejoin',
+            channel,
+            keyword: event.keyword,
+            messageSid: params.MessageSid,
+        });
+        return allow('password-rejoin');
+    },
+
+    // After the event: guests get the closing message, nothing else
+    async closed(ctx) {
+        const {reqId, event, window, parsed, log = console} = ctx;
+        const guest = await senderGuest(ctx);
+        if (window !== 'after' || !guest) return allow();
+        log.info(`[${reqId}] Event closed → closing reply to guest`);
+        return reply(
+            'event-closed',
+            await renderTemplate({
+                event,
+                name: 'closed',
+                locale: resolveLocale(guest.locale, parsed.locale),
+            })
+        );
+    },
+
+    // RSVP conversation (whitelisted guests; runs before the keyword gate)
+    async rsvp({reqId, event, fromNumber, bodyRaw, log = console}) {
+        const rsvpReply = await handleRsvpMessage({
+            phone: fromNumber,
+            body: bodyRaw,
+            event,
+            log,
+        });
+        if (!rsvpReply) return allow();
+        log.info(`[${reqId}] RSVP flow reply to ${fromNumber}`);
+        return reply('rsvp', rsvpReply);
+    },
+
+    // Keyword gate (applies to everyone)
+    async keyword({reqId, event, bodyRaw, parsed, log = console}) {
+        if (!event.keyword || parsed.hasKeyword) return allow();
+        log.info(
+            `[${reqId}] Keyword gate failed; required="${event.keyword}", got="${bodyRaw}"`
+        );
+        return deny('keyword-missing'); // silent
+    },
+
+    // Whitelist: always reply
+    async whitelist(ctx) {
+        const {reqId, event, fromNumber, window, parsed, log = console} = ctx;
+        const guest = await senderGuest(ctx);
+        if (!guest) return allow('not-on-list');
+        const locale = resolveLocale(guest.locale, parsed.locale);
+
+        if (window === 'before') {
+            log.info(
+                `[${reqId}] Whitelisted ${fromNumber} before opening → notYetOpen`
+            );
+            return reply(
+                'not-yet-open',
+                await renderTemplate({
+                    event,
+                    name: 'notYetOpen',
+                    locale,
+                    vars: {
+                        name: greetingName(guest),
+                        opensAt: formatEventTime(event.startsAt, event, locale),
+                    },
+                })
+            );
+        }
+        if (event.accessCodes !== 'off') {
+            // Personal code / magic link instead of the shared password
+            const {body, record} = await renderAccessReply({
+                event,
+                guest,
+                locale,
+            });
+            log.info(
+                `[${reqId}] Whitelisted ${fromNumber} → sending access ${record.kind}`,
+                {reused: record.reused, expiresAt: record.expiresAt}
+            );
+            return reply(`access-${record.kind}`, body);
+        }
+
+        const name = greetingName(guest);
+        log.info(`[${reqId}] Whitelisted ${fromNumber} → sending password`, {
+            name,
+            party: guest.party,
+        });
+        const {version, password} = await getActivePassword(event);
+        const body = await renderTemplate({
+            event,
+            name: 'password',
+            locale,
+            vars: {name, password},
+        });
+        await recordPasswordDelivery(fromNumber, version, event.keys);
+        return reply('password', body);
+    },
+
+    // Unknowns: abuse guards (country, blocklist, burst, flood, content)
+    async abuse({reqId, event, channel, fromNumber, bodyRaw, log = console}) {
+        const guard = await runUnknownAbuseGuards({
+            from: fromNumber,
+            body: bodyRaw,
+            channel,
+            log,
+            keys: event.keys,
+        });
+        if (guard.allow) return allow();
+        log.info(
+            `[${reqId}] Unknown ${fromNumber} blocked by abuse guards (${guard.reason})`
+        );
+        if (guard.reason === 'flood') {
+            await notify({
+                type: 'defensive',
+                event,
+                log,
+                data: {durationSec: ABUSE.DEFENSIVE_MODE_DURATION_SEC},
+                onceSec: ABUSE.DEFENSIVE_MODE_DURATION_SEC,
+            });
+        }
+        if (guard.strike?.permanent) {
+            await notify({
+                type: 'blocked',
+                event,
+                log,
+                data: {
+                    phone: fromNumber,
+                    reason: guard.strike.reason,
+                    strikes: guard.strike.strikes,
+                },
+            });
+        }
+        return deny(`abuse:${guard.reason}`);
+    },
+
+    // Approval queue: hosts can approve from the admin API (not once
+    // the event is over)
+    async pending(ctx) {
+        const {reqId, event, fromNumber, bodyRaw, window, log = console} = ctx;
+        if (window === 'after') {
+            ctx.pending = {queued: false, isNew: false};
+            return allow('event-over');
+        }
+        ctx.pending = await queuePending({
+            phone: fromNumber,
+            body: bodyRaw,
+            keys: event.keys,
+        });
+        if (ctx.pending.isNew) {
+            log.info(`[${reqId}] Queued ${fromNumber} for host approval`);
+        }
+        if (!ctx.pending.queued) return allow('not-queued');
+        return allow(ctx.pending.isNew ? 'queued' : 'already-queued');
+    },
+
+    // Global/day cap, cooldown, per-number/day cap (rolling windows,
+    // checked + recorded atomically)
+    async limits({reqId, event, fromNumber, log = console}) {
+        const {caps} = event;
+        const limit = await reserveUnknownReply({
+            from: fromNumber,
+            caps,
+            keys: event.keys,
+        });
+        if (limit.allow) return allow();
+        const secs = Math.ceil(limit.retryAfterMs / 1000);
+        log.info(
+            `[${reqId}] Limit "${limit.rule}" reached for ${fromNumber} (~${secs}s until allowed); suppressing`
+        );
+        if (limit.rule === 'globalDaily') {
+            await notify({
+                type: 'globalCap',
+                event,
+                log,
+                data: {
+                    limit: caps.globalMaxPerDay,
+                    retryAfterMs: limit.retryAfterMs,
+                },
+                onceSec: secs,
+            });
+        }
+        return deny(`limit:${limit.rule}`);
+    },
+
+    // Quiet hours: hold the reply until they end
+    async quietHours(ctx) {
+        const {
+            reqId,
+            event,
+            fromNumber,
+            bodyRaw,
+            parsed,
+            now,
+            log = console,
+        } = ctx;
+        const dueAt = quietUntil(event, now);
+        if (!dueAt) return allow();
+        await deferReply({
+            event,
+            phone: fromNumber,
+            name: unknownReplyName(ctx),
+            locale: resolveLocale(parsed.locale),
+            dueAt,
+        });
+        await notify({
+            type: 'unknown',
+            event,
+            log,
+            data: {
+                phone: fromNumber,
+                body: bodyRaw,
+                queued: !!ctx.pending?.queued,
+            },
+        });
+        log.info(
+            `[${reqId}] Quiet hours → reply to ${fromNumber} deferred until ${new Date(dueAt).toISOString()}`
+        );
+        return deny('quiet-hours');
+    },
+
+    // Fallback for unknowns
+    async fallback(ctx) {
+        const {event, fromNumber, bodyRaw, parsed, log = console} = ctx;
+        const name = unknownReplyName(ctx);
+        const body = await renderTemplate({
+            event,
+            name,
+            locale: resolveLocale(parsed.locale),
+        });
+        await notify({
+            type: 'unknown',
+            event,
+            log,
+            data: {
+                phone: fromNumber,
+                body: bodyRaw,
+                queued: !!ctx.pending?.queued,
+            },
+        });
+        return reply(name, body);
+    },
+};
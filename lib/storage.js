@@ -0,0 +1,316 @@
+// Storage backend. Every module reads and writes through `store`, so
+// STORAGE=memory swaps Upstash for an in-process map (local runs / tests).
+//
+// Store interface (the Redis subset this app uses, Upstash semantics):
+//   get(key) / set(key, value, {ex, nx}) / del(...keys) / incr(key) / expire(key, sec)
+//   sadd(key, ...members) / srem(key, ...members) / sismember(key, m) / smembers(key)
+//   hset(key, {field: value}) / hsetnx(key, field, value) / hget(key, field)
+//   hgetall(key) / hdel(key, ...fields)
+//   hincrby(key, field, by) / pexpire(key, ms)
+//   zadd(key, {score, member}) / zrem(key, ...members)
+//   zremrangebyscore(key, min, max) / zcard(key)
+//   zrange(key, start, stop, {withScores}) → [member, score, ...] with scores
+//   scan(cursor, {match, count}) → [nextCursor, keys] / scanIterator({match, count})
+//   runScript(script, keys, args) → the script's return value, run atomically
+// Missing keys read as null (hgetall too) or [] (smembers); counts are numbers.
+//
+// A script is {name, lua, local(store, keys, args)}: Upstash runs `lua`
+// server-side (EVALSHA, falling back to EVAL) in one round trip; the memory
+// store runs `local` — a JS mirror of the Lua — one script at a time.
+import {Redis} from '@upstash/redis';
+import {STORAGE} from './config.js';
+
+// Yields every key matching `match` via SCAN pages.
+async function* scanAll(scan, {match, count = 200}) {
+    let cursor = 0;
+    do {
+        const resp = await scan(cursor, {match, count});
+        cursor = Number(resp?.[0] ?? 0);
+        yield* Array.isArray(resp?.[1]) ? resp[1] : [];
+    } while (cursor !== 0);
+}
+
+export function createUpstashStore({client = Redis.fromEnv()} = {}) {
+    const scripts = new Map(); // name → Upstash Script (caches the SHA)
+    return {
+        name: 'upstash',
+        get: (key) => client.get(key),
+        set: (key, value, opts) => client.set(key, value, opts),
+        del: (...keys) => client.del(...keys),
+        incr: (key) => client.incr(key),
+        expire: (key, sec) => client.expire(key, sec),
+        sadd: (key, ...members) => client.sadd(key, ...members),
+        srem: (key, ...members) => client.srem(key, ...members),
+        sismember: (key, member) => client.sismember(key, member),
+        smembers: (key) => client.smembers(key),
+        hset: (key, fields) => client.hset(key, fields),
+        hsetnx: (key, field, value) => client.hsetnx(key, field, value),
+        hget: (key, field) => client.hget(key, field),
+        hgetall: (key) => client.hgetall(key),
+        hdel: (key, ...fields) => client.hdel(key, ...fields),
+        hincrby: (key, field, by) => client.hincrby(key, field, by),
+        pexpire: (key, ms) => client.pexpire(key, ms),
+        zadd: (key, entry) => client.zadd(key, entry),
+        zrem: (key, ...members) => client.zrem(key, ...members),
+        zremrangebyscore: (key, min, max) =>
+            client.zremrangebyscore(key, min, max),
+        zcard: (key) => client.zcard(key),
+        zrange: (key, start, stop, opts) =>
+            client.zrange(key, start, stop, opts),
+        scan: (cursor, opts) => client.scan(cursor, opts),
+        scanIterator: (opts) =>
+            scanAll((cursor, o) => client.scan(cursor, o), opts),
+        runScript(script, keys, args) {
+            if (!scripts.has(script.name)) {
+                scripts.set(script.name, client.createScript(script.lua));
+            }
+            return scripts.get(script.name).exec(keys, args.map(String));
+        },
+    };
+}
+
+// "burst:+1555*" → /^burst:\+1555.*$/
+function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+// member → score
+class SortedSet extends Map {
+    // [[member, score], ...] ascending by score, then member
+    sorted() {
+        return [...this].sort(
+            (a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0)
+        );
+    }
+}
+
+// "-inf" / "+inf" / number → number
+function scoreBound(v) {
+    if (v === '-inf') return -Infinity;
+    if (v === '+inf' || v === 'inf') return Infinity;
+    return Number(v);
+}
+
+// Process-local store: values live in a Map with per-key expiry. Data is lost
+// on restart and isn't shared between serverless instances.
+export function createMemoryStore({now = Date.now} = {}) {
+    const data = new Map(); // key → string | Set | Map | SortedSet
+    const expires = new Map(); // key → epoch ms
+    let scriptQueue = Promise.resolve(); // scripts run one after another
+
+    function live(key) {
+        const at = expires.get(key);
+        if (at !== undefined && at <= now()) {
+            data.delete(key);
+            expires.delete(key);
+        }
+        return data.get(key);
+    }
+
+    function typed(key, Type) {
+        const v = live(key);
+        if (v === undefined) {
+            const created = new Type();
+            data.set(key, created);
+            return created;
+        }
+        if (v.constructor !== Type) {
+            throw new Error(
+                'WRONGTYPE Operation against a key holding the wrong kind of value'
+            );
+        }
+        return v;
+    }
+
+    return {
+        name: 'memory',
+        async get(key) {
+            const v = live(key);
+            return typeof v === 'string' ? v : null;
+        },
+        async set(key, value, {ex, nx} = {}) {
+            if (nx && live(key) !== undefined) return null;
+            data.set(key, String(value));
+            if (ex) expires.set(key, now() + ex * 1000);
+            else expires.delete(key);
+            return 'OK';
+        },
+        async del(...keys) {
+            let n = 0;
+            for (const key of keys) {
+                if (live(key) !== undefined) n++;
+                data.delete(key);
+                expires.delete(key);
+            }
+            return n;
+        },
+        async incr(key) {
+            const n = Number(live(key) ?? 0) + 1;
+            if (!Number.isInteger(n)) {
+                throw new Error('ERR value is not an integer or out of range');
+            }
+            data.set(key, String(n));
+            return n;
+        },
+        async expire(key, sec) {
+            if (live(key) === undefined) return 0;
+            expires.set(key, now() + sec * 1000);
+            return 1;
+        },
+        async sadd(key, ...members) {
+            const set = typed(key, Set);
+            let n = 0;
+            for (const m of members) {
+                if (!set.has(String(m))) n++;
+                set.add(String(m));
+            }
+            return n;
+        },
+        async srem(key, ...members) {
+            const set = live(key);
+            if (!(set instanceof Set)) return 0;
+            let n = 0;
+            for (const m of members) if (set.delete(String(m))) n++;
+            if (!set.size) data.delete(key);
+            return n;
+        },
+        async sismember(key, member) {
+            const set = live(key);
+            return set instanceof Set && set.has(String(member)) ? 1 : 0;
+        },
+        async smembers(key) {
+            const set = live(key);
+            return set instanceof Set ? [...set] : [];
+        },
+        async hset(key, fields) {
+            const hash = typed(key, Map);
+            let n = 0;
+            for (const [f, v] of Object.entries(fields)) {
+                if (!hash.has(f)) n++;
+                hash.set(f, String(v));
+            }
+            return n;
+        },
+        async hsetnx(key, field, value) {
+            const hash = typed(key, Map);
+            if (hash.has(field)) return 0;
+            hash.set(field, String(value));
+            return 1;
+        },
+        async hget(key, field) {
+            const hash = live(key);
+            return hash?.constructor === Map ? (hash.get(field) ?? null) : null;
+        },
+        async hgetall(key) {
+            const hash = live(key);
+            return hash?.constructor === Map && hash.size
+                ? Object.fromEntries(hash)
+                : null;
+        },
+        async hdel(key, ...fields) {
+            const hash = live(key);
+            if (!(hash?.constructor === Map)) return 0;
+            let n = 0;
+            for (const f of fields) if (hash.delete(f)) n++;
+            if (!hash.size) data.delete(key);
+            return n;
+        },
+        async hincrby(key, field, by) {
+            const hash = typed(key, Map);
+            const n = Number(hash.get(field) ?? 0) + Number(by);
+            hash.set(field, String(n));
+            return n;
+        },
+        async pexpire(key, ms) {
+            if (live(key) === undefined) return 0;
+            expires.set(key, now() + Number(ms));
+            return 1;
+        },
+        async zadd(key, {score, member}) {
+            const zset = typed(key, SortedSet);
+            const added = zset.has(String(member)) ? 0 : 1;
+            zset.set(String(member), Number(score));
+            return added;
+        },
+        async zrem(key, ...members) {
+            const zset = live(key);
+            if (zset?.constructor !== SortedSet) return 0;
+            let n = 0;
+            for (const m of members) if (zset.delete(String(m))) n++;
+            if (!zset.size) data.delete(key);
+            return n;
+        },
+        async zremrangebyscore(key, min, max) {
+            const zset = live(key);
+            if (zset?.constructor !== SortedSet) return 0;
+            const [lo, hi] = [scoreBound(min), scoreBound(max)];
+            let n = 0;
+            for (const [m, score] of zset) {
+                if (score >= lo && score <= hi && zset.delete(m)) n++;
+            }
+            if (!zset.size) data.delete(key);
+            return n;
+        },
+        async zcard(key) {
+            const zset = live(key);
+            return zset?.constructor === SortedSet ? zset.size : 0;
+        },
+        async zrange(key, start, stop, {withScores = false} = {}) {
+            const zset = live(key);
+            if (zset?.constructor !== SortedSet) return [];
+            const all = zset.sorted();
+            const from = start < 0 ? all.length + start : start;
+            const to = stop < 0 ? all.length + stop : stop;
+            return all
+                .slice(Math.max(0, from), to + 1)
+                .flatMap(([m, score]) => (withScores ? [m, score] : [m]));
+        },
+        // Single page: the whole keyspace is already in memory.
+        async scan(cursor, {match = '*'} = {}) {
+            const re = globToRegExp(match);
+            const keys = [...data.keys()].filter(
+                (k) => live(k) !== undefined && re.test(k)
+            );
+            return ['0', keys];
+        },
+        scanIterator(opts) {
+            return scanAll((cursor, o) => this.scan(cursor, o), opts);
+        },
+        runScript(script, keys, args) {
+            const run = scriptQueue.then(() =>
+                script.local(this, keys, args.map(String))
+            );
+            scriptQueue = run.catch(() => {});
+            return run;
+        },
+    };
+}
+
+let current = null;
+
+export function getStore() {
+    if (!current) {
+        current =
+            STORAGE === 'memory' ? createMemoryStore() : createUpstashStore();
+    }
+    return current;
+}
+
+// Swap the storage backend (tests / local scripts).
+export function setStore(next) {
+    current = next;
+}
+
+// Module-level handle that always talks to the current backend, so callers
+// can `import {store}` once and still see a later setStore().
+export const store = new Proxy(
+    {},
+    {
+        get: (_, op) => {
+            const backend = getStore();
+            const v = backend[op];
+            return typeof v === 'function' ? v.bind(backend) : v;
+        },
+    }
+);
@@ -0,0 +1,191 @@
+// Named reply templates with {placeholder} substitution, per locale.
+//
+// Lookup order for (event, locale, name):
+//   1) Redis override   templates:<locale> hash (edited via /api/admin/templates)
+//   2) event profile     helpMessage / unknownMessage / pendingMessage (default locale only)
+//   3) built-in default  DEFAULT_TEMPLATES[locale], then English
+//
+// A placeholder with an empty value is dropped together with the space before
+// it, so "Hi {name}!" renders as "Hi!" for guests without a name.
+import {store} from './storage.js';
+import {DEFAULT_LOCALE} from './config.js';
+import {resolveLocale} from './i18n.js';
+
+export const DEFAULT_TEMPLATES = {
+    en: {
+        password: 'Hi {name}! Here’s the password to {site}: {password}',
+        help: '{site} password auto responder. Reply STOP to opt out.',
+        unknown:
+            'We couldn’t match this number to our guest list. If this is a mistake, please contact the hosts.',
+        pending:
+            'We couldn’t match this number to our guest list yet. We’ve asked the hosts — you’ll get the password by text once they approve.',
+        approved:
+            'Hi {name}! You’re on the guest list. Here’s the password to {site}: {password}',
+        passwordChanged:
+            'Heads up: the password to {site} has changed. New password: {password}',
+        rsvpStart: 'RSVP for {site}. Will you attend? Reply Y or N.',
+        rsvpUpdate:
+            'Your RSVP for {site}: {summary}. Let’s update it. Will you attend? Reply Y or N.',
+        rsvpAskAttending: 'Will you attend? Please reply Y or N.',
+        rsvpAskHeadcount:
+            'Wonderful! How many people in your party, including you? Reply a number 1-{max}.',
+        rsvpBadHeadcount: 'Please reply a number 1-{max} for your party size.',
+        rsvpAskMeal: 'Got it, {headcount}. Meal choice? Reply {menu}',
+        rsvpBadMeal: 'Please reply {menu}',
+        rsvpSavedYes:
+            'Thank you! RSVP saved: {summary}. Text {keyword} anytime to change it.',
+        rsvpSavedNo:
+            'Sorry you can’t make it. RSVP saved: {summary}. Text {keyword} anytime to change it.',
+        rsvpSummaryYes: 'Attending, {headcount} guest(s), {meal}',
+        rsvpSummaryNo: 'Not attending',
+        notYetOpen:
+            'Hi {name}! The password to {site} will be available from {opensAt}.',
+        closed: 'Thank you for celebrating with us! {site} is now closed.',
+        accessCode:
+            'Hi {name}! Your personal access code for {site}: {code} (valid until {expires}). Please don’t share it.',
+        accessLink:
+            'Hi {name}! Your personal link to {site}: {link} (valid until {expires}). Please don’t share it.',
+        voicePassword: 'Hi {name}. The password to {site} is: {spelled}.',
+        voiceAccessCode:
+            'Hi {name}. Your personal access code for {site} is: {spelled}.',
+        voiceAccessLink:
+            'Hi {name}. We can text you your personal link to {site}.',
+        voiceRepeat: 'Once more: {spelled}.',
+        voiceMenu:
+            'Press 1 to hear it again. Press 2 to get it by text message.',
+        voiceTexted: 'We’ve sent it to you by text message. Goodbye!',
+        voiceNoText:
+            'This number has opted out of text messages. Text START to opt back in. Goodbye!',
+        voiceTextFailed:
+            'Sorry, we couldn’t send a text message right now. Goodbye!',
+        voiceGoodbye: 'Thank you for calling. Goodbye!',
+        optOutConfirm:
+            'You won’t get more messages from {site}. Reply START to opt back in.',
+    },
+    es: {
+        password: '¡Hola {name}! Esta es la contraseña de {site}: {password}',
+        help: 'Respuesta automática de contraseña de {site}. Responde PARAR para darte de baja.',
+        unknown:
+            'No encontramos este número en nuestra lista de invitados. Si es un error, contacta a los anfitriones.',
+        pending:
+            'Aún no encontramos este número en la lista de invitados. Ya avisamos a los anfitriones; recibirás la contraseña por mensaje cuando la aprueben.',
+        approved:
+            '¡Hola {name}! Ya estás en la lista de invitados. Esta es la contraseña de {site}: {password}',
+        passwordChanged:
+            'Aviso: la contraseña de {site} cambió. Nueva contraseña: {password}',
+        rsvpStart: 'Confirmación para {site}. ¿Asistirás? Responde S o N.',
+        rsvpUpdate:
+            'Tu confirmación para {site}: {summary}. Vamos a actualizarla. ¿Asistirás? Responde S o N.',
+        rsvpAskAttending: '¿Asistirás? Por favor responde S o N.',
+        rsvpAskHeadcount:
+            '¡Qué bien! ¿Cuántas personas vienen contigo, incluyéndote? Responde un número del 1 al {max}.',
+        rsvpBadHeadcount:
+            'Por favor responde un número del 1 al {max} para tu grupo.',
+        rsvpAskMeal:
+            'Anotado, {headcount}. ¿Qué platillo prefieres? Responde {menu}',
+        rsvpBadMeal: 'Por favor responde {menu}',
+        rsvpSavedYes:
+            '¡Gracias! Confirmación guardada: {summary}. Envía {keyword} cuando quieras para cambiarla.',
+        rsvpSavedNo:
+            'Lamentamos que no puedas venir. Confirmación guardada: {summary}. Envía {keyword} cuando quieras para cambiarla.',
+        rsvpSummaryYes: 'Asiste, {headcount} persona(s), {meal}',
+        rsvpSummaryNo: 'No asiste',
+        notYetOpen:
+            '¡Hola {name}! La contraseña de {site} estará disponible a partir del {opensAt}.',
+        closed: '¡Gracias por celebrar con nosotros! {site} ya está cerrado.',
+        accessCode:
+            '¡Hola {name}! Tu código de acceso personal para {site}: {code} (válido hasta el {expires}). Por favor no lo compartas.',
+        accessLink:
+            '¡Hola {name}! Tu enlace personal para {site}: {link} (válido hasta el {expires}). Por favor no lo compartas.',
+        voicePassword: 'Hola {name}. La contraseña de {site} es: {spelled}.',
+        voiceAccessCode:
+            'Hola {name}. Tu código de acceso personal para {site} es: {spelled}.',
+        voiceAccessLink:
+            'Hola {name}. Podemos enviarte por mensaje tu enlace personal para {site}.',
+        voiceRepeat: 'Otra vez: {spelled}.',
+        voiceMenu:
+            'Marca 1 para volver a escuchar. Marca 2 para recibir un mensaje de texto.',
+        voiceTexted: 'Te enviamos un mensaje de texto. ¡Adiós!',
+        voiceNoText:
+            'Este número se dio de baja de los mensajes de texto. Envía COMENZAR para volver a recibirlos. ¡Adiós!',
+        voiceTextFailed:
+            'Lo sentimos, no pudimos enviar el mensaje de texto. ¡Adiós!',
+        voiceGoodbye: 'Gracias por llamar. ¡Adiós!',
+        optOutConfirm:
+            'No recibirás más mensajes de {site}. Responde COMENZAR para volver a recibirlos.',
+    },
+};
+
+export const TEMPLATE_NAMES = Object.keys(DEFAULT_TEMPLATES.en);
+
+// Event profile messages that act as the default-locale template.
+const EVENT_MESSAGE_FIELDS = {
+    help: 'helpMessage',
+    unknown: 'unknownMessage',
+    pending: 'pendingMessage',
+};
+
+export function assertTemplateName(name) {
+    if (!TEMPLATE_NAMES.includes(name)) {
+        throw new Error(
+            `Unknown template "${name}". Known: ${TEMPLATE_NAMES.join(', ')}`
+        );
+    }
+    return name;
+}
+
+export function fillTemplate(text, vars = {}) {
+    return String(text).replace(/( ?)\{(\w+)\}/g, (match, space, key) => {
+        if (!(key in vars)) return match;
+        const v = vars[key];
+        if (v === undefined || v === null || v === '') return '';
+        return `${space}${v}`;
+    });
+}
+
+function templatesKey(keys, locale) {
+    return `${keys.TEMPLATES_PREFIX}${locale}`;
+}
+
+export async function getOverrides(keys, locale) {
+    const h = await store.hgetall(templatesKey(keys, locale));
+    const out = {};
+    for (const [k, v] of Object.entries(h || {})) out[k] = String(v);
+    return out;
+}
+
+// Raw (unfilled) template text for an event/locale.
+export async function getTemplate({event, locale, name}) {
+    assertTemplateName(name);
+    const loc = resolveLocale(locale);
+    const override = await store.hget(templatesKey(event.keys, loc), name);
+    if (override !== null && override !== undefined && override !== '') {
+        return String(override);
+    }
+    const field = EVENT_MESSAGE_FIELDS[name];
+    if (field && loc === resolveLocale(DEFAULT_LOCALE) && event[field]) {
+        return event[field];
+    }
+    return DEFAULT_TEMPLATES[loc]?.[name] ?? DEFAULT_TEMPLATES.en[name];
+}
+
+export async function renderTemplate({event, locale, name, vars = {}}) {
+    const text = await getTemplate({event, locale, name});
+    return fillTemplate(text, {site: event.site, ...vars});
+}
+
+export async function setTemplate({event, locale, name, text}) {
+    assertTemplateName(name);
+    const loc = resolveLocale(locale);
+    const body = String(text || '').trim();
+    if (!body) throw new Error('Template text is empty');
+    await store.hset(templatesKey(event.keys, loc), {[name]: body});
+    return {locale: loc, name, text: body};
+}
+
+export async function resetTemplate({event, locale, name}) {
+    assertTemplateName(name);
+    const loc = resolveLocale(locale);
+    const removed = await store.hdel(templatesKey(event.keys, loc), name);
+    return {locale: loc, name, removed: removed === 1};
+}
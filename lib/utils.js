@@ -1,8 +1,22 @@
-export function dayKey(date = new Date()) {
-    // local-day boundary
-    return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
-        .toISOString()
-        .slice(0, 10);
+// Calendar day (YYYY-MM-DD) in the event's time zone, not the server's.
+export function dayKey(date = new Date(), timeZone = 'UTC') {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    }).format(date);
+}
+
+// Upstash deserializes JSON values on read; accept both shapes.
+export function parseStored(v) {
+    if (!v) return null;
+    if (typeof v === 'object') return v;
+    try {
+        return JSON.parse(v);
+    } catch {
+        return null;
+    }
 }
 
 export async function parseFormBody(req) {
@@ -15,35 +29,27 @@ export async function parseFormBody(req) {
     });
 }
 
-// Strict E.164 (+1XXXXXXXXXX) validator
-export function assertE164US(input) {
-    const v = String(input || '').trim();
-    if (!/^\+1\d{10}$/.test(v)) {
-        throw new Error(
-            `Invalid format: "${input}". Expected E.164 US format: +1XXXXXXXXXX`
-        );
-    }
-    return v;
-}
-
-// Normalize common US formats to E.164 +1XXXXXXXXXX
-export function normalizeToE164US(input) {
-    if (!input) throw new Error('No phone number provided');
-    const trimmed = String(input).trim();
-
-    if (/^\+1\d{10}$/.test(trimmed)) return trimmed; // already E.164
-
-    const digits = trimmed.replace(/\D/g, '');
-    if (digits.length === 10) return `+1${digits}`; // 10-digit US
-    if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`; // 1 + 10
-
-    throw new Error(
-        `Invalid US number format: "${input}". Expected 10 digits, 11 digits starting with 1, or +1XXXXXXXXXX.`
-    );
-}
-
 export function parseIntEnv(name, def) {
     const v = process.env[name];
     const n = Number.parseInt(v ?? `${def}`, 10);
     return Number.isFinite(n) ? n : def;
 }
+
+export function parseBoolEnv(name, def) {
+    const v = process.env[name];
+    if (v === undefined || v === '') return def;
+    return /^(1|true|yes|on)$/i.test(v.trim());
+}
+
+// rows of objects → CSV text (RFC 4180 quoting), columns in the given order
+export function toCsv(rows, columns) {
+    const esc = (v) => {
+        const s = v === null || v === undefined ? '' : String(v);
+        return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map((c) => esc(row[c])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,53 @@
+// Helpers for /api/voice: spelling a password out for text-to-speech and
+// picking the <Say> language for a guest's locale.
+import {VOICE_NAME} from './config.js';
+
+// <Say language> per supported locale
+const VOICE_LANGUAGES = {en: 'en-US', es: 'es-MX'};
+
+const WORDS = {
+    en: {
+        capital: 'capital',
+        ' ': 'space',
+        '-': 'dash',
+        _: 'underscore',
+        '.': 'dot',
+        '!': 'exclamation mark',
+        '@': 'at sign',
+        '#': 'hash',
+        '&': 'and',
+    },
+    es: {
+        capital: 'mayúscula',
+        ' ': 'espacio',
+        '-': 'guion',
+        _: 'guion bajo',
+        '.': 'punto',
+        '!': 'signo de exclamación',
+        '@': 'arroba',
+        '#': 'numeral',
+        '&': 'y',
+    },
+};
+
+export function sayAttrs(locale) {
+    const attrs = {language: VOICE_LANGUAGES[locale] || VOICE_LANGUAGES.en};
+    if (VOICE_NAME) attrs.voice = VOICE_NAME;
+    return attrs;
+}
+
+// "Rings2026" → "capital R. i. n. g. s. 2. 0. 2. 6" — one character at a
+// time so text-to-speech reads it slowly. Case is only called out when the
+// text mixes upper and lower case.
+export function spellOut(text, locale = 'en') {
+    const words = WORDS[locale] || WORDS.en;
+    const s = String(text || '');
+    const mixedCase = /[a-z]/.test(s) && /[A-Z]/.test(s);
+    return Array.from(s)
+        .map((ch) => {
+            if (words[ch]) return words[ch];
+            if (mixedCase && /[A-Z]/.test(ch)) return `${words.capital} ${ch}`;
+            return ch;
+        })
+        .join('. ');
+}
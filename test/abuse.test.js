@@ -0,0 +1,107 @@
+import {test, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {createMemoryStore, setStore, store} from '../lib/storage.js';
+import {KEYS, ABUSE} from '../lib/config.js';
+import {
+    recordStrike,
+    getStrikes,
+    getBlock,
+    unblockNumber,
+    NUMBER_RULES,
+} from '../lib/abuse.js';
+import {consume, limitRule} from '../lib/limiter.js';
+
+const PHONE = '+15551230000';
+const MIN = 60 * 1000;
+const DAY = 24 * 60 * MIN;
+const silent = {info() {}, warn() {}, error() {}};
+const clock = {t: 0};
+
+beforeEach(() => {
+    clock.t = Date.parse('2026-06-01T00:00:00Z');
+    setStore(createMemoryStore({now: () => clock.t}));
+});
+
+const strike = () => recordStrike(PHONE, 'burst', {now: clock.t, log: silent});
+
+test('each strike blocks for the next STRIKE_BLOCK_MINUTES step', async () => {
+    for (const [i, minutes] of ABUSE.STRIKE_BLOCK_MINUTES.entries()) {
+        const block = await strike();
+        assert.equal(block.strikes, i + 1);
+        assert.equal(block.permanent, false);
+        assert.equal(
+            Date.parse(block.expiresAt) - clock.t,
+            minutes * MIN,
+            `strike ${i + 1}`
+        );
+        clock.t += minutes * MIN + 1000; // serve the block
+    }
+});
+
+test('a block lifts by itself when it expires', async () => {
+    await strike();
+    assert.equal((await getBlock(PHONE)).reason, 'burst');
+    clock.t += ABUSE.STRIKE_BLOCK_MINUTES[0] * MIN - 1000;
+    assert.ok(await getBlock(PHONE));
+    clock.t += 2000;
+    assert.equal(await getBlock(PHONE), null);
+});
+
+test('past the end of the list the block is permanent', async () => {
+    for (let i = 0; i < ABUSE.STRIKE_BLOCK_MINUTES.length; i++) {
+        await strike();
+        clock.t += ABUSE.STRIKE_BLOCK_MINUTES[i] * MIN + 1000;
+    }
+    const block = await strike();
+    assert.equal(block.permanent, true);
+    assert.equal(block.expiresAt, null);
+    assert.equal(await store.sismember(KEYS.ABUSE_SET, PHONE), 1);
+    clock.t += 365 * DAY;
+    assert.equal((await getBlock(PHONE)).permanent, true);
+});
+
+test('strikes decay by one per STRIKE_DECAY_DAYS without a new one', async () => {
+    await strike();
+    await strike();
+    const decay = ABUSE.STRIKE_DECAY_DAYS * DAY;
+    assert.equal((await getStrikes(PHONE, KEYS, clock.t)).strikes, 2);
+    assert.equal(
+        (await getStrikes(PHONE, KEYS, clock.t + decay - 1)).strikes,
+        2
+    );
+    assert.equal((await getStrikes(PHONE, KEYS, clock.t + decay)).strikes, 1);
+    assert.equal(
+        (await getStrikes(PHONE, KEYS, clock.t + 5 * decay)).strikes,
+        0
+    );
+    // A strike after decay starts from the decayed count
+    clock.t += decay;
+    assert.equal((await strike()).strikes, 2);
+});
+
+test('unblockNumber clears the block, strikes and every per-number limit', async () => {
+    await strike();
+    const rules = NUMBER_RULES.map((name) =>
+        limitRule(name, PHONE, {limit: 1, windowSec: 3600})
+    );
+    for (const rule of rules) {
+        assert.deepEqual(await consume([rule], {now: clock.t}), {
+            allowed: true,
+        });
+        assert.equal((await consume([rule], {now: clock.t})).rule, rule.name);
+    }
+    const result = await unblockNumber(PHONE);
+    assert.equal(result.blockCleared, true);
+    assert.equal(result.strikesCleared, true);
+    assert.equal(result.limitsDeleted, NUMBER_RULES.length);
+    assert.equal(await getBlock(PHONE), null);
+    assert.equal((await getStrikes(PHONE)).strikes, 0);
+    // e.g. a caller refused texts (voiceSms) can get one again
+    for (const rule of rules) {
+        assert.deepEqual(
+            await consume([rule], {now: clock.t}),
+            {allowed: true},
+            rule.name
+        );
+    }
+});
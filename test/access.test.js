@@ -0,0 +1,241 @@
+// Per-guest access codes and magic links: reuse, expiry, use limits, /api/verify.
+import {test, before, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+// Config is read at import time
+Object.assign(process.env, {
+    STORAGE: 'memory',
+    ACCESS_CODES: 'code',
+    ACCESS_LINK_URL: 'https://rsvp.example/enter',
+    ACCESS_CODE_TTL_DAYS: '90',
+    ACCESS_LINK_TTL_MIN: '60',
+    ACCESS_CODE_MAX_USES: '0',
+    VERIFY_API_TOKEN: 'verify-token',
+});
+
+const PHONE = '+15551230000';
+const MIN = 60 * 1000;
+const DAY = 24 * 60 * MIN;
+const T0 = Date.parse('2026-06-01T00:00:00Z');
+const silent = {info() {}, warn() {}, error() {}};
+
+let access;
+let storage;
+let event;
+let upsertGuest;
+let removeGuest;
+let verify;
+before(async () => {
+    access = await import('../lib/access.js');
+    storage = await import('../lib/storage.js');
+    event = (await import('../lib/events.js')).getEvent();
+    ({upsertGuest, removeGuest} = await import('../lib/guests.js'));
+    verify = (await import('../api/verify.js')).default;
+});
+beforeEach(async () => {
+    storage.setStore(storage.createMemoryStore());
+    await upsertGuest(PHONE, {name: 'Robyn Kingsley'}, event.keys);
+});
+
+const issue = (opts = {}) =>
+    access.issueAccessCode({event, phone: PHONE, now: T0, ...opts});
+const check = (code, now = T0) => access.verifyAccessCode({event, code, now});
+
+test('a still-valid code is handed back, not replaced', async () => {
+    const first = await issue();
+    assert.equal(first.reused, false);
+    assert.equal(first.kind, 'code');
+    const again = await issue({now: T0 + 10 * DAY});
+    assert.equal(again.reused, true);
+    assert.equal(again.code, first.code);
+    assert.equal(
+        (await access.listGuestCodes(PHONE, event.keys, T0)).length,
+        1
+    );
+});
+
+test('fresh: true always issues a new code', async () => {
+    const first = await issue();
+    const fresh = await issue({fresh: true});
+    assert.notEqual(fresh.code, first.code);
+    assert.equal(fresh.reused, false);
+});
+
+test('an expired code is replaced on the next issue', async () => {
+    const first = await issue();
+    assert.equal(first.expiresAt, T0 + 90 * DAY);
+    const next = await issue({now: first.expiresAt});
+    assert.equal(next.reused, false);
+    assert.notEqual(next.code, first.code);
+});
+
+test('a revoked code is replaced on the next issue', async () => {
+    const first = await issue();
+    await access.revokeAccessCode({
+        code: first.code,
+        keys: event.keys,
+        reason: 'leaked',
+        now: T0,
+    });
+    const next = await issue();
+    assert.notEqual(next.code, first.code);
+});
+
+test('verify: valid until expiresAt, expired from then on', async () => {
+    const {code, expiresAt} = await issue();
+    assert.equal((await check(code, expiresAt - 1)).valid, true);
+    assert.deepEqual(await check(code, expiresAt), {
+        valid: false,
+        reason: 'expired',
+    });
+});
+
+test('verify: codes are matched however the guest typed them', async () => {
+    const {code} = await issue();
+    const typed = `${code.slice(0, 4).toLowerCase()}-${code.slice(4)} `;
+    const res = await check(typed);
+    assert.equal(res.valid, true);
+    assert.equal(res.guest.phone, PHONE);
+    assert.equal(res.code.uses, 1);
+});
+
+test('verify: maxUses 0 means unlimited', async () => {
+    const {code, maxUses} = await issue();
+    assert.equal(maxUses, 0);
+    for (let i = 1; i <= 5; i++) {
+        assert.equal((await check(code)).code.uses, i);
+    }
+});
+
+test('verify: maxUses caps the uses and is not over-counted', async () => {
+    const {code} = await issue({maxUses: 2});
+    assert.equal((await check(code)).valid, true);
+    assert.equal((await check(code)).valid, true);
+    assert.deepEqual(await check(code), {valid: false, reason: 'exhausted'});
+    const record = await access.getAccessCode(code, event.keys);
+    assert.equal(record.uses, 2);
+    assert.equal(access.codeState(record, T0), 'exhausted');
+});
+
+test('links: one use by default, short-lived, replaced once used', async () => {
+    const link = await issue({kind: 'link'});
+    assert.equal(link.maxUses, 1);
+    assert.equal(link.code.length, 24);
+    assert.equal(link.expiresAt, T0 + 60 * MIN);
+    assert.equal(
+        access.accessLink(link.code),
+        `https://rsvp.example/enter?code=${link.code}`
+    );
+
+    assert.equal((await check(link.code)).valid, true);
+    assert.deepEqual(await check(link.code), {
+        valid: false,
+        reason: 'exhausted',
+    });
+    const next = await issue({kind: 'link'});
+    assert.equal(next.reused, false);
+    assert.notEqual(next.code, link.code);
+});
+
+test('links: maxUses can be raised per link', async () => {
+    const link = await issue({kind: 'link', maxUses: 3});
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await check(link.code)).valid, true);
+    }
+    assert.equal((await check(link.code)).reason, 'exhausted');
+});
+
+test('links: a still-valid unused link is handed back', async () => {
+    const link = await issue({kind: 'link'});
+    const again = await issue({kind: 'link', now: T0 + 30 * MIN});
+    assert.equal(again.reused, true);
+    assert.equal(again.code, link.code);
+});
+
+const REJECTIONS = [
+    // [title, setup → code, reason]
+    ['unknown code', async () => 'ZZZZZZZZ', 'unknown'],
+    [
+        'revoked code',
+        async () => {
+            const {code} = await issue();
+            await access.revokeGuestCodes({phone: PHONE, keys: event.keys});
+            return code;
+        },
+        'revoked',
+    ],
+    [
+        'guest removed since issue',
+        async () => {
+            const {code} = await issue();
+            await removeGuest(PHONE, event.keys);
+            return code;
+        },
+        'not-on-list',
+    ],
+];
+
+for (const [title, setup, reason] of REJECTIONS) {
+    test(`verify: ${title} → ${reason}`, async () => {
+        const code = await setup();
+        assert.deepEqual(await check(code), {valid: false, reason});
+    });
+}
+
+// → {status, body} once the handler ends the response
+function get(url, headers = {}) {
+    const req = {
+        method: 'GET',
+        url,
+        headers,
+        query: Object.fromEntries(new URL(url, 'http://x').searchParams),
+    };
+    return new Promise((resolve, reject) => {
+        const res = {
+            statusCode: 200,
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            end(b = '') {
+                resolve({status: this.statusCode, body: String(b)});
+            },
+            json(o) {
+                this.end(JSON.stringify(o));
+            },
+        };
+        Promise.resolve(verify(req, res, {log: silent})).catch(reject);
+    });
+}
+
+const BEARER = {authorization: 'Bearer verify-token'};
+
+test('api/verify: needs the bearer token and a code', async () => {
+    const {code} = await issue({now: Date.now()});
+    assert.equal((await get(`/api/verify?code=${code}`)).status, 401);
+    assert.equal(
+        (
+            await get(`/api/verify?code=${code}`, {
+                authorization: 'Bearer wrong',
+            })
+        ).status,
+        401
+    );
+    assert.equal((await get('/api/verify', BEARER)).status, 400);
+});
+
+test('api/verify: a valid code returns the guest and counts a use', async () => {
+    const {code} = await issue({now: Date.now(), maxUses: 1});
+    const ok = await get(`/api/verify?code=${code}`, BEARER);
+    assert.equal(ok.status, 200);
+    const body = JSON.parse(ok.body);
+    assert.equal(body.valid, true);
+    assert.equal(body.guest.phone, PHONE);
+    assert.equal(body.guest.name, 'Robyn Kingsley');
+    assert.deepEqual([body.code.uses, body.code.maxUses], [1, 1]);
+
+    const used = JSON.parse(
+        (await get(`/api/verify?code=${code}`, BEARER)).body
+    );
+    assert.deepEqual(used, {ok: true, valid: false, reason: 'exhausted'});
+});
@@ -0,0 +1,241 @@
+// Webhook auth: the URL Twilio signed, signature checks and the ?token= fallback.
+import {test, before, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {Readable} from 'node:stream';
+import twilio from 'twilio';
+
+// Config is read at import time
+Object.assign(process.env, {
+    STORAGE: 'memory',
+    MESSENGER: 'fake',
+    TWILIO_AUTH_TOKEN: 'auth-test-token',
+    SMS_TOKEN: 'legacy-sms-token',
+    ALLOW_QUERY_TOKEN_FALLBACK: 'true',
+    SITE_PASSWORD: 'swordfish',
+});
+delete process.env.PUBLIC_BASE_URL;
+const AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const silent = {info() {}, warn() {}, error() {}};
+
+let auth;
+let storage;
+let sms;
+before(async () => {
+    auth = await import('../lib/auth-utils.js');
+    storage = await import('../lib/storage.js');
+    sms = (await import('../api/sms.js')).default;
+});
+beforeEach(() => storage.setStore(storage.createMemoryStore()));
+
+// PUBLIC_BASE_URL is read per request, so tests can flip it
+function withBaseUrl(base, fn) {
+    process.env.PUBLIC_BASE_URL = base;
+    try {
+        return fn();
+    } finally {
+        delete process.env.PUBLIC_BASE_URL;
+    }
+}
+
+const PARAMS = {
+    MessageSid: 'SM00000000000000000000000000000001',
+    From: '+15551230001',
+    To: '+15550000000',
+    Body: 'hi',
+};
+
+function signedReq(signedUrl, {url = '/api/sms', headers = {}} = {}) {
+    return {
+        url,
+        headers: {
+            host: 'localhost:3000',
+            'x-twilio-signature': twilio.getExpectedTwilioSignature(
+                AUTH_TOKEN,
+                signedUrl,
+                PARAMS
+            ),
+            ...headers,
+        },
+    };
+}
+
+const REQUEST_URLS = [
+    // [headers, expected]
+    [{host: 'rsvp.example'}, 'https://rsvp.example/api/sms?e=1'],
+    [
+        {host: 'localhost:3000', 'x-forwarded-proto': 'http'},
+        'http://localhost:3000/api/sms?e=1',
+    ],
+    [
+        {host: 'internal', 'x-forwarded-host': 'rsvp.example'},
+        'https://rsvp.example/api/sms?e=1',
+    ],
+    [{'x-forwarded-proto': 'http, https'}, 'http://localhost/api/sms?e=1'],
+];
+
+for (const [headers, expected] of REQUEST_URLS) {
+    test(`getRequestUrl: ${JSON.stringify(headers)} → ${expected}`, () => {
+        assert.equal(
+            auth.getRequestUrl({url: '/api/sms?e=1', headers}),
+            expected
+        );
+    });
+}
+
+test('getRequestUrl: PUBLIC_BASE_URL wins over the headers', () => {
+    const url = withBaseUrl('https://rsvp.example/', () =>
+        auth.getRequestUrl({
+            url: '/api/sms',
+            headers: {host: 'localhost:3000', 'x-forwarded-proto': 'http'},
+        })
+    );
+    assert.equal(url, 'https://rsvp.example/api/sms');
+});
+
+test('signature: valid for the URL the server rebuilds', () => {
+    const req = signedReq('https://localhost:3000/api/sms');
+    assert.equal(auth.isTwilioSignatureValid(req, PARAMS, AUTH_TOKEN), true);
+});
+
+test('signature: a tampered param fails', () => {
+    const req = signedReq('https://localhost:3000/api/sms');
+    const tampered = {...PARAMS, Body: 'PASSWORD'};
+    assert.equal(auth.isTwilioSignatureValid(req, tampered, AUTH_TOKEN), false);
+});
+
+test('signature: the wrong auth token fails', () => {
+    const req = signedReq('https://localhost:3000/api/sms');
+    assert.equal(auth.isTwilioSignatureValid(req, PARAMS, 'other'), false);
+});
+
+test('signature: an http URL fails unless X-Forwarded-Proto says http', () => {
+    const plain = signedReq('http://localhost:3000/api/sms');
+    assert.equal(auth.isTwilioSignatureValid(plain, PARAMS, AUTH_TOKEN), false);
+
+    const forwarded = signedReq('http://localhost:3000/api/sms', {
+        headers: {'x-forwarded-proto': 'http'},
+    });
+    assert.equal(
+        auth.isTwilioSignatureValid(forwarded, PARAMS, AUTH_TOKEN),
+        true
+    );
+});
+
+test('signature: the query string is covered', () => {
+    const req = signedReq('https://localhost:3000/api/sms', {
+        url: '/api/sms?event=other',
+    });
+    assert.equal(auth.isTwilioSignatureValid(req, PARAMS, AUTH_TOKEN), false);
+});
+
+test('signature: checked against PUBLIC_BASE_URL when set', () => {
+    const req = signedReq('https://rsvp.example/api/sms');
+    assert.equal(auth.isTwilioSignatureValid(req, PARAMS, AUTH_TOKEN), false);
+    const ok = withBaseUrl('https://rsvp.example', () =>
+        auth.isTwilioSignatureValid(req, PARAMS, AUTH_TOKEN)
+    );
+    assert.equal(ok, true);
+});
+
+test('signature: missing header or auth token fails', () => {
+    const req = {url: '/api/sms', headers: {host: 'localhost:3000'}};
+    assert.equal(auth.isTwilioSignatureValid(req, PARAMS, AUTH_TOKEN), false);
+    const signed = signedReq('https://localhost:3000/api/sms');
+    assert.equal(auth.isTwilioSignatureValid(signed, PARAMS, ''), false);
+});
+
+const TOKENS = [
+    // [req, expected]
+    [{query: {token: 'legacy-sms-token'}, headers: {}}, true],
+    [{query: {token: ' legacy-sms-token '}, headers: {}}, true],
+    [{query: {token: 'wrong'}, headers: {}}, false],
+    [{url: '/api/sms?token=legacy-sms-token', headers: {}}, true],
+    [{url: '/api/sms?token=wrong', headers: {}}, false],
+    [{url: '/api/sms', headers: {}}, false],
+];
+
+for (const [req, expected] of TOKENS) {
+    test(`isTokenValid: ${JSON.stringify(req)} → ${expected}`, () => {
+        assert.equal(
+            Boolean(auth.isTokenValid(req, 'legacy-sms-token')),
+            expected
+        );
+    });
+}
+
+test('isTokenValid: no expected token never matches', () => {
+    const req = {query: {token: ''}, headers: {}};
+    assert.equal(auth.isTokenValid(req, undefined), false);
+    assert.equal(auth.isTokenValid(req, ''), false);
+});
+
+// → {status, body} once the handler ends the response
+function post(url, {headers = {}, params = PARAMS} = {}) {
+    const req = Readable.from([new URLSearchParams(params).toString()]);
+    Object.assign(req, {
+        method: 'POST',
+        url,
+        headers: {
+            host: 'localhost:3000',
+            'content-type': 'application/x-www-form-urlencoded',
+            ...headers,
+        },
+        query: Object.fromEntries(new URL(url, 'http://x').searchParams),
+    });
+    return new Promise((resolve, reject) => {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            setHeader(k, v) {
+                this.headers[k.toLowerCase()] = v;
+            },
+            getHeader(k) {
+                return this.headers[k.toLowerCase()];
+            },
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            end(b = '') {
+                resolve({status: this.statusCode, body: String(b)});
+            },
+            send(b) {
+                this.end(b);
+            },
+            json(o) {
+                this.end(JSON.stringify(o));
+            },
+        };
+        Promise.resolve(sms(req, res, {log: silent})).catch(reject);
+    });
+}
+
+test('sms: unsigned request with the right ?token= is let in (fallback on)', async () => {
+    const res = await post('/api/sms?token=legacy-sms-token');
+    assert.equal(res.status, 200);
+    assert.match(res.body, /<Message/);
+});
+
+test('sms: unsigned request with the wrong ?token= → 401', async () => {
+    const res = await post('/api/sms?token=wrong');
+    assert.equal(res.status, 401);
+});
+
+test('sms: a bad signature still falls back to the token', async () => {
+    const res = await post('/api/sms?token=legacy-sms-token', {
+        headers: {'x-twilio-signature': 'bogus'},
+    });
+    assert.equal(res.status, 200);
+});
+
+test('sms: a signed request needs no token', async () => {
+    const signature = twilio.getExpectedTwilioSignature(
+        AUTH_TOKEN,
+        'https://localhost:3000/api/sms',
+        PARAMS
+    );
+    const res = await post('/api/sms', {
+        headers: {'x-twilio-signature': signature},
+    });
+    assert.equal(res.status, 200);
+});
@@ -0,0 +1,84 @@
+import {test, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {createMemoryStore, setStore, store} from '../lib/storage.js';
+import {getEvent} from '../lib/events.js';
+import {sendToGuest} from '../lib/channels.js';
+import {isOptedOut, getConsentHistory} from '../lib/optout.js';
+import {createBroadcast, runBroadcast} from '../lib/broadcast.js';
+
+const PHONE = '+15551230001';
+const event = getEvent();
+const silent = {info() {}, warn() {}, error() {}};
+
+// Fails every send to `refused` the way Twilio does for a carrier opt-out
+function messenger(refused = [], code = 21610) {
+    const sent = [];
+    return {
+        sent,
+        async send(msg) {
+            if (refused.includes(msg.to)) {
+                throw Object.assign(
+                    new Error('Attempt to send to unsubscribed recipient'),
+                    {code}
+                );
+            }
+            sent.push(msg);
+            return {sid: `SM${sent.length}`, status: 'queued'};
+        },
+    };
+}
+
+beforeEach(() => setStore(createMemoryStore()));
+
+test('sendToGuest: a carrier opt-out at send time records the opt-out', async () => {
+    const result = await sendToGuest({
+        event,
+        phone: PHONE,
+        body: 'hi',
+        messenger: messenger([PHONE]),
+    });
+    assert.deepEqual(result, {skipped: 'opted-out', channel: 'sms'});
+    assert.equal(await isOptedOut(PHONE, event.keys), true);
+    const [entry] = await getConsentHistory(PHONE, event.keys);
+    assert.equal(entry.source, 'carrier');
+    assert.equal(entry.errorCode, '21610');
+});
+
+test('sendToGuest: other send errors still throw', async () => {
+    await assert.rejects(
+        sendToGuest({
+            event,
+            phone: PHONE,
+            body: 'hi',
+            messenger: messenger([PHONE], 21211),
+        }),
+        /unsubscribed/
+    );
+    assert.equal(await isOptedOut(PHONE, event.keys), false);
+});
+
+test('broadcast: a carrier-refused recipient is skipped, not failed', async () => {
+    const other = '+15551230002';
+    const {id} = await createBroadcast({
+        message: 'hello',
+        recipients: [PHONE, other],
+        keys: event.keys,
+    });
+    const m = messenger([PHONE]);
+    const result = await runBroadcast({
+        id,
+        event,
+        messenger: m,
+        ratePerSec: 1000,
+        log: silent,
+    });
+    assert.equal(result.status, 'done');
+    assert.deepEqual(
+        await store.hget(`${event.keys.BROADCAST_PREFIX}${id}:results`, PHONE),
+        'skipped:opted-out'
+    );
+    assert.deepEqual(
+        m.sent.map((s) => s.to),
+        [other]
+    );
+});
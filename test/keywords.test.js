@@ -0,0 +1,123 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseMessage,
+    matchesKeyword,
+    editDistance,
+    tokenize,
+} from '../lib/keywords.js';
+
+// [body, required keyword, expected {intent, word, hasKeyword, locale}]
+const MESSAGES = [
+    // Compliance keywords: whole message or first word
+    ['STOP', '', {intent: 'optout', word: 'STOP'}],
+    ['stop', '', {intent: 'optout', word: 'STOP'}],
+    ['Stop.', '', {intent: 'optout', word: 'STOP'}],
+    ['Stop please', '', {intent: 'optout', word: 'STOP'}],
+    ['  unsubscribe!! ', '', {intent: 'optout', word: 'UNSUBSCRIBE'}],
+    ['END', '', {intent: 'optout', word: 'END'}],
+    ['HELP', '', {intent: 'help', word: 'HELP'}],
+    ['info?', '', {intent: 'help', word: 'INFO'}],
+    ['START', '', {intent: 'optin', word: 'START'}],
+    ['Yes', '', {intent: 'optin', word: 'YES'}],
+    ['PARAR', '', {intent: 'optout', word: 'PARAR', locale: 'es'}],
+    ['ayuda por favor', '', {intent: 'help', word: 'AYUDA', locale: 'es'}],
+    ['COMENZAR', '', {intent: 'optin', word: 'COMENZAR', locale: 'es'}],
+
+    // Not compliance keywords: only the first word / whole message counts
+    ['SEND me the password', '', {intent: 'text', word: null}],
+    ['please stop', '', {intent: 'text', word: null}],
+    ['YESTERDAY was fun', '', {intent: 'text', word: null}],
+    ['YESTERDAY', '', {intent: 'text', word: null}],
+    ['INFORMATION', '', {intent: 'text', word: null}],
+    ['Need information', '', {intent: 'text', word: null}],
+    ['STARTING soon?', '', {intent: 'text', word: null}],
+    ['', '', {intent: 'text', word: null}],
+
+    // Required keyword: anywhere, punctuation and small typos allowed
+    ['PASSWORD', 'PASSWORD', {intent: 'keyword', hasKeyword: true}],
+    ['password', 'PASSWORD', {intent: 'keyword', hasKeyword: true}],
+    ['pasword!', 'PASSWORD', {intent: 'keyword', hasKeyword: true}],
+    ['Password please', 'PASSWORD', {intent: 'keyword', hasKeyword: true}],
+    [
+        'pls send the passwrod',
+        'PASSWORD',
+        {intent: 'keyword', hasKeyword: true},
+    ],
+    ['P.A.S.S', 'PASSWORD', {intent: 'text', hasKeyword: false}],
+    ['pass', 'PASSWORD', {intent: 'text', hasKeyword: false}],
+    ['hello', 'PASSWORD', {intent: 'text', hasKeyword: false}],
+    ['SEND me the password', 'PASSWORD', {intent: 'keyword', hasKeyword: true}],
+    ['hi', '', {intent: 'text', hasKeyword: false}],
+
+    // Compliance wins over the required keyword, which is still reported
+    ['STOP password', 'PASSWORD', {intent: 'optout', hasKeyword: true}],
+];
+
+for (const [body, keyword, expected] of MESSAGES) {
+    test(`parseMessage(${JSON.stringify(body)}, keyword=${JSON.stringify(keyword)})`, () => {
+        const parsed = parseMessage(body, {keyword});
+        for (const [field, value] of Object.entries(expected)) {
+            assert.deepEqual(parsed[field], value, field);
+        }
+    });
+}
+
+// [message, keyword, matches]
+const KEYWORDS = [
+    ['PASSWORD', 'PASSWORD', true],
+    ['PASWORD', 'PASSWORD', true], // deletion
+    ['PASSWORDS', 'PASSWORD', true], // insertion
+    ['PASSWROD', 'PASSWORD', true], // swap
+    ['PASSWXRD', 'PASSWORD', true], // substitution
+    ['PSWRD', 'PASSWORD', false], // 3 edits
+    ['the password is', 'PASSWORD', true],
+    ['RSVP', 'RSVP', true],
+    ['RSPV', 'RSVP', true], // 4+ letters: one edit
+    ['ABC', 'ABC', true],
+    ['ABD', 'ABC', false],
+    ['open sesame', 'OPEN SESAME', true], // multi-word keyword
+    ['opensesame', 'OPEN SESAME', false], // same number of words
+    ['open sesme', 'OPEN SESAME', true],
+    ['sesame open', 'OPEN SESAME', false],
+    ['CONGRATULATIONS', 'CONGRATULATIONS', true],
+    ['CONGRATULATINOS', 'CONGRATULATIONS', true],
+    ['CONGRATLATINOS', 'CONGRATULATIONS', true], // 10+ letters: 2 edits
+    ['CONGRTLATINOS', 'CONGRATULATIONS', false],
+    ['anything', '', false],
+];
+
+for (const [message, keyword, expected] of KEYWORDS) {
+    test(`matchesKeyword(${JSON.stringify(message)}, ${JSON.stringify(keyword)})`, () => {
+        assert.equal(matchesKeyword(tokenize(message), keyword), expected);
+    });
+}
+
+// [a, b, distance]
+const DISTANCES = [
+    ['', '', 0],
+    ['', 'ABC', 3],
+    ['ABC', '', 3],
+    ['ABC', 'ABC', 0],
+    ['ABC', 'ABD', 1],
+    ['ABC', 'AC', 1],
+    ['AC', 'ABC', 1],
+    ['ABC', 'BAC', 1], // adjacent swap counts once
+    ['PASSWORD', 'PASWORD', 1],
+    ['PASSWORD', 'PASSWROD', 1],
+    ['KITTEN', 'SITTING', 3],
+    ['CA', 'ABC', 3], // optimal string alignment, not full Damerau
+];
+
+for (const [a, b, expected] of DISTANCES) {
+    test(`editDistance(${JSON.stringify(a)}, ${JSON.stringify(b)})`, () => {
+        assert.equal(editDistance(a, b), expected);
+        assert.equal(editDistance(b, a), expected);
+    });
+}
+
+test('tokenize splits on anything but letters and digits', () => {
+    assert.deepEqual(tokenize('Stop, please!'), ['STOP', 'PLEASE']);
+    assert.deepEqual(tokenize('¿Ayuda? sí'), ['AYUDA', 'SÍ']);
+    assert.deepEqual(tokenize(null), []);
+});
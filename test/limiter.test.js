@@ -0,0 +1,241 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createMemoryStore} from '../lib/storage.js';
+import {consume, limitRule, limitGate} from '../lib/limiter.js';
+
+// A store and consume() driven by the same fake clock
+function clocked() {
+    const clock = {t: 0};
+    const store = createMemoryStore({now: () => clock.t});
+    const hit = (rules, at, gates) => {
+        clock.t = at;
+        return consume(rules, {now: at, store, gates});
+    };
+    return {store, hit};
+}
+
+const sliding = (name, limit, windowSec, opts = {}) =>
+    limitRule(name, '+15551230000', {
+        limit,
+        windowSec,
+        algorithm: 'sliding',
+        ...opts,
+    });
+const bucket = (name, limit, windowSec, opts = {}) =>
+    limitRule(name, '+15551230000', {
+        limit,
+        windowSec,
+        algorithm: 'bucket',
+        ...opts,
+    });
+
+// [time ms, expected: true (allowed) | retryAfterMs when denied]
+async function run(rules, steps) {
+    const {hit} = clocked();
+    for (const [at, expected] of steps) {
+        const result = await hit(rules, at);
+        if (expected === true) {
+            assert.deepEqual(result, {allowed: true}, `t=${at}`);
+        } else {
+            assert.equal(result.allowed, false, `t=${at}`);
+            assert.equal(result.retryAfterMs, expected, `t=${at} retry`);
+        }
+    }
+}
+
+test('sliding: limit hits per rolling window, retry when the oldest expires', () =>
+    run(
+        [sliding('burst', 3, 10)],
+        [
+            [0, true],
+            [1000, true],
+            [2000, true],
+            [6000, 4000],
+            [8000, 2000],
+            [10000, true], // the hit at 0 has left the window
+            [11000, true],
+            [12000, true],
+        ]
+    ));
+
+test('sliding: a hit expires exactly one window later', () =>
+    run(
+        [sliding('burst', 1, 10)],
+        [
+            [5000, true],
+            [14999, 1],
+            [15000, true],
+        ]
+    ));
+
+test('sliding: no double limit across a window boundary', () =>
+    // A fixed per-10s bucket would allow 3 at 9.0–9.9s and 3 more from 10s.
+    run(
+        [sliding('globalDaily', 3, 10)],
+        [
+            [9000, true],
+            [9500, true],
+            [9900, true],
+            [10100, 8900],
+            [12000, 7000],
+            [19000, true],
+            [19100, 400],
+            [19500, true],
+        ]
+    ));
+
+test('sliding: denied hits are not recorded', async () => {
+    const {store, hit} = clocked();
+    const rule = sliding('burst', 2, 10);
+    await hit([rule], 0);
+    await hit([rule], 1);
+    for (let t = 2; t < 10; t++) await hit([rule], t);
+    assert.equal(await store.zcard(rule.key), 2);
+});
+
+test('bucket: burst of `limit`, then refills evenly over the window', () =>
+    run(
+        [bucket('burst', 3, 3)], // 1 token per second
+        [
+            [0, true],
+            [0, true],
+            [0, true],
+            [0, 1000],
+            [500, 500],
+            [1000, true],
+            [1000, 1000],
+            [2000, true],
+        ]
+    ));
+
+test('bucket: fractional retry rounds up', () =>
+    run(
+        [bucket('burst', 3, 4)], // 0.75 tokens per second
+        [
+            [0, true],
+            [0, true],
+            [0, true],
+            [0, 1334],
+            [1334, true],
+        ]
+    ));
+
+test('bucket: refill never exceeds `limit`', () =>
+    run(
+        [bucket('burst', 2, 2)],
+        [
+            [0, true],
+            [60000, true],
+            [60000, true],
+            [60000, 1000],
+        ]
+    ));
+
+test('several rules: the first denying rule is reported; none record', async () => {
+    const {store, hit} = clocked();
+    const perNumber = sliding('perNumberDaily', 5, 60);
+    const cooldown = sliding('cooldown', 1, 10);
+    assert.deepEqual(await hit([perNumber, cooldown], 0), {allowed: true});
+    assert.deepEqual(await hit([perNumber, cooldown], 4000), {
+        allowed: false,
+        rule: 'cooldown',
+        retryAfterMs: 6000,
+    });
+    assert.equal(await store.zcard(perNumber.key), 1);
+});
+
+test('"always" rules record even when another rule denies', async () => {
+    const {store, hit} = clocked();
+    const burst = sliding('burst', 1, 10);
+    const flood = limitRule('flood', 'all', {
+        limit: 3,
+        windowSec: 10,
+        algorithm: 'sliding',
+        always: true,
+    });
+    await hit([burst, flood], 0);
+    assert.equal((await hit([burst, flood], 1)).rule, 'burst');
+    assert.equal((await hit([burst, flood], 2)).rule, 'burst');
+    assert.equal(await store.zcard(flood.key), 3);
+    // Now the flood counter itself is full
+    assert.equal((await hit([flood], 3)).rule, 'flood');
+});
+
+test('"always" bucket rules spend a token even when another rule denies', async () => {
+    const {hit} = clocked();
+    const cooldown = sliding('cooldown', 1, 10);
+    const flood = bucket('flood', 2, 10, {always: true});
+    await hit([cooldown, flood], 0);
+    await hit([cooldown, flood], 0);
+    assert.deepEqual(await hit([flood], 0), {
+        allowed: false,
+        rule: 'flood',
+        retryAfterMs: 5000,
+    });
+});
+
+test('disabled rules (limit or window <= 0) always allow', async () => {
+    const {hit} = clocked();
+    const off = [sliding('burst', 0, 10), bucket('cooldown', 3, 0)];
+    for (let t = 0; t < 5; t++) {
+        assert.deepEqual(await hit(off, t), {allowed: true});
+    }
+});
+
+test('a gate denies before anything is recorded', async () => {
+    const {store, hit} = clocked();
+    const burst = sliding('burst', 5, 10, {always: true});
+    const gates = [
+        limitGate('blocked', 'block:+15551230000'),
+        limitGate('blocked', 'abuse:index', {member: '+15551230000'}),
+    ];
+    assert.deepEqual(await hit([burst], 0, gates), {allowed: true});
+    await store.sadd('abuse:index', '+15551230000');
+    assert.deepEqual(await hit([burst], 1, gates), {
+        allowed: false,
+        rule: 'blocked',
+        retryAfterMs: 0,
+    });
+    await store.srem('abuse:index', '+15551230000');
+    await store.set('block:+15551230000', '{}', {ex: 60});
+    assert.equal((await hit([burst], 2, gates)).rule, 'blocked');
+    assert.equal(await store.zcard(burst.key), 1);
+});
+
+test('an "after" gate denies once the hit is recorded; its rule trips it', async () => {
+    const {store, hit} = clocked();
+    const flood = limitRule('flood', 'all', {
+        limit: 2,
+        windowSec: 10,
+        algorithm: 'sliding',
+        always: true,
+    });
+    const gates = [
+        limitGate('defensive', 'defensive', {
+            after: true,
+            trip: {rule: 'flood', ttlSec: 60},
+        }),
+    ];
+    assert.deepEqual(await hit([flood], 0, gates), {allowed: true});
+    assert.deepEqual(await hit([flood], 1, gates), {allowed: true});
+    // Over the limit: the rule is reported and the flag set
+    assert.equal((await hit([flood], 2, gates)).rule, 'flood');
+    assert.equal(await store.get('defensive'), '1');
+    // The flood window has passed, but the flag still denies (and counts)
+    assert.equal((await hit([flood], 20000, gates)).rule, 'defensive');
+    assert.equal(await store.zcard(flood.key), 1);
+    // The flag expires
+    assert.deepEqual(await hit([flood], 61000, gates), {allowed: true});
+});
+
+test('limitRule rejects an unknown algorithm', () => {
+    assert.throws(
+        () =>
+            limitRule('burst', 'x', {
+                limit: 1,
+                windowSec: 1,
+                algorithm: 'fixed',
+            }),
+        /Unknown limiter algorithm "fixed"/
+    );
+});
@@ -0,0 +1,89 @@
+import {test, before, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+// Config is read at import time
+Object.assign(process.env, {
+    NOTIFY_SMS_TO: '+15550001111',
+    NOTIFY_RETRIES: '1',
+});
+let storage;
+let store;
+let notify;
+let flushNotifications;
+let event;
+before(async () => {
+    storage = await import('../lib/storage.js');
+    ({notify, flushNotifications} = await import('../lib/notify.js'));
+    event = (await import('../lib/events.js')).getEvent();
+    store = storage.store;
+});
+beforeEach(() => storage.setStore(storage.createMemoryStore()));
+
+const silent = {info() {}, warn() {}, error() {}};
+
+// Records texts; `fail` makes the next send throw
+function messenger() {
+    const sent = [];
+    return {
+        sent,
+        fail: false,
+        async send(msg) {
+            if (this.fail) throw new Error('provider down');
+            sent.push(msg);
+            return {sid: `SM${sent.length}`};
+        },
+    };
+}
+
+const alert = (phone, now) =>
+    notify({type: 'unknown', event, data: {phone, body: 'hi'}, now});
+const flush = (m, now) =>
+    flushNotifications({event, force: true, now, messenger: m, log: silent});
+
+test('notify() only queues; nothing is sent from the webhook path', async () => {
+    assert.deepEqual(await alert('+15551230001', 1000), {queued: true});
+    assert.equal(await store.zcard(event.keys.NOTIFY_QUEUE), 1);
+});
+
+test('a flush sends queued alerts as one digest, once', async () => {
+    const m = messenger();
+    await alert('+15551230001', 1000);
+    await alert('+15551230002', 1001);
+    assert.deepEqual((await flush(m, 2000)).delivered, {sms: 2});
+    assert.equal(m.sent.length, 1);
+    assert.match(m.sent[0].body, /2 alerts/);
+    assert.deepEqual((await flush(m, 3000)).delivered, {});
+    assert.equal(m.sent.length, 1);
+});
+
+test('an alert in the same millisecond as the last delivered one still goes out', async () => {
+    const m = messenger();
+    await alert('+15551230001', 1000);
+    await flush(m, 1000);
+    await alert('+15551230002', 1000);
+    const result = await flush(m, 1000);
+    assert.deepEqual(result.delivered, {sms: 1});
+    assert.match(m.sent[1].body, /\+15551230002/);
+    assert.doesNotMatch(m.sent[1].body, /\+15551230001/);
+});
+
+test('alerts a channel failed to deliver stay queued for the next flush', async () => {
+    const m = messenger();
+    await alert('+15551230001', 1000);
+    m.fail = true;
+    const failed = await flush(m, 2000);
+    assert.deepEqual(failed.failed, ['sms']);
+    assert.equal(failed.queued, 1);
+    m.fail = false;
+    assert.deepEqual((await flush(m, 3000)).delivered, {sms: 1});
+});
+
+test('without force, one delivery per digest window', async () => {
+    const m = messenger();
+    const digest = (now) =>
+        flushNotifications({event, now, messenger: m, log: silent});
+    await alert('+15551230001', 1000);
+    assert.deepEqual((await digest(1000)).delivered, {sms: 1});
+    await alert('+15551230002', 1500);
+    assert.equal((await digest(1500)).skipped, true);
+});
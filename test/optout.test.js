@@ -0,0 +1,50 @@
+import {test, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {createMemoryStore, setStore} from '../lib/storage.js';
+import {
+    recordOptOut,
+    clearOptOut,
+    isOptedOut,
+    getConsentHistory,
+} from '../lib/optout.js';
+
+const PHONE = '+15551230000';
+
+beforeEach(() => setStore(createMemoryStore()));
+
+test('clearOptOut on a number that never opted out leaves no ledger entry', async () => {
+    const cleared = await clearOptOut(PHONE, undefined, {
+        source: 'keyword',
+        keyword: 'YES',
+    });
+    assert.equal(cleared, false);
+    assert.deepEqual(await getConsentHistory(PHONE), []);
+});
+
+test('STOP then START records both and clears the flag', async (t) => {
+    await recordOptOut(PHONE, undefined, {source: 'keyword', keyword: 'STOP'});
+    assert.equal(await isOptedOut(PHONE), true);
+
+    // Ledger entries are ordered by time: START comes a second later
+    t.mock.timers.enable({apis: ['Date'], now: Date.now() + 1000});
+    const cleared = await clearOptOut(PHONE, undefined, {
+        source: 'keyword',
+        keyword: 'START',
+    });
+    assert.equal(cleared, true);
+    assert.equal(await isOptedOut(PHONE), false);
+    assert.deepEqual(
+        (await getConsentHistory(PHONE)).map((e) => [e.action, e.keyword]),
+        [
+            ['optout', 'STOP'],
+            ['optin', 'START'],
+        ]
+    );
+
+    // A second START changes nothing
+    assert.equal(
+        await clearOptOut(PHONE, undefined, {keyword: 'START'}),
+        false
+    );
+    assert.equal((await getConsentHistory(PHONE)).length, 2);
+});
@@ -0,0 +1,53 @@
+import {test, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {createMemoryStore, setStore} from '../lib/storage.js';
+import {parseWhen, addPassword, getActivePassword} from '../lib/passwords.js';
+
+const LA = 'America/Los_Angeles';
+const event = {
+    id: 'test',
+    password: 'config-pw',
+    timezone: LA,
+    keys: {PASSWORDS: 'passwords', PASSWORD_SEQ: 'passwords:seq'},
+};
+
+beforeEach(() => setStore(createMemoryStore()));
+
+// [input, timeZone, expected ISO]
+const WHEN = [
+    ['2026-06-15', LA, '2026-06-15T07:00:00.000Z'], // local midnight (PDT)
+    ['2026-06-15T09:30', LA, '2026-06-15T16:30:00.000Z'],
+    ['2026-01-15', LA, '2026-01-15T08:00:00.000Z'], // PST
+    ['2026-06-15', 'UTC', '2026-06-15T00:00:00.000Z'],
+    ['2026-06-15T00:00:00-04:00', LA, '2026-06-15T04:00:00.000Z'], // offset wins
+    ['1781481600000', LA, '2026-06-15T00:00:00.000Z'], // epoch ms
+];
+
+for (const [input, timeZone, iso] of WHEN) {
+    test(`parseWhen("${input}", ${timeZone}) → ${iso}`, () => {
+        assert.equal(new Date(parseWhen(input, {timeZone})).toISOString(), iso);
+    });
+}
+
+test('parseWhen: empty → now; garbage throws', () => {
+    assert.equal(parseWhen('', {now: 42}), 42);
+    assert.throws(() => parseWhen('next tuesday'), /Invalid date\/time/);
+});
+
+test('a date-only rotation takes effect at midnight in the event time zone', async () => {
+    await addPassword({
+        event,
+        password: 'ThankYou',
+        effectiveFrom: '2026-06-15',
+    });
+    const utcMidnight = Date.parse('2026-06-15T00:00:00Z');
+    const localMidnight = Date.parse('2026-06-15T07:00:00Z');
+    assert.equal(
+        (await getActivePassword(event, utcMidnight)).password,
+        'config-pw'
+    );
+    assert.equal(
+        (await getActivePassword(event, localMidnight)).password,
+        'ThankYou'
+    );
+});
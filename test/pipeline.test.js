@@ -0,0 +1,73 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {DEFAULT_PIPELINE, assertPipeline} from '../lib/pipeline.js';
+
+test('empty → default order, which passes its own checks', () => {
+    assert.deepEqual(assertPipeline(''), DEFAULT_PIPELINE);
+    assert.deepEqual(assertPipeline(DEFAULT_PIPELINE), DEFAULT_PIPELINE);
+});
+
+test('a comma list is trimmed and kept in order', () => {
+    assert.deepEqual(
+        assertPipeline(' stop, help,start,optout,whitelist , fallback'),
+        ['stop', 'help', 'start', 'optout', 'whitelist', 'fallback']
+    );
+});
+
+test('HELP may come before the opt-out stages', () => {
+    assert.deepEqual(assertPipeline('help,stop,start,optout,fallback'), [
+        'help',
+        'stop',
+        'start',
+        'optout',
+        'fallback',
+    ]);
+});
+
+// [name, stages, error]
+const REJECTED = [
+    ['unknown stage', 'stop,nope', /Unknown pipeline stage\(s\) "nope"/],
+    [
+        'duplicate stage',
+        'stop,help,stop',
+        /Duplicate pipeline stage\(s\) "stop"/,
+    ],
+    [
+        'missing every opt-out stage',
+        'help,whitelist,fallback',
+        /must include "stop, start, optout"/,
+    ],
+    // an opted-out number would get the password
+    [
+        'missing start and optout',
+        'stop, help,whitelist , fallback',
+        /must include "start, optout"/,
+    ],
+    [
+        'opt-out stages after a reply stage',
+        'stop,admin,help,start,optout',
+        /"start, optout" must come before "admin"/,
+    ],
+    [
+        'optout after a reply stage',
+        'stop,start,whitelist,optout,fallback',
+        /"optout" must come before "whitelist"/,
+    ],
+    // a required keyword would swallow "STOP"
+    [
+        'stop after a deny stage',
+        'help,start,optout,keyword,stop,fallback',
+        /"stop" must come before "keyword"/,
+    ],
+    [
+        'several late opt-out stages',
+        'stop,abuse,limits,start,optout,fallback',
+        /"start, optout" must come before "abuse"/,
+    ],
+];
+
+for (const [name, stages, error] of REJECTED) {
+    test(`rejects: ${name}`, () => {
+        assert.throws(() => assertPipeline(stages), error);
+    });
+}
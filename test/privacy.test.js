@@ -0,0 +1,130 @@
+import {test, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {createMemoryStore, setStore, store} from '../lib/storage.js';
+import {getEvent} from '../lib/events.js';
+import {upsertGuest} from '../lib/guests.js';
+import {recordOptOut, isOptedOut} from '../lib/optout.js';
+import {recordAudit} from '../lib/admin-sms.js';
+import {deferReply} from '../lib/schedule.js';
+import {issueAccessCode, getAccessCode} from '../lib/access.js';
+import {
+    exportNumberData,
+    eraseNumberData,
+    ERASED_ADMIN,
+} from '../lib/privacy.js';
+
+const PHONE = '+15551230000';
+const OTHER = '+15559870000';
+const silent = {info() {}, warn() {}, error() {}};
+const event = getEvent();
+const {keys} = event;
+
+beforeEach(() => setStore(createMemoryStore()));
+
+async function seed(phone) {
+    await upsertGuest(phone, {name: 'Robyn'}, keys);
+    await store.sadd(keys.WHITELIST, phone);
+    await deferReply({event, phone, name: 'Robyn', locale: 'en', dueAt: 1});
+    return issueAccessCode({event, phone, kind: 'code'});
+}
+
+const auditEntries = async () =>
+    (await store.zrange(keys.ADMIN_AUDIT, 0, -1)).map((m) => JSON.parse(m));
+
+test('export: gathers the number across key spaces, others left out', async () => {
+    const {code} = await seed(PHONE);
+    await seed(OTHER);
+    await recordOptOut(PHONE, keys, {source: 'keyword'});
+    await recordAudit({admin: OTHER, command: 'ADD', phone: PHONE}, {keys});
+
+    const {phone, events} = await exportNumberData(PHONE);
+    assert.equal(phone, PHONE);
+    const data = events[event.id];
+    assert.equal(data.guest.whitelisted, true);
+    assert.equal(data.guest.record.name, 'Robyn');
+    assert.deepEqual(
+        data.accessCodes.map((r) => r.code),
+        [code]
+    );
+    assert.equal(data.optOut.optedOut, true);
+    assert.equal(data.optOut.consentHistory.length, 1);
+    assert.equal(data.deferredReplies.length, 1);
+    assert.deepEqual(
+        data.adminAudit.map((e) => e.command),
+        ['ADD']
+    );
+});
+
+test('export: includes audit entries the number made as a host', async () => {
+    await recordAudit({admin: PHONE, command: 'REMOVE', phone: OTHER}, {keys});
+    const {events} = await exportNumberData(PHONE);
+    assert.deepEqual(
+        events[event.id].adminAudit.map((e) => [e.admin, e.phone]),
+        [[PHONE, OTHER]]
+    );
+});
+
+test('export: an unknown number has no events', async () => {
+    await seed(OTHER);
+    assert.deepEqual((await exportNumberData(PHONE)).events, {});
+});
+
+test('erase: removes the number and leaves other guests alone', async () => {
+    const {code} = await seed(PHONE);
+    const other = await seed(OTHER);
+    await recordAudit({admin: OTHER, command: 'ADD', phone: PHONE}, {keys});
+
+    const res = await eraseNumberData(PHONE, {log: silent});
+    assert.equal(res.suppressionKept, false);
+    assert.equal(res.events[event.id].auditEntries, 1);
+    assert.equal(res.events[event.id].deferredReplies, 1);
+
+    assert.deepEqual((await exportNumberData(PHONE)).events, {});
+    assert.equal(await getAccessCode(code, keys), null);
+    assert.equal(await store.sismember(keys.WHITELIST, OTHER), 1);
+    assert.ok(await getAccessCode(other.code, keys));
+    const left = await exportNumberData(OTHER);
+    assert.equal(left.events[event.id].deferredReplies.length, 1);
+});
+
+test('erase: an opted-out number keeps its suppression record', async () => {
+    await seed(PHONE);
+    await recordOptOut(PHONE, keys, {source: 'keyword'});
+
+    const res = await eraseNumberData(PHONE, {log: silent});
+    assert.equal(res.suppressionKept, true);
+    assert.equal(await isOptedOut(PHONE, keys), true);
+    const data = (await exportNumberData(PHONE)).events[event.id];
+    assert.equal(data.guest.whitelisted, false);
+    assert.equal(data.guest.record, null);
+    assert.deepEqual(
+        data.optOut.consentHistory.map((e) => e.action),
+        ['optout']
+    );
+});
+
+test('erase: host audit entries are pseudonymized, not deleted', async () => {
+    await recordAudit(
+        {admin: PHONE, command: 'REMOVE', phone: OTHER, reply: 'Removed'},
+        {keys, now: 1000}
+    );
+    await recordAudit(
+        {admin: OTHER, command: 'ADD', phone: PHONE},
+        {keys, now: 2000}
+    );
+
+    const res = await eraseNumberData(PHONE, {log: silent});
+    assert.equal(res.events[event.id].auditEntries, 1);
+    assert.equal(res.events[event.id].auditEntriesPseudonymized, 1);
+
+    const entries = await auditEntries();
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].admin, ERASED_ADMIN);
+    assert.equal(entries[0].phone, OTHER);
+    assert.equal(entries[0].reply, 'Removed');
+    const [, score] = await store.zrange(keys.ADMIN_AUDIT, 0, -1, {
+        withScores: true,
+    });
+    assert.equal(Number(score), 1000);
+    assert.deepEqual((await exportNumberData(PHONE)).events, {});
+});
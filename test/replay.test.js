@@ -0,0 +1,59 @@
+import {test, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {createMemoryStore, setStore} from '../lib/storage.js';
+import {
+    WEBHOOK_PROCESSING_TTL_SEC,
+    WEBHOOK_REPLAY_WINDOW_SEC,
+} from '../lib/config.js';
+import {
+    claimMessage,
+    saveMessageResponse,
+    releaseMessage,
+} from '../lib/replay.js';
+
+const SID = 'SM00000000000000000000000000000001';
+const RESPONSE = {status: 200, contentType: 'text/xml', body: '<Response/>'};
+const clock = {t: 0};
+// no waiting for the first request: answer right away
+const claim = () => claimMessage(SID, {waitMs: 0});
+
+beforeEach(() => {
+    clock.t = 0;
+    setStore(createMemoryStore({now: () => clock.t}));
+});
+
+test('the first request claims the id; a repeat is busy', async () => {
+    assert.deepEqual(await claim(), {state: 'new'});
+    assert.deepEqual(await claim(), {state: 'busy'});
+});
+
+test('a saved response is replayed for the replay window', async () => {
+    await claim();
+    await saveMessageResponse(SID, RESPONSE);
+    clock.t = (WEBHOOK_REPLAY_WINDOW_SEC - 1) * 1000;
+    assert.deepEqual(await claim(), {
+        state: 'done',
+        response: {state: 'done', ...RESPONSE},
+    });
+    clock.t = (WEBHOOK_REPLAY_WINDOW_SEC + 1) * 1000;
+    assert.deepEqual(await claim(), {state: 'new'});
+});
+
+test('a claim left by a request that died frees up for a retry', async () => {
+    await claim();
+    clock.t = (WEBHOOK_PROCESSING_TTL_SEC - 1) * 1000;
+    assert.deepEqual(await claim(), {state: 'busy'});
+    clock.t = (WEBHOOK_PROCESSING_TTL_SEC + 1) * 1000;
+    assert.deepEqual(await claim(), {state: 'new'});
+});
+
+test('a released claim (after a 5xx) is processed again', async () => {
+    await claim();
+    await releaseMessage(SID);
+    assert.deepEqual(await claim(), {state: 'new'});
+});
+
+test('requests without an id are always processed', async () => {
+    assert.deepEqual(await claimMessage(null), {state: 'new'});
+    assert.deepEqual(await claimMessage(null), {state: 'new'});
+});
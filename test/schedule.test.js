@@ -0,0 +1,222 @@
+import {test, beforeEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {createMemoryStore, setStore, store} from '../lib/storage.js';
+import {getEvent} from '../lib/events.js';
+import {recordOptOut} from '../lib/optout.js';
+import {
+    parseQuietHours,
+    quietUntil,
+    windowState,
+    deferReply,
+    flushDeferredReplies,
+} from '../lib/schedule.js';
+import {SMS_STAGES} from '../lib/sms-stages.js';
+
+const PHONE = '+15551230001';
+const silent = {info() {}, warn() {}, error() {}};
+const base = getEvent();
+// Los Angeles, quiet overnight
+const event = {
+    ...base,
+    timezone: 'America/Los_Angeles',
+    quietHours: parseQuietHours('22:00-08:00'),
+};
+const at = (iso) => Date.parse(iso);
+
+function messenger() {
+    const sent = [];
+    return {
+        sent,
+        async send(msg) {
+            sent.push(msg);
+            return {sid: `SM${sent.length}`, status: 'queued'};
+        },
+    };
+}
+
+beforeEach(() => setStore(createMemoryStore()));
+
+const QUIET_HOURS = [
+    // [input, expected]
+    ['22:00-08:00', {start: 22 * 60, end: 8 * 60}],
+    ['9:30 - 17:00', {start: 9 * 60 + 30, end: 17 * 60}],
+    ['', null],
+];
+
+for (const [input, expected] of QUIET_HOURS) {
+    test(`parseQuietHours: "${input}"`, () => {
+        assert.deepEqual(parseQuietHours(input), expected);
+    });
+}
+
+for (const input of ['late', '24:00-08:00', '22:00-22:00', '22:60-08:00']) {
+    test(`parseQuietHours: "${input}" throws`, () => {
+        assert.throws(() => parseQuietHours(input), /Invalid quiet hours/);
+    });
+}
+
+const QUIET_UNTIL = [
+    // [now, expected end (null: not quiet)] — PDT is UTC-7
+    ['2026-06-01T23:30:00-07:00', '2026-06-02T08:00:00-07:00'],
+    ['2026-06-02T00:00:00-07:00', '2026-06-02T08:00:00-07:00'],
+    ['2026-06-02T07:59:59-07:00', '2026-06-02T08:00:00-07:00'],
+    ['2026-06-02T22:00:00-07:00', '2026-06-03T08:00:00-07:00'],
+    ['2026-06-02T08:00:00-07:00', null],
+    ['2026-06-02T21:59:59-07:00', null],
+    ['2026-06-02T12:00:00-07:00', null],
+    // Clocks go forward at 02:00 on 2026-03-08: 08:00 is PDT again
+    ['2026-03-08T01:30:00-08:00', '2026-03-08T08:00:00-07:00'],
+    // …and back at 02:00 on 2026-11-01: 08:00 is PST
+    ['2026-10-31T23:00:00-07:00', '2026-11-01T08:00:00-08:00'],
+];
+
+for (const [now, expected] of QUIET_UNTIL) {
+    test(`quietUntil: ${now} → ${expected}`, () => {
+        assert.equal(
+            quietUntil(event, at(now)),
+            expected === null ? null : at(expected)
+        );
+    });
+}
+
+test('quietUntil: a daytime window and no window', () => {
+    const day = {...event, quietHours: parseQuietHours('13:00-14:00')};
+    assert.equal(
+        quietUntil(day, at('2026-06-02T13:15:00-07:00')),
+        at('2026-06-02T14:00:00-07:00')
+    );
+    assert.equal(quietUntil(day, at('2026-06-02T14:00:00-07:00')), null);
+    const none = {...event, quietHours: null};
+    assert.equal(quietUntil(none, at('2026-06-02T23:00:00-07:00')), null);
+});
+
+test('windowState: before / open / after', () => {
+    const window = {
+        ...event,
+        startsAt: at('2026-06-01T00:00:00-07:00'),
+        endsAt: at('2026-06-30T00:00:00-07:00'),
+    };
+    assert.equal(windowState(window, window.startsAt - 1), 'before');
+    assert.equal(windowState(window, window.startsAt), 'open');
+    assert.equal(windowState(window, window.endsAt), 'after');
+    assert.equal(windowState({...event, startsAt: null, endsAt: null}), 'open');
+});
+
+test('quietHours stage: defers the reply until the window ends', async () => {
+    const now = at('2026-06-01T23:30:00-07:00');
+    const result = await SMS_STAGES.quietHours({
+        reqId: 'test',
+        event,
+        fromNumber: PHONE,
+        bodyRaw: 'hello?',
+        parsed: {locale: 'en'},
+        log: silent,
+        now,
+    });
+    assert.deepEqual(result, {action: 'deny', reason: 'quiet-hours'});
+    const raw = await store.zrange(event.keys.DEFERRED_REPLIES, 0, -1, {
+        withScores: true,
+    });
+    assert.equal(raw.length, 2);
+    assert.equal(Number(raw[1]), at('2026-06-02T08:00:00-07:00'));
+    assert.equal(JSON.parse(raw[0]).name, 'unknown');
+});
+
+test('quietHours stage: lets the reply through outside the window', async () => {
+    const result = await SMS_STAGES.quietHours({
+        reqId: 'test',
+        event,
+        fromNumber: PHONE,
+        bodyRaw: 'hello?',
+        parsed: {locale: 'en'},
+        log: silent,
+        now: at('2026-06-01T12:00:00-07:00'),
+    });
+    assert.equal(result.action, 'allow');
+    assert.equal(await store.zcard(event.keys.DEFERRED_REPLIES), 0);
+});
+
+test('flush: sends only the replies that are due', async () => {
+    const now = at('2026-06-02T08:00:00-07:00');
+    await deferReply({event, phone: PHONE, name: 'unknown', dueAt: now});
+    await deferReply({
+        event,
+        phone: '+15551230002',
+        name: 'unknown',
+        dueAt: now + 1,
+    });
+    const m = messenger();
+    const result = await flushDeferredReplies({
+        event,
+        now,
+        messenger: m,
+        log: silent,
+    });
+    assert.deepEqual(result, {sent: 1, skipped: 0, failed: 0, more: false});
+    assert.deepEqual(
+        m.sent.map((msg) => msg.to),
+        [PHONE]
+    );
+    assert.equal(await store.zcard(event.keys.DEFERRED_REPLIES), 1);
+});
+
+test('flush: `limit` caps a batch and reports more', async () => {
+    for (let i = 0; i < 3; i++) {
+        await deferReply({
+            event,
+            phone: `+1555123000${i}`,
+            name: 'unknown',
+            dueAt: i,
+        });
+    }
+    const m = messenger();
+    const first = await flushDeferredReplies({
+        event,
+        now: 10,
+        limit: 2,
+        messenger: m,
+        log: silent,
+    });
+    assert.deepEqual(first, {sent: 2, skipped: 0, failed: 0, more: true});
+    const second = await flushDeferredReplies({
+        event,
+        now: 10,
+        limit: 2,
+        messenger: m,
+        log: silent,
+    });
+    assert.deepEqual(second, {sent: 1, skipped: 0, failed: 0, more: false});
+    assert.equal(m.sent.length, 3);
+});
+
+test('flush: numbers that opted out meanwhile are skipped', async () => {
+    await deferReply({event, phone: PHONE, name: 'unknown', dueAt: 0});
+    await recordOptOut(PHONE, event.keys, {source: 'keyword'});
+    const m = messenger();
+    const result = await flushDeferredReplies({
+        event,
+        now: 10,
+        messenger: m,
+        log: silent,
+    });
+    assert.deepEqual(result, {sent: 0, skipped: 1, failed: 0, more: false});
+    assert.equal(m.sent.length, 0);
+    assert.equal(await store.zcard(event.keys.DEFERRED_REPLIES), 0);
+});
+
+test('flush: a failed send is counted and not retried', async () => {
+    await deferReply({event, phone: PHONE, name: 'unknown', dueAt: 0});
+    const broken = {
+        async send() {
+            throw new Error('Twilio down');
+        },
+    };
+    const result = await flushDeferredReplies({
+        event,
+        now: 10,
+        messenger: broken,
+        log: silent,
+    });
+    assert.deepEqual(result, {sent: 0, skipped: 0, failed: 1, more: false});
+    assert.equal(await store.zcard(event.keys.DEFERRED_REPLIES), 0);
+});
@@ -0,0 +1,131 @@
+// End to end: the real handlers on STORAGE=memory with a fake req/res.
+import {test, before} from 'node:test';
+import assert from 'node:assert/strict';
+import {Readable} from 'node:stream';
+import twilio from 'twilio';
+
+// Config is read at import time
+Object.assign(process.env, {
+    STORAGE: 'memory',
+    MESSENGER: 'fake',
+    TWILIO_AUTH_TOKEN: 'smoke-auth-token',
+    ADMIN_TOKEN: 'smoke-admin-token',
+    SITE_PASSWORD: 'swordfish',
+    PUBLIC_BASE_URL: 'https://smoke.test',
+});
+const silent = {info() {}, warn() {}, error() {}};
+let sms;
+let whitelistAdd;
+before(async () => {
+    sms = (await import('../api/sms.js')).default;
+    whitelistAdd = (await import('../api/admin/whitelist-add.js')).default;
+});
+
+// → {status, body, headers} once the handler ends the response
+function call(handler, {method = 'POST', url, headers = {}, body = ''}) {
+    const req = Readable.from([body]);
+    Object.assign(req, {
+        method,
+        url,
+        headers: {host: 'smoke.test', ...headers},
+        // Vercel parses the query string
+        query: Object.fromEntries(
+            new URL(url, 'https://smoke.test').searchParams
+        ),
+    });
+    return new Promise((resolve, reject) => {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            setHeader(k, v) {
+                this.headers[k.toLowerCase()] = v;
+            },
+            getHeader(k) {
+                return this.headers[k.toLowerCase()];
+            },
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            end(b = '') {
+                resolve({
+                    status: this.statusCode,
+                    body: String(b),
+                    headers: this.headers,
+                });
+            },
+            send(b) {
+                this.end(b);
+            },
+            json(o) {
+                this.end(JSON.stringify(o));
+            },
+        };
+        Promise.resolve(handler(req, res, {log: silent})).catch(reject);
+    });
+}
+
+let sid = 0;
+// A Twilio-signed inbound text
+function text(from, body) {
+    const url = '/api/sms';
+    const params = {
+        MessageSid: `SM${String(++sid).padStart(32, '0')}`,
+        From: from,
+        To: '+15550000000',
+        Body: body,
+    };
+    const signature = twilio.getExpectedTwilioSignature(
+        process.env.TWILIO_AUTH_TOKEN,
+        `https://smoke.test${url}`,
+        params
+    );
+    return call(sms, {
+        url,
+        headers: {
+            'content-type': 'application/x-www-form-urlencoded',
+            'x-twilio-signature': signature,
+        },
+        body: new URLSearchParams(params).toString(),
+    });
+}
+
+test('unsigned webhook → 401', async () => {
+    const res = await call(sms, {url: '/api/sms', body: 'From=%2B15551230000'});
+    assert.equal(res.status, 401);
+});
+
+test('admin: whitelist-add needs the token, then adds the guest', async () => {
+    const denied = await call(whitelistAdd, {
+        method: 'GET',
+        url: '/api/admin/whitelist-add?phone=%2B15551230001&token=wrong',
+    });
+    assert.equal(denied.status, 401);
+
+    const res = await call(whitelistAdd, {
+        method: 'GET',
+        url: '/api/admin/whitelist-add?phone=%2B15551230001&name=Robyn&token=smoke-admin-token',
+    });
+    assert.equal(res.status, 200);
+    assert.equal(JSON.parse(res.body).ok, true);
+});
+
+test('sms: a guest gets the password', async () => {
+    const res = await text('+15551230001', 'hi');
+    assert.equal(res.status, 200);
+    assert.match(res.body, /<Message[^>]*>[^<]*swordfish/);
+});
+
+test('sms: an unknown number gets the unknown reply, not the password', async () => {
+    const res = await text('+15551239999', 'hello?');
+    assert.equal(res.status, 200);
+    assert.match(res.body, /<Message/);
+    assert.doesNotMatch(res.body, /swordfish/);
+});
+
+test('sms: STOP gets no reply; later texts are ignored', async () => {
+    const stop = await text('+15551230001', 'STOP');
+    assert.equal(stop.status, 204);
+    const after = await text('+15551230001', 'hi');
+    assert.equal(after.status, 204);
+});
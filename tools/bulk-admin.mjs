@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 /**
- * Bulk admin CLI that normalizes US phone numbers and calls your Vercel API.
+ * Bulk admin CLI that normalizes phone numbers to E.164 and calls your Vercel API.
  *
  * Usage:
  *   # single / multiple on the command line
@@ -11,8 +11,32 @@
  *   # from a file (newline, comma, tab, semicolon; comments # or //)
  *   ADMIN_BASE_URL=... ADMIN_TOKEN=... node tools/bulk-admin.mjs unblock --file phones.txt
  *
+ *   # approval queue (approve also texts the password)
+ *   ADMIN_BASE_URL=... ADMIN_TOKEN=... node tools/bulk-admin.mjs approve 6195551234 --name="Jane"
+ *   ADMIN_BASE_URL=... ADMIN_TOKEN=... node tools/bulk-admin.mjs deny 6195551234
+ *
+ *   # broadcast to all guests (or a tag); loops until every recipient is handled
+ *   ADMIN_BASE_URL=... ADMIN_TOKEN=... node tools/bulk-admin.mjs broadcast --message="Shuttle leaves at 5pm" --tag=wedding-party
+ *   ADMIN_BASE_URL=... ADMIN_TOKEN=... node tools/bulk-admin.mjs broadcast --resume=<id>
+ *
+ *   # privacy: everything stored about a number (JSON), or erase it everywhere
+ *   ADMIN_BASE_URL=... ADMIN_TOKEN=... node tools/bulk-admin.mjs export 6195551234
+ *   ADMIN_BASE_URL=... ADMIN_TOKEN=... node tools/bulk-admin.mjs erase 6195551234 --yes
+ *
+ *   # guest details (whitelist-add / approve)
+ *   ... node tools/bulk-admin.mjs whitelist-add 6195551234 --name="Robyn" --party="Smith Family" --tags=wedding-party
+ *   ... node tools/bulk-admin.mjs whitelist-add --file guests.csv   # header: phone,name,party,tags,notes,locale
+ *
  * Options:
- *   --file <path>         read numbers from file
+ *   --file <path>         read numbers from file (.csv → guest rows with a header line)
+ *   --event=<id>          event profile to act on (default: server's DEFAULT_EVENT_ID)
+ *   --region=GB           country for numbers without a +country code
+ *                         (default: PHONE_DEFAULT_REGION, else US)
+ *   --message= --tag= --resume=<id> --rate=N
+ *                         broadcast options (--dry-run lists recipients)
+ *   --name= --party= --tags= --notes= --locale=
+ *                         guest fields sent with whitelist-add / approve (CSV columns win)
+ *   --yes                 required by erase
  *   --concurrency=N       parallel requests (default 5)
  *   --dry-run             print normalized numbers and exit (no network)
  *
@@ -21,6 +45,7 @@
  *   ADMIN_TOKEN           same secret your API checks (e.g. ADMIN_UNBLOCK_TOKEN)
  */
 import dotenv from 'dotenv';
+import {assertRegion, normalizePhone} from '../lib/phone.js';
 dotenv.config({path: '../.env'});
 
 const BASE = process.env.ADMIN_BASE_URL;
@@ -37,7 +62,18 @@ Example:
     process.exit(1);
 }
 
-const COMMANDS = new Set(['unblock', 'whitelist-add', 'whitelist-remove']);
+const COMMANDS = new Set([
+    'unblock',
+    'whitelist-add',
+    'whitelist-remove',
+    'approve',
+    'deny',
+    'broadcast',
+    'export',
+    'erase',
+]);
+// commands that accept guest fields (--name, CSV columns, ...)
+const GUEST_COMMANDS = new Set(['whitelist-add', 'approve']);
 const args = process.argv.slice(2);
 const action = args[0];
 
@@ -53,29 +89,30 @@ function getFlag(name, def = undefined) {
         (a) => a === `--${name}` || a.startsWith(`--${name}=`)
     );
     if (!hit) return def;
-    if (hit.includes('=')) return hit.split('=')[1];
+    if (hit.includes('=')) return hit.slice(hit.indexOf('=') + 1);
     return true;
 }
 
 const filePath = getFlag('file', null);
 const dryRun = !!getFlag('dry-run', false);
 const concurrency = Number(getFlag('concurrency', 5));
+const eventId = getFlag('event', null);
+let region;
+try {
+    region = assertRegion(
+        getFlag('region', process.env.PHONE_DEFAULT_REGION || 'US')
+    );
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
 const trailing = args.slice(1).filter((a) => !a.startsWith('--')); // direct phone args
 
-/** Normalize common US formats to E.164 +1XXXXXXXXXX */
-function normalizeToE164US(input) {
-    if (!input) throw new Error('No phone number provided');
-    const trimmed = String(input).trim();
-
-    if (/^\+1\d{10}$/.test(trimmed)) return trimmed; // already E.164
-
-    const digits = trimmed.replace(/\D/g, ''); // strip non-digits ((), -, spaces, dots)
-    if (digits.length === 10) return `+1${digits}`; // 10-digit US
-    if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`; // 1 + 10
-
-    throw new Error(
-        `Invalid US number format: "${input}". Expected 10 digits, 11 digits starting with 1, or +1XXXXXXXXXX.`
-    );
+const GUEST_FIELDS = ['name', 'party', 'tags', 'notes', 'locale'];
+const flagFields = {};
+for (const f of GUEST_FIELDS) {
+    const v = getFlag(f, null);
+    if (typeof v === 'string' && v.trim()) flagFields[f] = v.trim();
 }
 
 /** parse file/args blob into unique list (order preserved) */
@@ -97,16 +134,77 @@ function parsePhonesBlob(blob) {
     return out;
 }
 
+/** minimal CSV (quoted cells, "" escapes) → array of row arrays */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                cell += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(cell.trim());
+            cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += c;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell.trim());
+        rows.push(row);
+    }
+    return rows.filter((r) => r.some(Boolean) && !/^(#|\/\/)/.test(r[0] || ''));
+}
+
+/** guests CSV with header row (phone,name,party,tags,notes,locale) → [{raw, fields}] */
+function parseGuestsCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    const cols = (header || []).map((h) => h.toLowerCase());
+    const phoneCol = cols.indexOf('phone');
+    if (phoneCol === -1) throw new Error('CSV header must include "phone"');
+
+    return rows.map((r) => {
+        const fields = {...flagFields};
+        cols.forEach((col, i) => {
+            if (GUEST_FIELDS.includes(col) && r[i]) fields[col] = r[i];
+        });
+        return {raw: r[phoneCol] || '', fields};
+    });
+}
+
 async function readPhones() {
     if (filePath) {
         const fs = await import('node:fs/promises');
-        const data = await fs.readFile(
-            typeof filePath === 'string' ? filePath : trailing[0],
-            'utf8'
-        );
-        return parsePhonesBlob(data);
+        const path = typeof filePath === 'string' ? filePath : trailing[0];
+        const data = await fs.readFile(path, 'utf8');
+        if (/\.csv$/i.test(path)) return parseGuestsCsv(data);
+        return parsePhonesBlob(data).map((raw) => ({
+            raw,
+            fields: {...flagFields},
+        }));
     }
-    return parsePhonesBlob(trailing.join(' '));
+    // one number per argument ("+44 7700 900123" keeps its spaces)
+    return parsePhonesBlob(trailing.join('\n')).map((raw) => ({
+        raw,
+        fields: {...flagFields},
+    }));
 }
 
 function endpointFor(action) {
@@ -117,14 +215,27 @@ function endpointFor(action) {
             return '/api/admin/whitelist-add';
         case 'whitelist-remove':
             return '/api/admin/whitelist-remove';
+        case 'approve':
+            return '/api/admin/pending-approve';
+        case 'deny':
+            return '/api/admin/pending-deny';
+        case 'export':
+            return '/api/admin/number-export';
+        case 'erase':
+            return '/api/admin/number-erase';
         default:
             throw new Error(`Unknown action ${action}`);
     }
 }
 
-async function callEndpoint(action, phone) {
-    const url = `${BASE}${endpointFor(action)}`;
-    const body = new URLSearchParams({phone, token: TOKEN}).toString();
+/** POST form params (+ token, event) to an admin route, return parsed JSON */
+async function postAdmin(path, params = {}) {
+    const url = `${BASE}${path}`;
+    const body = new URLSearchParams({
+        ...params,
+        ...(typeof eventId === 'string' && eventId ? {event: eventId} : {}),
+        token: TOKEN,
+    }).toString();
     const resp = await fetch(url, {
         method: 'POST',
         headers: {'content-type': 'application/x-www-form-urlencoded'},
@@ -145,6 +256,66 @@ async function callEndpoint(action, phone) {
     return json;
 }
 
+async function callEndpoint(action, phone, fields = {}) {
+    const extra = GUEST_COMMANDS.has(action) ? fields : {};
+    if (action === 'erase') extra.confirm = 'erase';
+    return postAdmin(endpointFor(action), {...extra, phone});
+}
+
+/** broadcast: start (or --resume=<id>) and keep calling until the server reports done */
+async function broadcastCommand() {
+    const str = (name) => {
+        const v = getFlag(name, null);
+        return typeof v === 'string' && v.trim() ? v.trim() : null;
+    };
+    const message = str('message');
+    const tag = str('tag');
+    const resume = str('resume');
+    const rate = str('rate');
+
+    if (!message && !resume && !dryRun) {
+        console.error(
+            `broadcast needs --message="..." (or --resume=<id>).
+
+Examples:
+  node tools/bulk-admin.mjs broadcast --message="Shuttle leaves at 5pm" --tag=wedding-party
+  node tools/bulk-admin.mjs broadcast --resume=b1a2b3c4
+`
+        );
+        process.exit(1);
+    }
+
+    if (dryRun) {
+        const preview = await postAdmin('/api/admin/broadcast', {
+            ...(tag ? {tag} : {}),
+            dryRun: '1',
+        });
+        console.log(`[bulk-admin] broadcast preview total=${preview.total}`);
+        console.log(preview.recipients.join('\n'));
+        return;
+    }
+
+    let params = resume ? {id: resume} : {message, ...(tag ? {tag} : {})};
+    if (rate) params.rate = rate;
+
+    for (;;) {
+        const res = await postAdmin('/api/admin/broadcast', params);
+        console.log(
+            `[bulk-admin] broadcast ${res.id} status=${res.status} sent=${res.sent} skipped=${res.skipped} failed=${res.failed} remaining=${res.remaining}/${res.total}`
+        );
+        if (res.done) {
+            if (res.failed > 0) {
+                console.warn(
+                    `[bulk-admin] ${res.failed} failed; retry with --resume=${res.id}`
+                );
+                process.exitCode = 1;
+            }
+            return;
+        }
+        params = {id: res.id, ...(rate ? {rate} : {})};
+    }
+}
+
 /** tiny concurrency pool */
 async function runPool(items, worker, limit = 5) {
     const results = [];
@@ -170,6 +341,14 @@ async function runPool(items, worker, limit = 5) {
 }
 
 (async () => {
+    if (action === 'broadcast') return broadcastCommand();
+    if (action === 'erase' && !dryRun && !getFlag('yes', false)) {
+        console.error(
+            'erase deletes every record of the numbers (opt-outs stay suppressed). Re-run with --yes.'
+        );
+        process.exit(1);
+    }
+
     const rawPhones = await readPhones();
     if (rawPhones.length === 0) {
         console.error(
@@ -185,25 +364,37 @@ Examples:
 
     // normalize & keep only valid
     const prepared = [];
-    for (const p of rawPhones) {
+    for (const {raw, fields} of rawPhones) {
         try {
-            const e164 = normalizeToE164US(p);
-            prepared.push(e164);
+            const e164 = normalizePhone(raw, region);
+            prepared.push({phone: e164, fields});
         } catch (e) {
-            console.error(`SKIP invalid: ${p} → ${e.message}`);
+            console.error(`SKIP invalid: ${raw} → ${e.message}`);
         }
     }
 
-    console.log(`[bulk-admin] action=${action} total=${prepared.length}`);
+    console.log(
+        `[bulk-admin] action=${action} event=${
+            typeof eventId === 'string' ? eventId : '(default)'
+        } total=${prepared.length}`
+    );
 
     if (dryRun) {
-        console.log(prepared.join('\n'));
+        console.log(
+            prepared
+                .map(({phone, fields}) =>
+                    Object.keys(fields).length && GUEST_COMMANDS.has(action)
+                        ? `${phone} ${JSON.stringify(fields)}`
+                        : phone
+                )
+                .join('\n')
+        );
         process.exit(0);
     }
 
     const results = await runPool(
         prepared,
-        async (phone) => {
+        async ({phone, fields}) => {
             // simple retry with backoff
             let attempt = 0;
             const max = 3;
@@ -211,7 +402,7 @@ Examples:
             while (attempt < max) {
                 attempt++;
                 try {
-                    const res = await callEndpoint(action, phone);
+                    const res = await callEndpoint(action, phone, fields);
                     console.log(`[OK] ${phone} → ${JSON.stringify(res)}`);
                     return res;
                 } catch (e) {
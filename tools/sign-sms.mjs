@@ -0,0 +1,75 @@
+// Build a Twilio-signed webhook request for local testing of /api/sms.
+// Requirements:
+//   - Local .env with: TWILIO_AUTH_TOKEN (same value the server uses)
+//   - Deps: twilio, dotenv
+//   - PUBLIC_BASE_URL: set it in .env when the server has it set; the
+//     signature then covers that base instead of the URL given here
+//
+// Usage:
+//   node tools/sign-sms.mjs <url> <from> [body]
+//   node tools/sign-sms.mjs http://localhost:3000/api/sms 555-123-4567 PASSWORD
+//
+// Prints a ready-to-run curl command with a valid X-Twilio-Signature header.
+// The signed URL is rebuilt with the server's getRequestUrl(), and the curl
+// call sends X-Forwarded-Proto so http://localhost is not read as https.
+// A random MessageSid is generated each run so the replay guard accepts it.
+
+import 'dotenv/config';
+import {randomBytes} from 'node:crypto';
+import twilio from 'twilio';
+import {getRequestUrl} from '../lib/auth-utils.js';
+
+function shellQuote(s) {
+    return `'${String(s).replace(/'/g, `'\\''`)}'`;
+}
+
+(async () => {
+    try {
+        const [url, from, body = 'PASSWORD'] = process.argv.slice(2);
+        const authToken = process.env.TWILIO_AUTH_TOKEN;
+        if (!url || !from) {
+            console.error('Usage: node tools/sign-sms.mjs <url> <from> [body]');
+            process.exit(1);
+        }
+        if (!authToken) {
+            console.error('Missing env TWILIO_AUTH_TOKEN');
+            process.exit(1);
+        }
+
+        // The request as the server will see it: same host, same proto
+        const target = new URL(url);
+        const proto = target.protocol.replace(/:$/, '');
+        const signedUrl = getRequestUrl({
+            url: `${target.pathname}${target.search}`,
+            headers: {host: target.host, 'x-forwarded-proto': proto},
+        });
+
+        const params = {
+            MessageSid: `SM${randomBytes(16).toString('hex')}`,
+            From: from,
+            To: process.env.TWILIO_FROM_NUMBER || '+15550000000',
+            Body: body,
+        };
+        // Same HMAC the server verifies in lib/auth-utils.js
+        const signature = twilio.getExpectedTwilioSignature(
+            authToken,
+            signedUrl,
+            params
+        );
+
+        const lines = [
+            `curl -X POST ${shellQuote(url)}`,
+            `  -H ${shellQuote(`X-Forwarded-Proto: ${proto}`)}`,
+            `  -H ${shellQuote(`X-Twilio-Signature: ${signature}`)}`,
+            ...Object.entries(params).map(
+                ([k, v]) => `  --data-urlencode ${shellQuote(`${k}=${v}`)}`
+            ),
+        ];
+        if (signedUrl !== url) console.error(`Signed for ${signedUrl}`);
+        console.log(lines.join(' \\\n'));
+        process.exit(0);
+    } catch (err) {
+        console.error(`❌ ${err?.message || err}`);
+        process.exit(1);
+    }
+})();
@@ -1,15 +1,21 @@
-// Unblock a phone number (remove from abuse:index) with flexible input formats.
+// Unblock a phone number (lift its block + strikes) with flexible input formats.
 // Requirements:
 //   - Local .env with: UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN
 //   - Deps: @upstash/redis, dotenv
 //
 // What it does:
-//   1) SREM from abuse:index (permanent blocklist)
-//   2) DEL rl:num:<phone> (per-number throttle hash)
-//   3) SCAN+DEL burst:<phone>:* (any burst counters)
+//   1) Lift the block: DEL abuse:block:<phone> + strikes:<phone>, SREM abuse:index
+//   2) DEL rl:num:<phone> (per-number abuse hash)
+//   3) DEL limit:<rule>:<phone> for each per-number rule (burst, cooldown,
+//      perNumberDaily, voiceSms; NUMBER_RULES in lib/abuse.js), no SCAN
 //
 // Usage:
 //   node scripts/unblock.mjs 6195732332
+//   node scripts/unblock.mjs 6195732332 brunch   # non-default event (ev:brunch:* keys)
+//   node scripts/unblock.mjs 07700900123 --region=GB
+//
+// Numbers without a +country code are read in --region (default
+// PHONE_DEFAULT_REGION); see lib/phone.js for the supported countries.
 //
 // | Example Input    | What the script sees (after stripping)   | Normalized Output |
 // | ---------------- | ---------------------------------------- | ----------------- |
@@ -21,101 +27,51 @@
 // | `1-555-123-4567` | `15551234567` (11 digits, starts with 1) | `+15551234567`    |
 // | `15551234567`    | `15551234567` (11 digits, starts with 1) | `+15551234567`    |
 // | `+15551234567`   | Already in E.164                         | `+15551234567`    |
+// | `+44 7700 900123`| International (any supported country)    | `+447700900123`   |
+// | `07700 900123`   | `7700900123` (--region=GB, 0 dropped)    | `+447700900123`   |
 
 import 'dotenv/config';
-import {redis} from '../lib/redis.js';
-import {KEYS} from '../lib/config.js';
-
-function normalizeToE164US(input) {
-    if (!input) throw new Error('No phone number provided');
-    const trimmed = String(input).trim();
-
-    // Already E.164?
-    if (/^\+1\d{10}$/.test(trimmed)) return trimmed;
-
-    // Strip non-digits
-    const digits = trimmed.replace(/\D/g, '');
-
-    // 10 digits -> assume US, add +1
-    if (digits.length === 10) return `+1${digits}`;
-
-    // 11 digits starting with 1 -> add +
-    if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
-
-    throw new Error(
-        `Invalid US number format: "${input}". Expected 10 digits, 11 digits starting with 1, or +1XXXXXXXXXX.`
-    );
-}
-
-// Delete keys matching a pattern, supporting both scanIterator (new) and SCAN loop (old)
-async function deleteByPattern(pattern, count = 200) {
-    let deleted = 0;
-
-    if (typeof redis.scanIterator === 'function') {
-        // Newer client: async iterator
-        for await (const key of redis.scanIterator({match: pattern, count})) {
-            await redis.del(key);
-            deleted++;
-        }
-        return deleted;
-    }
-
-    // Fallback: manual SCAN pagination
-    let cursor = 0;
-    do {
-        const resp = await redis.scan(cursor, {match: pattern, count});
-        // Upstash returns [nextCursor, keys[]]
-        const nextCursor =
-            typeof resp?.[0] !== 'undefined' ? Number(resp[0]) : 0;
-        const keys = Array.isArray(resp?.[1]) ? resp[1] : [];
-
-        if (keys.length) {
-            // Delete sequentially (safe). You could batch/pipeline if desired.
-            for (const k of keys) {
-                await redis.del(k);
-                deleted++;
-            }
-        }
-        cursor = nextCursor;
-    } while (cursor !== 0);
+import {getEvent} from '../lib/events.js';
+import {unblockNumber} from '../lib/abuse.js';
+import {PHONE_DEFAULT_REGION} from '../lib/config.js';
+import {normalizePhone} from '../lib/phone.js';
 
-    return deleted;
-}
-
-async function unblock(phoneE164) {
-    // 1) Remove from permanent blocklist
-    const removed = await redis.srem(KEYS.ABUSE_SET, phoneE164);
-
-    // 2) Remove per-number throttle hash
-    await redis.del(`${KEYS.PER_NUMBER_HASH_PREFIX}${phoneE164}`);
+async function unblock(phoneE164, keys) {
+    // Lift the block + strikes, abuse hash and rate-limit state
+    const {blockCleared, limitsDeleted} = await unblockNumber(phoneE164, keys);
 
-    // 3) Remove any burst counters (supports old/new client)
-    const burstDeleted = await deleteByPattern(
-        `${KEYS.BURST_PREFIX}${phoneE164}:*`,
-        200
-    );
-
-    if (removed) {
+    if (blockCleared) {
         console.log(
-            `✅ Unblocked ${phoneE164}: removed from "${KEYS.ABUSE_SET}", cleared throttle hash, burstDeleted=${burstDeleted}`
+            `✅ Unblocked ${phoneE164}: lifted block, cleared strikes + counters, limitsDeleted=${limitsDeleted}`
         );
     } else {
         console.log(
-            `ℹ️ ${phoneE164} not found in "${KEYS.ABUSE_SET}". Cleared counters anyway (burstDeleted=${burstDeleted}).`
+            `ℹ️ ${phoneE164} was not blocked. Cleared strikes + counters anyway (limitsDeleted=${limitsDeleted}).`
         );
     }
 }
 
 (async () => {
     try {
-        const arg = process.argv[2];
+        const argv = process.argv.slice(2);
+        const regionArg = argv.find((a) => a.startsWith('--region='));
+        const [arg, eventArg] = argv.filter((a) => !a.startsWith('--'));
         if (!arg) {
-            console.error('Usage: node scripts/unblock.mjs <phone number>');
+            console.error(
+                'Usage: node scripts/unblock.mjs <phone number> [event id] [--region=GB]'
+            );
             process.exit(1);
         }
-        const phone = normalizeToE164US(arg);
+        const phone = normalizePhone(
+            arg,
+            regionArg
+                ? regionArg.slice('--region='.length)
+                : PHONE_DEFAULT_REGION
+        );
         console.log(`Normalizing → ${phone}`);
-        await unblock(phone);
+        const event = getEvent(eventArg);
+        console.log(`Event → ${event.id}`);
+        await unblock(phone, event.keys);
         process.exit(0);
     } catch (err) {
         console.error(`❌ ${err?.message || err}`);